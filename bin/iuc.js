@@ -0,0 +1,6 @@
+#!/usr/bin/env node
+
+import { runCli } from '../src/cli.js';
+
+// Command-line entry point: iuc <command> [options] (see src/cli.js)
+process.exitCode = await runCli(process.argv.slice(2));
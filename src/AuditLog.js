@@ -0,0 +1,120 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { createHash } from 'crypto';
+import { toTimestamp } from './EffectiveDating.js';
+
+const FILE_PATTERN = /^audit-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+/**
+ * SHA-256 of a batch's input (raw bytes, a string, or JSON-serializable data)
+ */
+export function hashInput(input) {
+  const bytes = Buffer.isBuffer(input) || typeof input === 'string' ? input : JSON.stringify(input ?? null);
+  return `sha256:${createHash('sha256').update(bytes).digest('hex')}`;
+}
+
+/**
+ * SHA-256 of a file's bytes, read as a stream; equals hashInput of the file's content
+ */
+export async function hashFile(filePath) {
+  const hash = createHash('sha256');
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  return `sha256:${hash.digest('hex')}`;
+}
+
+/**
+ * AuditLog - Append-only JSON Lines record of every processed batch
+ * One file per UTC day (audit-2024-01-15.jsonl), one line per batch. Lines are never rewritten.
+ */
+export class AuditLog {
+  constructor(directory) {
+    this.directory = directory;
+    this.appending = Promise.resolve();
+  }
+
+  fileFor(time) {
+    return path.join(this.directory, `audit-${new Date(time).toISOString().slice(0, 10)}.jsonl`);
+  }
+
+  /**
+   * Append a batch record; appends are written in call order
+   */
+  append(record) {
+    const entry = { recordedAt: new Date().toISOString(), ...record };
+    const write = this.appending.then(async () => {
+      await fs.ensureDir(this.directory);
+      await fs.appendFile(this.fileFor(entry.recordedAt), `${JSON.stringify(entry)}\n`);
+    });
+    this.appending = write.catch(() => {});
+    return write.then(() => entry);
+  }
+
+  /**
+   * Batches recorded between `from` and `to` (inclusive, any date-ish value), optionally only
+   * those from one `source` or touching one `sku`, whose items are then narrowed to that SKU
+   * Records of large batches keep only their first items (`itemsTruncated`) and list every SKU
+   * in `skus`, so they match on that list.
+   */
+  async query({ sku = null, source = null, from = null, to = null } = {}) {
+    const fromTime = from === null ? -Infinity : toTimestamp(from);
+    const toTime = to === null ? Infinity : toTimestamp(to);
+    if (fromTime === null || toTime === null) {
+      throw new Error('from and to must be valid dates');
+    }
+
+    await this.appending;
+    if (!await fs.pathExists(this.directory)) {
+      return [];
+    }
+
+    const fromDay = Number.isFinite(fromTime) ? new Date(fromTime).toISOString().slice(0, 10) : '';
+    const toDay = Number.isFinite(toTime) ? new Date(toTime).toISOString().slice(0, 10) : '9999-12-31';
+    const files = (await fs.readdir(this.directory))
+      .map(name => FILE_PATTERN.exec(name))
+      .filter(match => match && match[1] >= fromDay && match[1] <= toDay)
+      .map(match => match[0])
+      .sort();
+
+    const records = [];
+    for (const file of files) {
+      const lines = (await fs.readFile(path.join(this.directory, file), 'utf8')).split('\n');
+      for (const line of lines) {
+        const record = parseLine(line);
+        if (!record) {
+          continue;
+        }
+
+        const recordedAt = toTimestamp(record.recordedAt);
+        if (recordedAt < fromTime || recordedAt > toTime || (source !== null && record.source !== source)) {
+          continue;
+        }
+        if (sku !== null) {
+          const items = (record.items || []).filter(item => String(item.sku) === String(sku));
+          if (items.length > 0 || (record.itemsTruncated && (record.skus || []).map(String).includes(String(sku)))) {
+            records.push({ ...record, items });
+          }
+        } else {
+          records.push(record);
+        }
+      }
+    }
+
+    return records;
+  }
+}
+
+// A line cut short by a crash is skipped rather than failing the whole query
+function parseLine(line) {
+  if (line.trim() === '') {
+    return null;
+  }
+  try {
+    return JSON.parse(line);
+  } catch {
+    return null;
+  }
+}
+
+export default AuditLog;
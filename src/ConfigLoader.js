@@ -0,0 +1,309 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { LOG_DESTINATIONS } from './Logger.js';
+import { STREAMABLE_FORMATS } from './StreamingIngest.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_CONFIG_DIRECTORY = path.join(__dirname, '../config');
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+export const DEFAULT_FILE_WATCHER = Object.freeze({
+  supportedFormats: Object.keys(STREAMABLE_FORMATS),
+  ignorePatterns: ['^\\.'],
+  watchDelay: 1000
+});
+
+export const DEFAULT_LOGGING = Object.freeze({
+  levels: LOG_LEVELS,
+  destination: 'file',
+  flushInterval: 1000,
+  fileRotation: { enabled: false, maxFiles: 7, maxSize: '10MB' }
+});
+
+// Environment variables and the setting each one sets, with the type its text is read as
+export const ENV_VARIABLES = Object.freeze({
+  PORT: ['webhookPort', 'integer'],
+  LOG_LEVEL: ['logLevel', 'string'],
+  CONVERSION_MASTER_PATH: ['conversionMasterPath', 'string'],
+  PRODUCT_CATALOG_PATH: ['productCatalogPath', 'string'],
+  DATA_DIRECTORY: ['dataDirectory', 'string'],
+  LOG_DIRECTORY: ['logDirectory', 'string'],
+  STATE_DIRECTORY: ['stateDirectory', 'string'],
+  ENABLE_WEBHOOK: ['enableWebhook', 'boolean'],
+  ENABLE_FILE_WATCHER: ['enableFileWatcher', 'boolean']
+});
+
+/**
+ * Error raised when a configuration layer has settings of the wrong type or out of range
+ * Carries every problem found, each with the layer (file, environment, options) and setting
+ */
+export class ConfigError extends Error {
+  constructor(errors) {
+    const summary = errors.slice(0, 3).map(error => `${error.source}: ${error.path} ${error.message}`).join('; ');
+    const more = errors.length > 3 ? ` (and ${errors.length - 3} more)` : '';
+    super(`Invalid configuration: ${summary}${more}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const describe = (value) => JSON.stringify(value) ?? String(value);
+
+// Checks return a problem, or null when the value is fine
+const string = (value) => (typeof value === 'string' && value !== '' ? null : 'must be a non-empty string');
+const boolean = (value) => (typeof value === 'boolean' ? null : 'must be true or false');
+const object = (value) => (isPlainObject(value) ? null : 'must be an object');
+const integer = (min, max = Infinity) => (value) => (
+  Number.isInteger(value) && value >= min && value <= max
+    ? null
+    : `must be an integer ${max === Infinity ? `of ${min} or more` : `from ${min} to ${max}`}`
+);
+const oneOf = (values) => (value) => (values.includes(value) ? null : `must be one of ${values.join(', ')}`);
+const either = (...checks) => (value) => (checks.some(check => check(value) === null) ? null : checks.map(check => check(value)).join(' or '));
+const nullable = (check) => (value) => (value === null ? null : check(value));
+const size = (value) => (
+  (typeof value === 'string' && /^\d+(\.\d+)?\s*(b|kb|mb|gb)?$/i.test(value)) || integer(1)(value) === null
+    ? null
+    : 'must be a size such as "10MB" or a number of bytes'
+);
+const list = (check) => (value) => {
+  if (!Array.isArray(value)) {
+    return 'must be an array';
+  }
+  const problem = value.map(check).find(Boolean);
+  return problem ? `entries ${problem.replace(/^must/, 'must each')}` : null;
+};
+const pattern = (value) => {
+  if (typeof value !== 'string') {
+    return 'must be a regular expression string';
+  }
+  try {
+    new RegExp(value);
+    return null;
+  } catch (error) {
+    return `is not a valid regular expression (${error.message})`;
+  }
+};
+const format = (value) => (STREAMABLE_FORMATS[value] ? null : `must be one of ${Object.keys(STREAMABLE_FORMATS).join(', ')}`);
+
+/**
+ * Expected type of each setting; objects handled by their own modules (rounding, output,
+ * jobs, delivery, auth...) are only checked to be objects here
+ */
+const SETTINGS = {
+  conversionMasterPath: string,
+  // null turns the product catalog (and with it the unknown SKU policy) off
+  productCatalogPath: nullable(string),
+  dataDirectory: string,
+  logDirectory: string,
+  stateDirectory: string,
+  auditDirectory: string,
+  archiveDirectory: string,
+  quarantineDirectory: string,
+  deadLetterDirectory: string,
+  enableWebhook: boolean,
+  enableFileWatcher: boolean,
+  watchConversionMaster: boolean,
+  includeBreakdown: boolean,
+  logToConsole: boolean,
+  webhookPort: integer(0, 65535),
+  logLevel: string,
+  masterReloadDelay: integer(0),
+  writeStabilityThreshold: integer(0),
+  progressInterval: integer(1),
+  auditItemLimit: integer(0),
+  stockHistoryLimit: integer(1),
+  maxBodySize: size,
+  unknownSkuPolicy: string,
+  batchPolicy: either(string, object),
+  rateLimit: nullable(object),
+  rounding: object,
+  csvProfiles: object,
+  output: object,
+  jobs: object,
+  delivery: object,
+  auth: object,
+  fileWatcher: {
+    supportedFormats: list(format),
+    ignorePatterns: list(pattern),
+    watchDelay: integer(0)
+  },
+  logging: {
+    levels: list(string),
+    destination: oneOf(LOG_DESTINATIONS),
+    flushInterval: integer(0),
+    fileRotation: {
+      enabled: boolean,
+      maxFiles: integer(1),
+      maxSize: size
+    }
+  }
+};
+
+// Settings holding a path; relative ones in config files are relative to the file's directory
+const PATH_SETTING = /(Path|Directory)$/;
+
+/**
+ * Check the settings a layer sets against SETTINGS; settings not listed there pass unchecked
+ */
+function validateLayer(settings, source, schema = SETTINGS, prefix = '') {
+  const errors = [];
+  for (const [key, value] of Object.entries(settings)) {
+    const check = schema[key];
+    const settingPath = `${prefix}${key}`;
+    if (value === undefined || !check) {
+      continue;
+    }
+    if (typeof check === 'function') {
+      const problem = check(value);
+      if (problem) {
+        errors.push({ source, path: settingPath, message: `${problem}, got ${describe(value)}` });
+      }
+    } else if (!isPlainObject(value)) {
+      errors.push({ source, path: settingPath, message: `must be an object, got ${describe(value)}` });
+    } else {
+      errors.push(...validateLayer(value, source, check, `${settingPath}.`));
+    }
+  }
+  return errors;
+}
+
+// Collections of named entries: a later layer sets the whole collection rather than adding to it
+const REPLACED_SETTINGS = new Set(['csvProfiles', 'output.sources', 'auth.clients', 'rounding.units']);
+
+/**
+ * Merge `source` into `target`: plain objects key by key (but for REPLACED_SETTINGS), anything
+ * else (arrays included) replaced
+ * Undefined values leave the target as it is.
+ */
+export function mergeConfig(target, source, prefix = '') {
+  const merged = { ...target };
+  for (const [key, value] of Object.entries(source)) {
+    const settingPath = `${prefix}${key}`;
+    if (value === undefined) {
+      continue;
+    }
+    merged[key] = isPlainObject(value) && isPlainObject(merged[key]) && !REPLACED_SETTINGS.has(settingPath)
+      ? mergeConfig(merged[key], value, `${settingPath}.`)
+      : value;
+  }
+  return merged;
+}
+
+/**
+ * Settings from a config file: its converter section, plus the fileWatcher and logging
+ * sections; missing files set nothing
+ * Relative paths are resolved against the directory holding the file, wherever it is.
+ */
+function readConfigFile(filePath) {
+  if (!fs.pathExistsSync(filePath)) {
+    return null;
+  }
+
+  let contents;
+  try {
+    contents = fs.readJsonSync(filePath);
+  } catch (error) {
+    throw new ConfigError([{ source: filePath, path: '$', message: `is not valid JSON (${error.message})` }]);
+  }
+  if (!isPlainObject(contents)) {
+    throw new ConfigError([{ source: filePath, path: '$', message: 'must be a JSON object' }]);
+  }
+
+  const { converter = {}, fileWatcher, logging } = contents;
+  if (!isPlainObject(converter)) {
+    throw new ConfigError([{ source: filePath, path: 'converter', message: 'must be an object' }]);
+  }
+
+  const directory = path.dirname(path.resolve(filePath));
+  const settings = { ...converter, fileWatcher, logging };
+  for (const [key, value] of Object.entries(converter)) {
+    if (PATH_SETTING.test(key) && typeof value === 'string' && value !== '') {
+      settings[key] = path.resolve(directory, value);
+    }
+  }
+  return settings;
+}
+
+/**
+ * Settings from the environment variables in ENV_VARIABLES; text that is not of the expected
+ * type is kept as it is, for validation to report
+ */
+export function readEnvironment(env) {
+  const settings = {};
+  for (const [variable, [key, type]] of Object.entries(ENV_VARIABLES)) {
+    const text = env[variable]?.trim();
+    if (!text) {
+      continue;
+    }
+    if (type === 'integer') {
+      settings[key] = /^\d+$/.test(text) ? Number(text) : text;
+    } else if (type === 'boolean') {
+      settings[key] = { true: true, 1: true, yes: true, false: false, 0: false, no: false }[text.toLowerCase()] ?? text;
+    } else {
+      settings[key] = text;
+    }
+  }
+  return settings;
+}
+
+/**
+ * The converter configuration, from lowest to highest precedence:
+ * 1. config/default.json
+ * 2. config/<environment>.json, for options.environment or else NODE_ENV
+ * 3. environment variables (ENV_VARIABLES)
+ * 4. options, as passed to the InventoryUnitConverter constructor
+ * The config directory is options.configDirectory, else CONFIG_DIRECTORY, else the project's
+ * config/; null reads no files. Every layer is validated, and throws a ConfigError naming
+ * the file, variable or option at fault. Settings left unset get their defaults from the converter.
+ */
+export function loadConfig(options = {}, { env = process.env } = {}) {
+  const { configDirectory = env.CONFIG_DIRECTORY ?? DEFAULT_CONFIG_DIRECTORY, environment = env.NODE_ENV ?? null, ...settings } = options;
+
+  const layers = [];
+  if (configDirectory) {
+    const files = ['default.json', ...(environment ? [`${environment}.json`] : [])];
+    for (const file of files) {
+      const filePath = path.join(configDirectory, file);
+      const fileSettings = readConfigFile(filePath);
+      if (fileSettings) {
+        layers.push([filePath, fileSettings]);
+      }
+    }
+  }
+  layers.push(['environment', readEnvironment(env)], ['options', settings]);
+
+  const errors = [];
+  for (const [source, layer] of layers) {
+    // Environment variables are reported by name
+    const found = validateLayer(layer, source);
+    errors.push(...(source === 'environment'
+      ? found.map(error => ({ ...error, path: Object.keys(ENV_VARIABLES).find(name => ENV_VARIABLES[name][0] === error.path) }))
+      : found));
+  }
+  if (errors.length > 0) {
+    throw new ConfigError(errors);
+  }
+
+  const config = layers.reduce((merged, [, layer]) => mergeConfig(merged, layer), {});
+  const levels = config.logging?.levels ?? DEFAULT_LOGGING.levels;
+  const missingLevels = LOG_LEVELS.filter(level => !levels.includes(level));
+  if (missingLevels.length > 0) {
+    errors.push({ source: 'merged', path: 'logging.levels', message: `must include ${missingLevels.join(', ')}` });
+  }
+  if (config.logLevel !== undefined && !levels.includes(config.logLevel)) {
+    errors.push({ source: 'merged', path: 'logLevel', message: `must be one of ${levels.join(', ')}, got ${describe(config.logLevel)}` });
+  }
+  if (errors.length > 0) {
+    throw new ConfigError(errors);
+  }
+  return config;
+}
+
+export default loadConfig;
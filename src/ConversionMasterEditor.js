@@ -0,0 +1,102 @@
+import HttpError from './HttpError.js';
+import UnitGraph from './UnitGraph.js';
+
+// Fields a client may set on a rule; anything else in the body is ignored
+const RULE_FIELDS = ['default', 'products', 'sources', 'suppliers', 'effectiveFrom', 'effectiveTo'];
+
+/**
+ * Next master version: the last numeric part is incremented (1.0.9 -> 1.0.10), else ".1" is appended
+ */
+export function bumpVersion(version) {
+  const match = /^(.*?)(\d+)$/.exec(String(version ?? ''));
+  return match ? `${match[1]}${Number(match[2]) + 1}` : `${version}.1`;
+}
+
+const pickRuleFields = (body = {}) => Object.fromEntries(
+  RULE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+const requireRule = (master, ruleKey) => {
+  const rule = master.conversionRules[ruleKey];
+  if (!rule) {
+    throw new HttpError(404, `Rule not found: ${ruleKey}`);
+  }
+  return rule;
+};
+
+/**
+ * Edits applied to a copy of the master; each returns the value to send back
+ * Validation of the resulting master is left to the caller.
+ */
+export const masterEdits = {
+  createRule(master, ruleKey, body) {
+    if (!UnitGraph.parseRuleKey(ruleKey || '')) {
+      throw new HttpError(400, 'Rule key must look like FROM_TO_TO, e.g. CARTON_TO_PALLET');
+    }
+    if (master.conversionRules[ruleKey]) {
+      throw new HttpError(409, `Rule already exists: ${ruleKey}`);
+    }
+    master.conversionRules[ruleKey] = { products: {}, ...pickRuleFields(body) };
+    return master.conversionRules[ruleKey];
+  },
+
+  updateRule(master, ruleKey, body) {
+    requireRule(master, ruleKey);
+    master.conversionRules[ruleKey] = { products: {}, ...pickRuleFields(body) };
+    return master.conversionRules[ruleKey];
+  },
+
+  deleteRule(master, ruleKey) {
+    requireRule(master, ruleKey);
+    delete master.conversionRules[ruleKey];
+    return null;
+  },
+
+  setOverride(master, ruleKey, sku, factor) {
+    const rule = requireRule(master, ruleKey);
+    if (factor === undefined) {
+      throw new HttpError(400, 'factor is required');
+    }
+    const created = rule.products?.[sku] === undefined;
+    rule.products = { ...rule.products, [sku]: factor };
+    return { sku, factor, created };
+  },
+
+  deleteOverride(master, ruleKey, sku) {
+    const rule = requireRule(master, ruleKey);
+    if (!rule.products || !(sku in rule.products)) {
+      throw new HttpError(404, `No override for ${sku} in ${ruleKey}`);
+    }
+    delete rule.products[sku];
+    return null;
+  },
+
+  /**
+   * Add a unit to supportedUnits and, unless inHierarchy is false, to unitHierarchy
+   * (after the unit named by `after`, or at the top)
+   */
+  addUnit(master, { unit, after, inHierarchy = true } = {}) {
+    if (typeof unit !== 'string' || !/^[A-Z][A-Z0-9_]*$/.test(unit)) {
+      throw new HttpError(400, 'unit must be an upper-case name such as PALLET or INNER_PACK');
+    }
+    if (master.supportedUnits.includes(unit)) {
+      throw new HttpError(409, `Unit already supported: ${unit}`);
+    }
+
+    master.supportedUnits.push(unit);
+
+    if (inHierarchy) {
+      if (after === undefined) {
+        master.unitHierarchy.push(unit);
+      } else {
+        const index = master.unitHierarchy.indexOf(after);
+        if (index === -1) {
+          throw new HttpError(400, `Unit ${after} is not in unitHierarchy`);
+        }
+        master.unitHierarchy.splice(index + 1, 0, unit);
+      }
+    }
+
+    return { unitHierarchy: master.unitHierarchy, supportedUnits: master.supportedUnits };
+  }
+};
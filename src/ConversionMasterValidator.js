@@ -0,0 +1,610 @@
+import fs from 'fs-extra';
+import UnitGraph from './UnitGraph.js';
+import Fraction from './Fraction.js';
+import { isDatedFactor, toTimestamp, collectBoundaries, resolveRulesAsOf } from './EffectiveDating.js';
+import { normalizeUnitKey } from './UnitAliases.js';
+import { COUNT_DIMENSION } from './Measures.js';
+
+/**
+ * Error raised when a conversion master fails validation
+ * Carries every problem found, each with the JSON path it applies to
+ */
+export class ConversionMasterValidationError extends Error {
+  constructor(errors, source = 'conversion master') {
+    const summary = errors.slice(0, 3).map(error => `${error.path}: ${error.message}`).join('; ');
+    const more = errors.length > 3 ? ` (and ${errors.length - 3} more)` : '';
+    super(`Invalid ${source}: ${summary}${more}`);
+    this.name = 'ConversionMasterValidationError';
+    this.errors = errors;
+  }
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isPositiveFactor = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+const factorsDiffer = (a, b) => Fraction.from(a).compare(b) !== 0;
+
+/**
+ * Validate a conversion master object, both its shape and the consistency of its factors
+ * Returns { valid, errors } where each error is { path, code, message }
+ */
+export function validateConversionMaster(master) {
+  const errors = [];
+  const report = (path, code, message) => errors.push({ path, code, message });
+
+  if (!isPlainObject(master)) {
+    report('$', 'INVALID_TYPE', 'Conversion master must be a JSON object');
+    return { valid: false, errors };
+  }
+
+  if (master.version === undefined) {
+    report('version', 'REQUIRED', 'version is required');
+  } else if (typeof master.version !== 'string' || master.version.trim() === '') {
+    report('version', 'INVALID_TYPE', 'version must be a non-empty string');
+  }
+
+  const supportedUnits = validateUnitList(master, 'supportedUnits', report);
+  const unitHierarchy = validateUnitList(master, 'unitHierarchy', report);
+
+  if (supportedUnits && unitHierarchy) {
+    unitHierarchy.forEach((unit, index) => {
+      if (!supportedUnits.includes(unit)) {
+        report(`unitHierarchy[${index}]`, 'UNSUPPORTED_UNIT', `Unit ${unit} is not listed in supportedUnits`);
+      }
+    });
+  }
+
+  const measureUnitNames = validateMeasures(master, supportedUnits, unitHierarchy, report);
+  const aliasableUnits = supportedUnits && [...supportedUnits, ...measureUnitNames];
+
+  if (master.unitAliases !== undefined) {
+    validateAliases(master.unitAliases, 'unitAliases', aliasableUnits, report);
+  }
+
+  if (master.sourceUnitAliases !== undefined) {
+    if (!isPlainObject(master.sourceUnitAliases)) {
+      report('sourceUnitAliases', 'INVALID_TYPE', 'sourceUnitAliases must map each source to its unit aliases');
+    } else {
+      for (const [source, aliases] of Object.entries(master.sourceUnitAliases)) {
+        validateAliases(aliases, `sourceUnitAliases.${source}`, aliasableUnits, report);
+      }
+    }
+  }
+
+  if (master.ordering !== undefined) {
+    validateOrdering(master.ordering, unitHierarchy, report);
+  }
+
+  if (master.conversionRules === undefined) {
+    report('conversionRules', 'REQUIRED', 'conversionRules is required');
+  } else if (!isPlainObject(master.conversionRules)) {
+    report('conversionRules', 'INVALID_TYPE', 'conversionRules must be an object');
+  } else {
+    const validRules = validateRules(master.conversionRules, supportedUnits, report);
+    checkEachPeriod(validRules, unitHierarchy || [], report);
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Read and validate a conversion master file in one shot (e.g. before publishing it to outlets)
+ */
+export async function validateConversionMasterFile(filePath) {
+  let master;
+  try {
+    master = await fs.readJson(filePath);
+  } catch (error) {
+    return { valid: false, errors: [{ path: '$', code: 'UNREADABLE', message: error.message }] };
+  }
+  return validateConversionMaster(master);
+}
+
+function validateUnitList(master, field, report) {
+  const units = master[field];
+
+  if (units === undefined) {
+    report(field, 'REQUIRED', `${field} is required`);
+    return null;
+  }
+  if (!Array.isArray(units)) {
+    report(field, 'INVALID_TYPE', `${field} must be an array of unit names`);
+    return null;
+  }
+
+  units.forEach((unit, index) => {
+    if (typeof unit !== 'string' || unit.trim() === '') {
+      report(`${field}[${index}]`, 'INVALID_TYPE', 'Unit names must be non-empty strings');
+    } else if (units.indexOf(unit) !== index) {
+      report(`${field}[${index}]`, 'DUPLICATE_UNIT', `Unit ${unit} is listed more than once`);
+    }
+  });
+
+  return units;
+}
+
+/**
+ * Check the measure dimensions and per-SKU net measures; returns the measure unit names
+ * Measure units must not clash with packaging units, and each product measure must name a
+ * dimension and a unit of that dimension.
+ */
+function validateMeasures(master, supportedUnits, unitHierarchy, report) {
+  const unitDimensions = new Map();
+  const countUnits = new Set([...(supportedUnits || []), ...(unitHierarchy || [])]);
+
+  if (master.measures !== undefined && !isPlainObject(master.measures)) {
+    report('measures', 'INVALID_TYPE', 'measures must map each dimension to its base unit and units');
+  }
+
+  for (const [dimension, definition] of Object.entries(isPlainObject(master.measures) ? master.measures : {})) {
+    const dimensionPath = `measures.${dimension}`;
+
+    if (dimension === COUNT_DIMENSION) {
+      report(dimensionPath, 'INVALID_TYPE', `${COUNT_DIMENSION} is reserved for the unit hierarchy`);
+      continue;
+    }
+    if (!isPlainObject(definition) || typeof definition.baseUnit !== 'string' || definition.baseUnit.trim() === '') {
+      report(dimensionPath, 'REQUIRED', 'A dimension needs a baseUnit and a units object');
+      continue;
+    }
+    if (definition.units !== undefined && !isPlainObject(definition.units)) {
+      report(`${dimensionPath}.units`, 'INVALID_TYPE', 'units must map each unit to its size in the base unit');
+      continue;
+    }
+
+    const sizes = [[definition.baseUnit, 1], ...Object.entries(definition.units || {})];
+    for (const [unit, size] of sizes) {
+      const unitPath = unit === definition.baseUnit ? `${dimensionPath}.baseUnit` : `${dimensionPath}.units.${unit}`;
+
+      if (countUnits.has(unit)) {
+        report(unitPath, 'DUPLICATE_UNIT', `Unit ${unit} is already a packaging unit`);
+      } else if (unitDimensions.has(unit)) {
+        report(unitPath, 'DUPLICATE_UNIT', `Unit ${unit} is already a ${unitDimensions.get(unit)} unit`);
+      } else if (!isPositiveFactor(size)) {
+        report(unitPath, 'NON_POSITIVE_FACTOR', `Size must be a positive number, got ${JSON.stringify(size)}`);
+      } else {
+        unitDimensions.set(unit, dimension);
+      }
+    }
+  }
+
+  if (master.productMeasures !== undefined && !isPlainObject(master.productMeasures)) {
+    report('productMeasures', 'INVALID_TYPE', 'productMeasures must map each SKU to its net measures per piece');
+  }
+
+  for (const [sku, measures] of Object.entries(isPlainObject(master.productMeasures) ? master.productMeasures : {})) {
+    if (!isPlainObject(measures)) {
+      report(`productMeasures.${sku}`, 'INVALID_TYPE', 'Product measures must map each dimension to { value, unit }');
+      continue;
+    }
+
+    for (const [dimension, measure] of Object.entries(measures)) {
+      const measurePath = `productMeasures.${sku}.${dimension}`;
+
+      if (!isPlainObject(master.measures?.[dimension]) || dimension === COUNT_DIMENSION) {
+        report(measurePath, 'UNSUPPORTED_UNIT', `Dimension ${dimension} is not defined in measures`);
+      } else if (!isPlainObject(measure)) {
+        report(measurePath, 'INVALID_TYPE', 'Product measure must be { value, unit }');
+      } else {
+        if (!isPositiveFactor(measure.value)) {
+          report(`${measurePath}.value`, 'NON_POSITIVE_FACTOR', `Value must be a positive number, got ${JSON.stringify(measure.value)}`);
+        }
+        if (unitDimensions.get(measure.unit) !== dimension) {
+          report(`${measurePath}.unit`, 'UNSUPPORTED_UNIT', `Unit ${measure.unit} is not a ${dimension} unit`);
+        }
+      }
+    }
+  }
+
+  return [...unitDimensions.keys()];
+}
+
+/**
+ * Check order settings: { default: {...}, products: { SKU: {...} } }, each with orderUnits
+ * (packaging units from the hierarchy), minimumOrder ({ quantity, unit }) and packCosts
+ */
+function validateOrdering(ordering, unitHierarchy, report) {
+  if (!isPlainObject(ordering)) {
+    report('ordering', 'INVALID_TYPE', 'ordering must be { default, products }');
+    return;
+  }
+  if (ordering.products !== undefined && !isPlainObject(ordering.products)) {
+    report('ordering.products', 'INVALID_TYPE', 'ordering.products must map each SKU to its order settings');
+  }
+
+  const entries = [
+    ['ordering.default', ordering.default],
+    ...Object.entries(isPlainObject(ordering.products) ? ordering.products : {})
+      .map(([sku, settings]) => [`ordering.products.${sku}`, settings])
+  ];
+  const isPackUnit = (unit) => !unitHierarchy || unitHierarchy.includes(unit);
+
+  for (const [settingsPath, settings] of entries) {
+    if (settings === undefined) {
+      continue;
+    }
+    if (!isPlainObject(settings)) {
+      report(settingsPath, 'INVALID_TYPE', 'Order settings must be an object');
+      continue;
+    }
+
+    const { orderUnits, minimumOrder, packCosts } = settings;
+    if (orderUnits !== undefined) {
+      if (!Array.isArray(orderUnits) || orderUnits.length === 0) {
+        report(`${settingsPath}.orderUnits`, 'INVALID_TYPE', 'orderUnits must be a non-empty array of units');
+      } else {
+        orderUnits.forEach((unit, index) => {
+          if (!isPackUnit(unit)) {
+            report(`${settingsPath}.orderUnits[${index}]`, 'UNSUPPORTED_UNIT', `Unit ${unit} is not in unitHierarchy`);
+          }
+        });
+      }
+    }
+
+    if (minimumOrder !== undefined) {
+      if (!isPlainObject(minimumOrder)) {
+        report(`${settingsPath}.minimumOrder`, 'INVALID_TYPE', 'minimumOrder must be { quantity, unit }');
+      } else {
+        if (!isPositiveFactor(minimumOrder.quantity)) {
+          report(`${settingsPath}.minimumOrder.quantity`, 'NON_POSITIVE_FACTOR', `Quantity must be a positive number, got ${JSON.stringify(minimumOrder.quantity)}`);
+        }
+        if (!isPackUnit(minimumOrder.unit)) {
+          report(`${settingsPath}.minimumOrder.unit`, 'UNSUPPORTED_UNIT', `Unit ${minimumOrder.unit} is not in unitHierarchy`);
+        }
+      }
+    }
+
+    if (packCosts !== undefined) {
+      if (!isPlainObject(packCosts)) {
+        report(`${settingsPath}.packCosts`, 'INVALID_TYPE', 'packCosts must map each order unit to its cost');
+      } else {
+        for (const [unit, cost] of Object.entries(packCosts)) {
+          if (!isPackUnit(unit)) {
+            report(`${settingsPath}.packCosts.${unit}`, 'UNSUPPORTED_UNIT', `Unit ${unit} is not in unitHierarchy`);
+          } else if (typeof cost !== 'number' || !Number.isFinite(cost) || cost < 0) {
+            report(`${settingsPath}.packCosts.${unit}`, 'INVALID_TYPE', `Cost must be a number of 0 or more, got ${JSON.stringify(cost)}`);
+          }
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Check an alias table ({ PIECE: ['PCS', 'EA'] }): known units, string spellings, and no
+ * spelling that would mean two different units
+ */
+function validateAliases(aliases, aliasPath, supportedUnits, report) {
+  if (!isPlainObject(aliases)) {
+    report(aliasPath, 'INVALID_TYPE', 'Aliases must map each unit to a list of spellings');
+    return;
+  }
+
+  const claimed = new Map((supportedUnits || []).map(unit => [normalizeUnitKey(unit), unit]));
+
+  for (const [unit, spellings] of Object.entries(aliases)) {
+    const unitPath = `${aliasPath}.${unit}`;
+
+    if (supportedUnits && !supportedUnits.includes(unit)) {
+      report(unitPath, 'UNSUPPORTED_UNIT', `Unit ${unit} is not listed in supportedUnits or measures`);
+    }
+    if (!Array.isArray(spellings)) {
+      report(unitPath, 'INVALID_TYPE', 'Aliases must be a list of spellings');
+      continue;
+    }
+
+    spellings.forEach((spelling, index) => {
+      if (typeof spelling !== 'string' || spelling.trim() === '') {
+        report(`${unitPath}[${index}]`, 'INVALID_TYPE', 'Aliases must be non-empty strings');
+        return;
+      }
+
+      const key = normalizeUnitKey(spelling);
+      const owner = claimed.get(key);
+      if (owner && owner !== unit) {
+        report(`${unitPath}[${index}]`, 'ALIAS_CONFLICT', `Alias ${spelling} already means ${owner}`);
+      } else {
+        claimed.set(key, unit);
+      }
+    });
+  }
+}
+
+/**
+ * Check each rule's key and factors; returns the rules sound enough for semantic checks
+ */
+function validateRules(conversionRules, supportedUnits, report) {
+  const validRules = {};
+
+  for (const [ruleKey, rule] of Object.entries(conversionRules)) {
+    const rulePath = `conversionRules.${ruleKey}`;
+    const units = UnitGraph.parseRuleKey(ruleKey);
+    let sound = true;
+
+    if (!units || units.fromUnit === units.toUnit) {
+      report(rulePath, 'INVALID_RULE_KEY', `Rule key must look like FROM_TO_TO between two different units`);
+      continue;
+    }
+
+    if (supportedUnits) {
+      for (const unit of [units.fromUnit, units.toUnit]) {
+        if (!supportedUnits.includes(unit)) {
+          report(rulePath, 'UNSUPPORTED_UNIT', `Unit ${unit} is not listed in supportedUnits`);
+        }
+      }
+    }
+
+    if (!isPlainObject(rule)) {
+      report(rulePath, 'INVALID_TYPE', 'Rule must be an object with default and products');
+      continue;
+    }
+
+    sound = validateRange(rule, rulePath, report) && sound;
+
+    if (rule.default === undefined) {
+      report(`${rulePath}.default`, 'REQUIRED', 'default factor is required');
+      sound = false;
+    } else {
+      sound = validateFactor(rule.default, `${rulePath}.default`, report) && sound;
+    }
+
+    if (rule.products !== undefined && !isPlainObject(rule.products)) {
+      report(`${rulePath}.products`, 'INVALID_TYPE', 'products must be an object of SKU factors');
+      sound = false;
+    } else {
+      for (const [sku, factor] of Object.entries(rule.products || {})) {
+        sound = validateFactor(factor, `${rulePath}.products.${sku}`, report) && sound;
+      }
+    }
+
+    for (const layer of ['sources', 'suppliers']) {
+      sound = validateOverrideLayer(rule[layer], `${rulePath}.${layer}`, report) && sound;
+    }
+
+    if (sound) {
+      validRules[ruleKey] = rule;
+    }
+  }
+
+  return validRules;
+}
+
+/**
+ * Check source or supplier overrides: { 'outlet-002': { SKU001: 12 } }
+ */
+function validateOverrideLayer(layer, layerPath, report) {
+  if (layer === undefined) {
+    return true;
+  }
+  if (!isPlainObject(layer)) {
+    report(layerPath, 'INVALID_TYPE', 'Overrides must map each source or supplier to SKU factors');
+    return false;
+  }
+
+  let sound = true;
+  for (const [key, overrides] of Object.entries(layer)) {
+    if (!isPlainObject(overrides)) {
+      report(`${layerPath}.${key}`, 'INVALID_TYPE', 'Overrides must be an object of SKU factors');
+      sound = false;
+      continue;
+    }
+    for (const [sku, factor] of Object.entries(overrides)) {
+      sound = validateFactor(factor, `${layerPath}.${key}.${sku}`, report) && sound;
+    }
+  }
+  return sound;
+}
+
+/**
+ * Check a plain factor, or each entry of a dated factor list, and that dated entries do not overlap
+ */
+function validateFactor(factor, factorPath, report) {
+  if (!isDatedFactor(factor)) {
+    if (!isPositiveFactor(factor)) {
+      report(factorPath, 'NON_POSITIVE_FACTOR', `Factor must be a positive number, got ${JSON.stringify(factor)}`);
+      return false;
+    }
+    return true;
+  }
+
+  let sound = true;
+  const ranges = [];
+
+  factor.forEach((entry, index) => {
+    const entryPath = `${factorPath}[${index}]`;
+    if (!isPlainObject(entry)) {
+      report(entryPath, 'INVALID_TYPE', 'Dated factor entries must be objects with factor, effectiveFrom and effectiveTo');
+      sound = false;
+      return;
+    }
+    if (!isPositiveFactor(entry.factor)) {
+      report(`${entryPath}.factor`, 'NON_POSITIVE_FACTOR', `Factor must be a positive number, got ${JSON.stringify(entry.factor)}`);
+      sound = false;
+    }
+    if (validateRange(entry, entryPath, report)) {
+      ranges.push({
+        index,
+        from: toTimestamp(entry.effectiveFrom) ?? -Infinity,
+        to: toTimestamp(entry.effectiveTo) ?? Infinity
+      });
+    } else {
+      sound = false;
+    }
+  });
+
+  ranges.sort((a, b) => a.from - b.from);
+  for (let i = 1; i < ranges.length; i++) {
+    if (ranges[i].from < ranges[i - 1].to) {
+      report(`${factorPath}[${ranges[i].index}]`, 'OVERLAPPING_RANGE',
+        `Effective range overlaps entry ${ranges[i - 1].index}`);
+      sound = false;
+    }
+  }
+
+  return sound;
+}
+
+/**
+ * Check optional effectiveFrom / effectiveTo dates on a rule or dated factor entry
+ */
+function validateRange(range, rangePath, report) {
+  let sound = true;
+
+  for (const field of ['effectiveFrom', 'effectiveTo']) {
+    if (range[field] !== undefined && toTimestamp(range[field]) === null) {
+      report(`${rangePath}.${field}`, 'INVALID_DATE', `Not a valid date: ${JSON.stringify(range[field])}`);
+      sound = false;
+    }
+  }
+
+  const from = toTimestamp(range.effectiveFrom);
+  const to = toTimestamp(range.effectiveTo);
+  if (from !== null && to !== null && from >= to) {
+    report(`${rangePath}.effectiveTo`, 'INVALID_RANGE', 'effectiveTo must be after effectiveFrom');
+    sound = false;
+  }
+
+  return sound;
+}
+
+/**
+ * Run the consistency checks on the rules in effect during each dated period
+ */
+function checkEachPeriod(rules, unitHierarchy, report) {
+  const boundaries = collectBoundaries({ conversionRules: rules });
+  const periodStarts = [null, ...boundaries];
+
+  periodStarts.forEach((start, index) => {
+    const end = boundaries[index] ?? null;
+    const label = describePeriod(start, end);
+    const sampleTime = start ?? (end !== null ? end - 1 : Date.now());
+
+    const periodRules = Object.fromEntries(Object.entries(resolveRulesAsOf(rules, sampleTime))
+      .filter(([, rule]) => rule.default !== undefined));
+    const reportInPeriod = (path, code, message) => report(path, code, `${message}${label}`);
+
+    checkInverseRules(periodRules, reportInPeriod);
+    checkComposableRules(periodRules, unitHierarchy, reportInPeriod);
+  });
+}
+
+function describePeriod(start, end) {
+  const bounds = [
+    start !== null && `from ${new Date(start).toISOString()}`,
+    end !== null && `until ${new Date(end).toISOString()}`
+  ].filter(Boolean);
+  return bounds.length > 0 ? ` (in effect ${bounds.join(' ')})` : '';
+}
+
+/**
+ * Every override context the rules mention: { sku } for SKU overrides, plus { sku, source }
+ * and { sku, supplier } for source and supplier overrides
+ */
+const contextsOf = (...rules) => {
+  const contexts = new Map();
+  const add = (context) => contexts.set(JSON.stringify(context), context);
+
+  for (const rule of rules) {
+    Object.keys(rule.products || {}).forEach(sku => add({ sku }));
+    for (const [source, overrides] of Object.entries(rule.sources || {})) {
+      Object.keys(overrides).forEach(sku => add({ sku, source }));
+    }
+    for (const [supplier, overrides] of Object.entries(rule.suppliers || {})) {
+      Object.keys(overrides).forEach(sku => add({ sku, supplier }));
+    }
+  }
+  return [...contexts.values()];
+};
+
+const factorFor = (rule, context) => UnitGraph.resolveFactor(rule, context.sku, context);
+
+const LAYER_PATHS = {
+  source: (context) => `sources.${context.source}.${context.sku}`,
+  supplier: (context) => `suppliers.${context.supplier}.${context.sku}`,
+  sku: (context) => `products.${context.sku}`,
+  default: () => 'default'
+};
+
+const factorPath = (ruleKey, layer, context) => `conversionRules.${ruleKey}.${LAYER_PATHS[layer](context)}`;
+
+const describeContext = ({ sku, source, supplier }) => [
+  `for ${sku}`,
+  source && `at ${source}`,
+  supplier && `from supplier ${supplier}`
+].filter(Boolean).join(' ');
+
+/**
+ * X_TO_Y and Y_TO_X describe the same pack, so their effective factors must match for every
+ * SKU, source and supplier
+ */
+function checkInverseRules(rules, report) {
+  for (const [ruleKey, rule] of Object.entries(rules)) {
+    const { fromUnit, toUnit } = UnitGraph.parseRuleKey(ruleKey);
+    const inverseKey = `${toUnit}_TO_${fromUnit}`;
+    const inverse = rules[inverseKey];
+
+    // Report each pair once, on the rule that sorts last
+    if (!inverse || ruleKey < inverseKey) {
+      continue;
+    }
+
+    if (factorsDiffer(rule.default, inverse.default)) {
+      report(`conversionRules.${ruleKey}.default`, 'INVERSE_MISMATCH',
+        `Factor ${rule.default} disagrees with ${inverseKey} default ${inverse.default}`);
+    }
+
+    for (const context of contextsOf(rule, inverse)) {
+      const { factor, layer } = factorFor(rule, context);
+      const { factor: inverseFactor } = factorFor(inverse, context);
+      if (factorsDiffer(factor, inverseFactor)) {
+        report(factorPath(ruleKey, layer, context), 'INVERSE_MISMATCH',
+          `Factor ${factor} ${describeContext(context)} disagrees with ${inverseKey} factor ${inverseFactor}`);
+      }
+    }
+  }
+}
+
+/**
+ * A rule spanning more than one hierarchy level (e.g. PIECE_TO_CARTON) must equal the
+ * product of the factors along the path that does not use it, by default and for every
+ * SKU, source and supplier override
+ */
+function checkComposableRules(rules, unitHierarchy, report) {
+  const allContexts = contextsOf(...Object.values(rules));
+
+  for (const [ruleKey, rule] of Object.entries(rules)) {
+    const { fromUnit, toUnit } = UnitGraph.parseRuleKey(ruleKey);
+    const fromIndex = unitHierarchy.indexOf(fromUnit);
+    const toIndex = unitHierarchy.indexOf(toUnit);
+
+    if (fromIndex === -1 || toIndex === -1 || Math.abs(fromIndex - toIndex) < 2) {
+      continue;
+    }
+
+    const otherRules = Object.fromEntries(Object.entries(rules).filter(([key]) =>
+      key !== ruleKey && key !== `${toUnit}_TO_${fromUnit}`));
+    const graph = new UnitGraph(otherRules, unitHierarchy);
+    const direct = new UnitGraph({ [ruleKey]: rule }, unitHierarchy);
+
+    for (const context of [{ sku: null }, ...allContexts]) {
+      const derivedSteps = graph.resolve(fromUnit, toUnit, context.sku, context);
+      if (!derivedSteps) {
+        continue;
+      }
+
+      const derived = UnitGraph.applySteps(1, derivedSteps);
+      const explicit = UnitGraph.applySteps(1, direct.resolve(fromUnit, toUnit, context.sku, context));
+
+      if (factorsDiffer(derived, explicit)) {
+        const { factor, layer } = factorFor(rule, context);
+        const label = context.sku ? describeContext(context) : 'by default';
+        const composed = derivedSteps.map(step => `${step.ruleKey} (${step.factor})`).join(' x ');
+        report(factorPath(ruleKey, layer, context), 'NOT_COMPOSABLE',
+          `Factor ${factor} ${label} does not match ${composed}`);
+      }
+    }
+  }
+}
+
+export default validateConversionMaster;
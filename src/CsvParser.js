@@ -0,0 +1,355 @@
+/**
+ * RFC 4180 CSV parsing for inventory exports
+ * Handles quoted fields (with embedded delimiters, quotes and line breaks), CRLF/LF/CR line
+ * endings, byte order marks, delimiter detection and decimal commas. Malformed lines are
+ * reported with their row and column instead of being silently mangled.
+ */
+
+export const DELIMITER_CANDIDATES = [',', ';', '\t', '|'];
+
+const NUMBER_PATTERN = /^[+-]?\d+(\.\d+)?$/;
+const DECIMAL_COMMA_PATTERN = /^[+-]?\d+,\d+$/;
+
+/**
+ * Decode raw file content to text, honoring a byte order mark
+ * With encoding 'auto', content that is not valid UTF-8 is read as Windows-1252.
+ */
+export function decodeCsv(input, encoding = 'auto') {
+  if (typeof input === 'string') {
+    return { text: input.replace(/^\uFEFF/, ''), encoding: 'utf-8' };
+  }
+
+  const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+  let detected = encoding;
+
+  if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+    detected = 'utf-8';
+  } else if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+    detected = 'utf-16le';
+  } else if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+    detected = 'utf-16be';
+  }
+
+  if (detected === 'auto') {
+    try {
+      return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes).replace(/^\uFEFF/, ''), encoding: 'utf-8' };
+    } catch {
+      detected = 'windows-1252';
+    }
+  }
+
+  const decoder = new TextDecoder(detected);
+  return { text: decoder.decode(bytes).replace(/^\uFEFF/, ''), encoding: decoder.encoding };
+}
+
+/**
+ * Most frequent candidate delimiter outside quotes on the first non-empty line
+ */
+export function detectDelimiter(text) {
+  const firstLine = text.split(/\r\n|\n|\r/).find(line => line.trim() !== '') || '';
+  const counts = Object.fromEntries(DELIMITER_CANDIDATES.map(candidate => [candidate, 0]));
+
+  let inQuotes = false;
+  for (const char of firstLine) {
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && char in counts) {
+      counts[char]++;
+    }
+  }
+
+  const [best, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+  return count > 0 ? best : ',';
+}
+
+/**
+ * Incremental CSV record parser: push() decoded text in chunks of any size and get back the
+ * records completed so far, as { rows: [{ row, fields }], errors: [{ row, column, message }] }
+ * where `row` is the 1-based line a record starts on. Blank lines are skipped.
+ */
+export class CsvRowParser {
+  constructor(delimiter = ',') {
+    this.delimiter = delimiter;
+    this.fields = [];
+    this.field = '';
+    this.inQuotes = false;
+    this.afterQuote = false;
+    this.recordQuoted = false;
+    this.line = 1;
+    this.recordLine = 1;
+    // A trailing quote or CR whose meaning depends on the next chunk
+    this.pending = '';
+  }
+
+  push(chunk, final = false) {
+    const text = this.pending + chunk;
+    const rows = [];
+    const errors = [];
+    const holdBack = !final && (text.endsWith('"') || text.endsWith('\r'));
+    const end = holdBack ? text.length - 1 : text.length;
+
+    const endField = () => {
+      this.fields.push(this.field);
+      this.field = '';
+      this.afterQuote = false;
+    };
+
+    const endRecord = () => {
+      endField();
+      const blank = this.fields.length === 1 && this.fields[0].trim() === '' && !this.recordQuoted;
+      if (!blank) {
+        rows.push({ row: this.recordLine, fields: this.fields });
+      }
+      this.fields = [];
+      this.recordQuoted = false;
+    };
+
+    let i = 0;
+    for (; i < end; i++) {
+      const char = text[i];
+
+      if (this.inQuotes) {
+        if (char === '"') {
+          if (text[i + 1] === '"') {
+            this.field += '"';
+            i++;
+          } else {
+            this.inQuotes = false;
+            this.afterQuote = true;
+          }
+          continue;
+        }
+        if (char === '\n' || (char === '\r' && text[i + 1] !== '\n')) {
+          this.line++;
+        }
+        this.field += char;
+        continue;
+      }
+
+      if (char === this.delimiter) {
+        endField();
+      } else if (char === '\r' || char === '\n') {
+        if (char === '\r' && text[i + 1] === '\n') {
+          i++;
+        }
+        endRecord();
+        this.line++;
+        this.recordLine = this.line;
+      } else if (char === '"' && this.field.trim() === '' && !this.afterQuote) {
+        this.inQuotes = true;
+        this.recordQuoted = true;
+        this.field = '';
+      } else if (this.afterQuote) {
+        if (char !== ' ' && char !== '\t') {
+          errors.push({ row: this.recordLine, column: this.fields.length + 1, message: `Unexpected character ${JSON.stringify(char)} after closing quote` });
+          this.afterQuote = false;
+          this.field += char;
+        }
+      } else {
+        if (char === '"') {
+          errors.push({ row: this.recordLine, column: this.fields.length + 1, message: 'Unexpected quote in unquoted field' });
+        }
+        this.field += char;
+      }
+    }
+
+    // The held-back character may already have been consumed as lookahead
+    this.pending = holdBack && i === end ? text[end] : '';
+
+    if (final) {
+      if (this.inQuotes) {
+        errors.push({ row: this.recordLine, column: this.fields.length + 1, message: 'Unterminated quoted field' });
+      }
+      if (this.field !== '' || this.fields.length > 0 || this.recordQuoted) {
+        endRecord();
+      }
+    }
+
+    return { rows, errors };
+  }
+
+  end() {
+    return this.push('', true);
+  }
+}
+
+/**
+ * Split CSV text into records of raw string fields
+ * Returns { rows: [{ row, fields }], errors: [{ row, column, message }] } where `row` is the
+ * 1-based line a record starts on. Blank lines are skipped.
+ */
+export function parseCsvRows(text, delimiter = ',') {
+  return new CsvRowParser(delimiter).push(text, true);
+}
+
+/**
+ * Parse a numeric field; returns undefined when the value is not a plain number
+ * A decimal comma is accepted when decimalSeparator is ',' (or 'auto' with a non-comma delimiter).
+ */
+export function parseNumber(value, decimalSeparator = '.') {
+  const trimmed = value.trim();
+
+  if (NUMBER_PATTERN.test(trimmed)) {
+    return parseFloat(trimmed);
+  }
+  if (decimalSeparator === ',' && DECIMAL_COMMA_PATTERN.test(trimmed)) {
+    return parseFloat(trimmed.replace(',', '.'));
+  }
+  return undefined;
+}
+
+/**
+ * Incremental inventory CSV reader: push() decoded text chunks, get back the items of the
+ * rows completed so far as { items, errors }; see parseInventoryCsv for the profile
+ * The delimiter is detected once the first line is complete.
+ */
+export class InventoryCsvReader {
+  constructor(profile = {}) {
+    this.profile = profile;
+    this.delimiter = !profile.delimiter || profile.delimiter === 'auto' ? null : profile.delimiter;
+    this.buffered = '';
+    this.rowParser = null;
+    this.keys = null;
+    this.rowsWithErrors = new Set();
+    this.unitSpellings = Object.fromEntries(Object.entries(profile.units || {})
+      .map(([spelling, unit]) => [spelling.trim().toUpperCase(), unit]));
+  }
+
+  push(text, final = false) {
+    if (!this.rowParser) {
+      this.buffered += text;
+      // Wait for a complete first non-empty line before guessing the delimiter
+      if (!final && !/\S[^\r\n]*[\r\n]/.test(this.buffered)) {
+        return { items: [], errors: [] };
+      }
+      this.delimiter = this.delimiter || detectDelimiter(this.buffered);
+      this.decimalSeparator = !this.profile.decimalSeparator || this.profile.decimalSeparator === 'auto'
+        ? (this.delimiter === ',' ? '.' : ',')
+        : this.profile.decimalSeparator;
+      this.rowParser = new CsvRowParser(this.delimiter);
+      text = this.buffered;
+      this.buffered = '';
+    }
+
+    const { rows, errors } = this.rowParser.push(text, final);
+    const items = [];
+    errors.forEach(error => this.rowsWithErrors.add(error.row));
+
+    for (const record of rows) {
+      if (!this.keys) {
+        this.setHeader(record.fields);
+        continue;
+      }
+      const item = this.toItem(record, errors);
+      if (item) {
+        items.push(item);
+      }
+    }
+
+    return { items, errors };
+  }
+
+  end() {
+    return this.push('', true);
+  }
+
+  setHeader(headerFields) {
+    const headerToField = Object.fromEntries(Object.entries(this.profile.columns || {})
+      .map(([fieldName, header]) => [String(header).trim().toLowerCase(), fieldName]));
+    this.keys = headerFields.map(header => headerToField[header.trim().toLowerCase()] || header.trim());
+  }
+
+  toItem({ row, fields }, errors) {
+    if (this.rowsWithErrors.has(row)) {
+      return null;
+    }
+    if (fields.length !== this.keys.length) {
+      const column = Math.min(fields.length, this.keys.length) + 1;
+      errors.push({ row, column, message: `Expected ${this.keys.length} fields but found ${fields.length}` });
+      return null;
+    }
+
+    const item = {};
+    this.keys.forEach((key, index) => {
+      const value = fields[index].trim();
+      // Keep SKUs as text so codes like 00123 survive
+      const number = key === 'sku' ? undefined : parseNumber(value, this.decimalSeparator);
+      item[key] = number === undefined ? value : number;
+    });
+
+    if (typeof item.unit === 'string' && this.unitSpellings[item.unit.toUpperCase()]) {
+      item.unit = this.unitSpellings[item.unit.toUpperCase()];
+    }
+
+    return item;
+  }
+}
+
+/**
+ * Incremental decoder for raw CSV bytes, with the same encoding rules as decodeCsv
+ * With 'auto', the first chunk decides between UTF-8 and Windows-1252.
+ */
+export class CsvDecoder {
+  constructor(encoding = 'auto') {
+    this.requested = encoding;
+    this.decoder = null;
+  }
+
+  write(bytes) {
+    if (!this.decoder) {
+      this.decoder = this.createDecoder(bytes);
+    }
+    try {
+      return this.decoder.decode(bytes, { stream: true });
+    } catch {
+      throw new Error('CSV is not valid UTF-8 throughout; set the encoding in its CSV profile');
+    }
+  }
+
+  end() {
+    return this.decoder ? this.decoder.decode() : '';
+  }
+
+  get encoding() {
+    return this.decoder?.encoding ?? null;
+  }
+
+  createDecoder(bytes) {
+    if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+      return new TextDecoder('utf-8', { fatal: this.requested === 'auto' });
+    }
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+      return new TextDecoder('utf-16le');
+    }
+    if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+      return new TextDecoder('utf-16be');
+    }
+    if (this.requested !== 'auto') {
+      return new TextDecoder(this.requested);
+    }
+
+    try {
+      new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: true });
+      return new TextDecoder('utf-8', { fatal: true });
+    } catch {
+      return new TextDecoder('windows-1252');
+    }
+  }
+}
+
+/**
+ * Parse an inventory CSV export into { items, errors, delimiter, encoding }
+ *
+ * profile (optional):
+ * - columns: field -> outlet header, e.g. { sku: 'Item Code', quantity: 'Qty', unit: 'UOM' }
+ * - units: outlet unit spelling -> unit, e.g. { PCS: 'PIECE', CTN: 'CARTON' } (case-insensitive)
+ * - delimiter, encoding, decimalSeparator: override detection ('auto' by default)
+ */
+export function parseInventoryCsv(input, profile = {}) {
+  const { text, encoding } = decodeCsv(input, profile.encoding || 'auto');
+  const reader = new InventoryCsvReader(profile);
+  const { items, errors } = reader.push(text, true);
+
+  errors.sort((a, b) => a.row - b.row || a.column - b.column);
+  return { items, errors, delimiter: reader.delimiter, encoding };
+}
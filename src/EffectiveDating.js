@@ -0,0 +1,138 @@
+/**
+ * Effective dating for conversion masters
+ *
+ * A rule may carry `effectiveFrom` / `effectiveTo`, and any factor (a rule's `default` or a
+ * per-SKU override) may be a list of dated entries instead of a number:
+ *
+ *   "SKU002": [
+ *     { "factor": 24, "effectiveTo": "2024-06-01T00:00:00Z" },
+ *     { "factor": 20, "effectiveFrom": "2024-06-01T00:00:00Z" }
+ *   ]
+ *
+ * Ranges are half-open: in effect from `effectiveFrom` (inclusive) until `effectiveTo` (exclusive);
+ * an omitted bound is open-ended.
+ */
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+export const isDatedFactor = (value) => Array.isArray(value);
+
+/**
+ * Parse a date-ish value (Date, ISO string, epoch ms) to epoch ms, or null if invalid
+ */
+export function toTimestamp(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const time = value instanceof Date ? value.getTime() : new Date(value).getTime();
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Whether a { effectiveFrom, effectiveTo } range covers the given epoch ms
+ */
+export function isInEffect(range, time) {
+  const from = toTimestamp(range.effectiveFrom);
+  const to = toTimestamp(range.effectiveTo);
+  return (from === null || time >= from) && (to === null || time < to);
+}
+
+/**
+ * Resolve a plain or dated factor to the number in effect, or undefined if none is
+ */
+export function factorAsOf(value, time) {
+  if (!isDatedFactor(value)) {
+    return value;
+  }
+  return value.find(entry => isPlainObject(entry) && isInEffect(entry, time))?.factor;
+}
+
+/**
+ * All distinct dates (epoch ms, ascending) at which some rule or factor changes
+ */
+export function collectBoundaries(master) {
+  const boundaries = new Set();
+  const addRange = (range) => {
+    for (const bound of [range.effectiveFrom, range.effectiveTo]) {
+      const time = toTimestamp(bound);
+      if (time !== null) {
+        boundaries.add(time);
+      }
+    }
+  };
+
+  for (const rule of Object.values(master?.conversionRules || {})) {
+    if (!isPlainObject(rule)) {
+      continue;
+    }
+    addRange(rule);
+    const layered = [rule.sources, rule.suppliers]
+      .flatMap(layer => Object.values(layer || {}))
+      .flatMap(overrides => Object.values(overrides || {}));
+    for (const value of [rule.default, ...Object.values(rule.products || {}), ...layered]) {
+      if (isDatedFactor(value)) {
+        value.filter(isPlainObject).forEach(addRange);
+      }
+    }
+  }
+
+  return [...boundaries].sort((a, b) => a - b);
+}
+
+/**
+ * The period between boundaries that contains the given time: { effectiveFrom, effectiveTo } as epoch ms or null
+ */
+export function periodContaining(boundaries, time) {
+  let effectiveFrom = null;
+  let effectiveTo = null;
+
+  for (const boundary of boundaries) {
+    if (boundary <= time) {
+      effectiveFrom = boundary;
+    } else {
+      effectiveTo = boundary;
+      break;
+    }
+  }
+
+  return { effectiveFrom, effectiveTo };
+}
+
+/**
+ * Per-SKU overrides in effect at a time; SKUs with no entry in effect are left out
+ */
+function overridesAsOf(overrides, time) {
+  const resolved = {};
+  for (const [sku, value] of Object.entries(overrides || {})) {
+    const factor = factorAsOf(value, time);
+    if (factor !== undefined) {
+      resolved[sku] = factor;
+    }
+  }
+  return resolved;
+}
+
+const mapLayer = (layer, fn) => Object.fromEntries(Object.entries(layer).map(([key, value]) => [key, fn(value)]));
+
+/**
+ * Conversion rules with every dated factor resolved for the given time
+ * Rules out of effect are dropped, as are SKU, source and supplier overrides with no entry in effect
+ */
+export function resolveRulesAsOf(conversionRules, time) {
+  const resolved = {};
+
+  for (const [ruleKey, rule] of Object.entries(conversionRules || {})) {
+    if (!isPlainObject(rule) || !isInEffect(rule, time)) {
+      continue;
+    }
+
+    resolved[ruleKey] = {
+      default: factorAsOf(rule.default, time),
+      products: overridesAsOf(rule.products, time),
+      ...(rule.sources && { sources: mapLayer(rule.sources, overrides => overridesAsOf(overrides, time)) }),
+      ...(rule.suppliers && { suppliers: mapLayer(rule.suppliers, overrides => overridesAsOf(overrides, time)) })
+    };
+  }
+
+  return resolved;
+}
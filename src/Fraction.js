@@ -0,0 +1,155 @@
+const gcd = (a, b) => {
+  let x = a < 0n ? -a : a;
+  let y = b < 0n ? -b : b;
+  while (y !== 0n) {
+    [x, y] = [y, x % y];
+  }
+  return x;
+};
+
+/**
+ * Fraction - Exact rational number backed by BigInt
+ * Used for conversion arithmetic so chained factors never drift
+ */
+export class Fraction {
+  constructor(numerator, denominator = 1n) {
+    let n = BigInt(numerator);
+    let d = BigInt(denominator);
+
+    if (d === 0n) {
+      throw new Error('Fraction denominator cannot be zero');
+    }
+    if (d < 0n) {
+      n = -n;
+      d = -d;
+    }
+
+    const divisor = gcd(n, d) || 1n;
+    this.numerator = n / divisor;
+    this.denominator = d / divisor;
+    Object.freeze(this);
+  }
+
+  /**
+   * Exact fraction from a Fraction, bigint or finite number (0.1 becomes 1/10, not its binary approximation)
+   */
+  static from(value) {
+    if (value instanceof Fraction) {
+      return value;
+    }
+    if (typeof value === 'bigint') {
+      return new Fraction(value);
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      throw new Error(`Cannot convert ${JSON.stringify(value)} to an exact number`);
+    }
+    if (Number.isInteger(value) && Number.isSafeInteger(value)) {
+      return new Fraction(BigInt(value));
+    }
+
+    // The shortest decimal that round-trips, e.g. "1.5e+0"
+    const [mantissa, exponent] = value.toExponential().split('e');
+    const decimals = (mantissa.split('.')[1] || '').length;
+    const digits = BigInt(mantissa.replace('.', ''));
+    const scale = Number(exponent) - decimals;
+
+    return scale >= 0
+      ? new Fraction(digits * 10n ** BigInt(scale))
+      : new Fraction(digits, 10n ** BigInt(-scale));
+  }
+
+  /**
+   * Fraction from its toString() form, e.g. "-5/2" or "12"
+   */
+  static parse(text) {
+    const match = /^(-?\d+)(?:\/(\d+))?$/.exec(String(text).trim());
+    if (!match) {
+      throw new Error(`Cannot parse ${JSON.stringify(text)} as a fraction`);
+    }
+    return new Fraction(BigInt(match[1]), BigInt(match[2] ?? 1));
+  }
+
+  add(other) {
+    const o = Fraction.from(other);
+    return new Fraction(this.numerator * o.denominator + o.numerator * this.denominator, this.denominator * o.denominator);
+  }
+
+  sub(other) {
+    const o = Fraction.from(other);
+    return new Fraction(this.numerator * o.denominator - o.numerator * this.denominator, this.denominator * o.denominator);
+  }
+
+  mul(other) {
+    const o = Fraction.from(other);
+    return new Fraction(this.numerator * o.numerator, this.denominator * o.denominator);
+  }
+
+  div(other) {
+    const o = Fraction.from(other);
+    if (o.numerator === 0n) {
+      throw new Error('Division by zero');
+    }
+    return new Fraction(this.numerator * o.denominator, this.denominator * o.numerator);
+  }
+
+  compare(other) {
+    const o = Fraction.from(other);
+    const difference = this.numerator * o.denominator - o.numerator * this.denominator;
+    return difference === 0n ? 0 : (difference < 0n ? -1 : 1);
+  }
+
+  isInteger() {
+    return this.denominator === 1n;
+  }
+
+  isNegative() {
+    return this.numerator < 0n;
+  }
+
+  abs() {
+    return this.isNegative() ? new Fraction(-this.numerator, this.denominator) : this;
+  }
+
+  /**
+   * Largest integer not greater than this value (as a bigint)
+   */
+  floor() {
+    const quotient = this.numerator / this.denominator;
+    return this.numerator < 0n && quotient * this.denominator !== this.numerator ? quotient - 1n : quotient;
+  }
+
+  /**
+   * Smallest integer not less than this value (as a bigint)
+   */
+  ceil() {
+    const quotient = this.numerator / this.denominator;
+    return this.numerator > 0n && quotient * this.denominator !== this.numerator ? quotient + 1n : quotient;
+  }
+
+  /**
+   * Nearest integer, halves rounded away from zero (as a bigint)
+   */
+  round() {
+    const half = new Fraction(1n, 2n);
+    return this.isNegative() ? -this.abs().add(half).floor() : this.add(half).floor();
+  }
+
+  /**
+   * Round to a number of decimal places using 'round', 'floor' or 'ceil'
+   */
+  toDecimalPlaces(decimals, mode = 'round') {
+    const scale = 10n ** BigInt(decimals);
+    const scaled = this.mul(new Fraction(scale));
+    return new Fraction(scaled[mode](), scale);
+  }
+
+  toNumber() {
+    return Number(this.numerator) / Number(this.denominator);
+  }
+
+  toString() {
+    return this.denominator === 1n ? `${this.numerator}` : `${this.numerator}/${this.denominator}`;
+  }
+}
+
+export default Fraction;
@@ -0,0 +1,14 @@
+/**
+ * Error carrying the HTTP status an endpoint should answer with
+ * `details` is included in the JSON error response when present
+ */
+export class HttpError extends Error {
+  constructor(statusCode, message, details = undefined) {
+    super(message);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+export default HttpError;
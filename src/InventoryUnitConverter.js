@@ -2,29 +2,154 @@ import fs from 'fs-extra';
 import path from 'path';
 import chokidar from 'chokidar';
 import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { setImmediate } from 'timers/promises';
+import UnitGraph from './UnitGraph.js';
+import { COUNT_DIMENSION, buildMeasureRules, dimensionOf, hasMeasure, measureUnits } from './Measures.js';
+import Fraction from './Fraction.js';
+import { collectBoundaries, periodContaining, resolveRulesAsOf, toTimestamp } from './EffectiveDating.js';
+import { resolveRoundingPolicy, applyRounding, normalizeRoundingPolicy, DEFAULT_ROUNDING } from './RoundingPolicy.js';
+import { validateConversionMaster, ConversionMasterValidationError } from './ConversionMasterValidator.js';
+import { diffConversionMasters } from './MasterDiff.js';
+import { bumpVersion } from './ConversionMasterEditor.js';
+import { createAdminRouter } from './adminRoutes.js';
+import { createStockRouter } from './stockRoutes.js';
+import { writeJsonAtomic } from './fileUtils.js';
+import { parseInventoryCsv } from './CsvParser.js';
+import { STREAMABLE_FORMATS, readInventoryEntries } from './StreamingIngest.js';
+import { DEFAULT_OUTPUT, OUTPUT_FORMATS, assertOutputFormat, combineWriters, createEncoder, fileSink, selectUnit } from './OutputSinks.js';
+import UnitAliasResolver from './UnitAliases.js';
+import ProductCatalog from './ProductCatalog.js';
+import UnknownSkuQueue from './UnknownSkuQueue.js';
+import AuditLog, { hashFile, hashInput } from './AuditLog.js';
+import ProcessingLedger from './ProcessingLedger.js';
+import StockView, { createStockSnapshot } from './StockView.js';
+import { PlanTooLargeError, cheapestPackMix, singlePackOrder } from './OrderPlanner.js';
+import { BatchRejectedError, ITEM_ERROR_CODES, batchRejection, createBatchSummary, describeItemErrors, normalizeBatchPolicy, validateItemFields } from './ItemValidation.js';
+import RequestAuth from './RequestAuth.js';
+import JobQueue, { DEFAULT_JOBS } from './JobQueue.js';
+import { createJobRouter, describeJob } from './jobRoutes.js';
+import ResultDelivery, { DEFAULT_DELIVERY } from './ResultDelivery.js';
+import { createDeliveryRouter } from './deliveryRoutes.js';
+import { DEFAULT_FILE_WATCHER, DEFAULT_LOGGING, loadConfig, mergeConfig } from './ConfigLoader.js';
+import Logger from './Logger.js';
+import HttpError from './HttpError.js';
+
+// What standardizeItem does with a SKU missing from the product catalog
+export const UNKNOWN_SKU_POLICIES = ['flag', 'reject', 'hold'];
+
+// Unreadable lines listed in a streamed batch's output (and item errors in a rejected file's
+// quarantine sidecar); the rest are only counted
+const MAX_PARSE_ERRORS = 1000;
+
+const describePosition = ({ row, line, index, column }) => {
+  const position = row !== undefined ? `row ${row}` : line !== undefined ? `line ${line}` : `item ${index}`;
+  return column !== undefined ? `${position}, column ${column}` : position;
+};
 
 /**
  * InventoryUnitConverter - Always-on agent for inventory unit conversion
  * Auto-detects new inventory data and standardizes units using conversion rules
  */
 export class InventoryUnitConverter extends EventEmitter {
-  constructor(config = {}) {
+  constructor(options = {}) {
     super();
-    
+
+    // config/default.json, config/<NODE_ENV>.json, environment variables, then options
+    const config = loadConfig(options);
     this.config = {
-      conversionMasterPath: config.conversionMasterPath || './conversion-master.json',
-      dataDirectory: config.dataDirectory || './data',
-      logDirectory: config.logDirectory || './logs',
-      enableWebhook: config.enableWebhook || true,
-      webhookPort: config.webhookPort || 3000,
-      enableFileWatcher: config.enableFileWatcher || true,
-      logLevel: config.logLevel || 'info',
+      conversionMasterPath: './conversion-master.json',
+      dataDirectory: './data',
+      logDirectory: './logs',
+      enableWebhook: true,
+      webhookPort: 3000,
+      enableFileWatcher: true,
+      logLevel: 'info',
+      logToConsole: true,
+      includeBreakdown: false,
+      rounding: { ...DEFAULT_ROUNDING },
+      watchConversionMaster: true,
+      masterReloadDelay: 500,
+      csvProfiles: {},
+      productCatalogPath: './product-catalog.json',
+      unknownSkuPolicy: 'flag',
+      stateDirectory: './state',
+      auditDirectory: path.join(config.logDirectory ?? './logs', 'audit'),
+      archiveDirectory: './archive',
+      quarantineDirectory: './quarantine',
+      deadLetterDirectory: './dead-letter',
+      progressInterval: 1000,
+      auditItemLimit: 10000,
+      stockHistoryLimit: 10,
+      maxBodySize: '1mb',
+      rateLimit: null,
       ...config
     };
 
+    // Output, job, delivery, file watcher and logging settings are merged over their defaults key by key
+    this.config.output = {
+      directory: this.config.logDirectory,
+      ...DEFAULT_OUTPUT,
+      ...config.output
+    };
+    this.config.jobs = { ...DEFAULT_JOBS, ...config.jobs };
+    this.config.delivery = { ...DEFAULT_DELIVERY, ...config.delivery };
+    this.config.fileWatcher = { ...DEFAULT_FILE_WATCHER, ...config.fileWatcher };
+    this.config.logging = mergeConfig(DEFAULT_LOGGING, config.logging ?? {});
+
+    // writeStabilityThreshold is the older name of fileWatcher.watchDelay
+    this.config.writeStabilityThreshold = config.writeStabilityThreshold ?? this.config.fileWatcher.watchDelay;
+    this.ignorePatterns = this.config.fileWatcher.ignorePatterns.map(source => new RegExp(source));
+
+    // Fail fast on a misconfigured rounding policy, batch policy or output format
+    normalizeRoundingPolicy(this.config.rounding);
+    this.config.batchPolicy = normalizeBatchPolicy(this.config.batchPolicy);
+    this.assertUnknownSkuPolicy(this.config.unknownSkuPolicy);
+    [this.config.output, ...Object.values(this.config.output.sources)]
+      .filter(options => options.format !== undefined)
+      .forEach(options => assertOutputFormat(options.format));
+
     this.conversionRules = null;
+    this.ruleSetBoundaries = [];
+    this.ruleSets = new Map();
+    this.unrecognizedUnits = new Map();
+    this.productCatalog = new ProductCatalog();
+    this.unknownSkus = new UnknownSkuQueue(path.join(this.config.stateDirectory, 'unknown-skus.json'), {
+      onError: (error) => this.log('error', `Failed to save unknown SKU review queue: ${error.message}`)
+    });
     this.isRunning = false;
     this.fileWatcher = null;
+    this.masterWatcher = null;
+    this.masterReloadTimer = null;
+    this.masterQueue = Promise.resolve();
+    this.auditLog = new AuditLog(this.config.auditDirectory);
+    this.processingLedger = new ProcessingLedger(path.join(this.config.stateDirectory, 'processing-ledger.json'), {
+      onError: (error) => this.log('error', `Failed to save processing ledger: ${error.message}`)
+    });
+    this.stockView = new StockView(path.join(this.config.stateDirectory, 'stock.json'), {
+      historyLimit: this.config.stockHistoryLimit,
+      onError: (error) => this.log('error', `Failed to save stock view: ${error.message}`)
+    });
+    this.filesInFlight = new Set();
+    this.sinks = new Map([['file', fileSink]]);
+    this.jobs = new JobQueue(path.join(this.config.stateDirectory, 'jobs.json'), {
+      ...this.config.jobs,
+      run: (job, context) => this.runJob(job, context),
+      onFinish: (job) => this.emit('jobFinished', job),
+      // Failed and cancelled jobs still have their payload
+      onPrune: (job) => fs.remove(this.jobInputPath(job.id))
+        .catch(error => this.log('error', `Failed to remove the payload of job ${job.id}: ${error.message}`)),
+      onError: (error) => this.log('error', `Failed to save job queue: ${error.message}`)
+    });
+    this.deliveries = new ResultDelivery(path.join(this.config.stateDirectory, 'deliveries.json'), {
+      ...this.config.delivery,
+      deadLetterDirectory: this.config.deadLetterDirectory,
+      log: (level, message, fields) => this.log(level, message, fields),
+      onDelivered: (delivery) => this.emit('resultDelivered', delivery),
+      onDeadLetter: (delivery) => this.emit('deliveryDeadLettered', delivery),
+      onError: (error) => this.log('error', `Result delivery error: ${error.message}`)
+    });
+    this.requestAuth = new RequestAuth(this.config, { log: (level, message, fields) => this.log(level, message, fields) });
     this.webServer = null;
     
     this.setupLogging();
@@ -40,6 +165,21 @@ export class InventoryUnitConverter extends EventEmitter {
       // Load conversion master data
       await this.loadConversionMaster();
       
+      // Load the product catalog and SKUs still waiting for review
+      await this.loadProductCatalog();
+      await this.unknownSkus.load();
+      await this.processingLedger.load();
+      await this.stockView.load();
+      await this.jobs.load();
+      this.jobs.start();
+      await this.deliveries.load();
+      this.deliveries.start();
+      
+      // Pick up new conversion masters without a restart
+      if (this.config.watchConversionMaster) {
+        await this.setupMasterWatcher();
+      }
+      
       // Setup file watcher if enabled
       if (this.config.enableFileWatcher) {
         await this.setupFileWatcher();
@@ -62,6 +202,7 @@ export class InventoryUnitConverter extends EventEmitter {
 
   /**
    * Load conversion master data from JSON file
+   * A master that fails validation is rejected and the current rules stay active
    */
   async loadConversionMaster() {
     try {
@@ -70,7 +211,14 @@ export class InventoryUnitConverter extends EventEmitter {
       }
       
       const masterData = await fs.readJson(this.config.conversionMasterPath);
-      this.conversionRules = masterData;
+      
+      const { valid, errors } = validateConversionMaster(masterData);
+      if (!valid) {
+        errors.forEach(error => this.log('error', `Conversion master ${error.code} at ${error.path}: ${error.message}`));
+        throw new ConversionMasterValidationError(errors, this.config.conversionMasterPath);
+      }
+      
+      this.activateConversionMaster(masterData);
       
       this.log('info', `Loaded conversion master v${masterData.version}`);
       this.emit('conversionMasterLoaded', masterData);
@@ -81,6 +229,119 @@ export class InventoryUnitConverter extends EventEmitter {
     }
   }
 
+  /**
+   * Load the product catalog; without a catalog file every SKU is accepted
+   */
+  async loadProductCatalog() {
+    this.productCatalog = await ProductCatalog.load(this.config.productCatalogPath);
+
+    if (this.productCatalog.enabled) {
+      this.log('info', `Loaded product catalog with ${this.productCatalog.products.size} products`);
+    } else if (this.config.productCatalogPath) {
+      this.log('warn', `No product catalog at ${this.config.productCatalogPath}, unknown SKU policy is off`);
+    } else {
+      this.log('info', 'No product catalog configured, unknown SKU policy is off');
+    }
+  }
+
+  assertUnknownSkuPolicy(policy) {
+    if (!UNKNOWN_SKU_POLICIES.includes(policy)) {
+      throw new Error(`Unknown SKU policy must be one of ${UNKNOWN_SKU_POLICIES.join(', ')}, got ${JSON.stringify(policy)}`);
+    }
+  }
+
+  /**
+   * Swap in a validated master together with its derived state, in one synchronous step
+   * Work that already holds a rule set (e.g. a batch in progress) keeps using it.
+   */
+  activateConversionMaster(masterData) {
+    this.conversionRules = masterData;
+    this.ruleSetBoundaries = collectBoundaries(masterData);
+    this.ruleSets = new Map();
+  }
+
+  /**
+   * Watch the conversion master file and reload it after writes settle
+   */
+  async setupMasterWatcher() {
+    this.masterWatcher = chokidar.watch(this.config.conversionMasterPath, {
+      persistent: true,
+      ignoreInitial: true
+    });
+
+    const scheduleReload = () => {
+      clearTimeout(this.masterReloadTimer);
+      this.masterReloadTimer = setTimeout(() => {
+        this.masterReloadTimer = null;
+        this.reloadConversionMasterSafely();
+      }, this.config.masterReloadDelay);
+    };
+
+    this.masterWatcher.on('add', scheduleReload);
+    this.masterWatcher.on('change', scheduleReload);
+
+    await new Promise(resolve => this.masterWatcher.once('ready', resolve));
+    this.log('info', `Watching conversion master: ${this.config.conversionMasterPath}`);
+  }
+
+  /**
+   * Reload the master, keeping the last good version active if the new one is rejected
+   */
+  reloadConversionMasterSafely() {
+    return this.enqueueMasterTask(async () => {
+      try {
+        return await this.reloadConversionMaster();
+      } catch (error) {
+        this.log('warn', `Keeping conversion master v${this.conversionRules?.version} active: ${error.message}`);
+        this.emit('conversionMasterRejected', { error, activeVersion: this.conversionRules?.version });
+        return null;
+      }
+    });
+  }
+
+  /**
+   * Run master reloads and updates one at a time so they cannot interleave
+   */
+  enqueueMasterTask(task) {
+    const run = this.masterQueue.then(task);
+    this.masterQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Apply an edit to a copy of the conversion master, then validate, persist and activate it
+   * `expectedVersion` implements optimistic concurrency: the edit is refused with a 412 when
+   * the active master has moved on. The version is bumped automatically.
+   * Resolves to { master, result, diff } where `result` is what the edit returned.
+   */
+  updateConversionMaster(edit, { expectedVersion } = {}) {
+    return this.enqueueMasterTask(async () => {
+      const current = this.conversionRules;
+      if (expectedVersion !== undefined && expectedVersion !== current.version) {
+        throw new HttpError(412, `Conversion master is at v${current.version}, not v${expectedVersion}`);
+      }
+
+      const next = structuredClone(current);
+      const result = edit(next);
+      next.version = bumpVersion(current.version);
+      next.lastUpdated = new Date().toISOString();
+
+      const { valid, errors } = validateConversionMaster(next);
+      if (!valid) {
+        throw new ConversionMasterValidationError(errors, 'conversion master update');
+      }
+
+      await writeJsonAtomic(this.config.conversionMasterPath, next);
+      this.activateConversionMaster(next);
+
+      const diff = diffConversionMasters(current, next);
+      this.log('info', `Conversion master updated from v${diff.previousVersion} to v${diff.version}`);
+      this.emit('conversionMasterChanged', diff);
+
+      return { master: next, result, diff };
+    });
+  }
+
   /**
    * Setup file system watcher for auto-detection of new inventory data
    */
@@ -89,19 +350,20 @@ export class InventoryUnitConverter extends EventEmitter {
       // Ensure data directory exists
       await fs.ensureDir(this.config.dataDirectory);
       
+      // Files already in the directory are picked up too; the processing ledger skips content
+      // processed before. Files are only handed over once their size has stopped changing.
       this.fileWatcher = chokidar.watch(this.config.dataDirectory, {
-        ignored: /^\./,
+        ignored: (filePath) => filePath !== this.config.dataDirectory && this.isIgnoredFile(filePath),
         persistent: true,
-        ignoreInitial: false
+        ignoreInitial: false,
+        awaitWriteFinish: {
+          stabilityThreshold: this.config.writeStabilityThreshold,
+          pollInterval: Math.min(100, this.config.writeStabilityThreshold)
+        }
       });
 
       this.fileWatcher.on('add', (filePath) => {
-        this.log('info', `New file detected: ${filePath}`);
-        this.processInventoryFile(filePath);
-      });
-
-      this.fileWatcher.on('change', (filePath) => {
-        this.log('info', `File changed: ${filePath}`);
+        this.log('info', `New file detected: ${filePath}`, { file: filePath });
         this.processInventoryFile(filePath);
       });
 
@@ -113,16 +375,32 @@ export class InventoryUnitConverter extends EventEmitter {
     }
   }
 
+  /**
+   * Whether the file watcher leaves a file alone: its name matches fileWatcher.ignorePatterns
+   */
+  isIgnoredFile(filePath) {
+    const name = path.basename(filePath);
+    return this.ignorePatterns.some(pattern => pattern.test(name));
+  }
+
+  /**
+   * Whether a file is an inventory file to process: one of fileWatcher.supportedFormats
+   * and not ignored
+   */
+  isInventoryFile(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+    return Boolean(STREAMABLE_FORMATS[ext]) && this.config.fileWatcher.supportedFormats.includes(ext) && !this.isIgnoredFile(filePath);
+  }
+
   /**
    * Setup webhook server for API input
    */
   async setupWebhookServer() {
     const express = await import('express');
     const app = express.default();
-    
-    app.use(express.json());
-    
-    // Health check endpoint
+    const auth = this.requestAuth;
+
+    // Health check endpoint, open to all
     app.get('/health', (req, res) => {
       res.json({ 
         status: 'healthy', 
@@ -131,27 +409,126 @@ export class InventoryUnitConverter extends EventEmitter {
       });
     });
 
-    // Webhook endpoint for inventory data
-    app.post('/webhook/inventory', (req, res) => {
+    // API key and rate limit before the body is read, its signature after
+    app.use((req, res, next) => auth.authenticate(req, res, next));
+
+    // Keep the raw body so the audit log can hash exactly what was received
+    app.use(express.json({
+      limit: this.config.maxBodySize,
+      verify: (req, res, buffer) => {
+        req.rawBody = buffer;
+      }
+    }));
+    app.use((error, req, res, next) => {
+      const status = error.type === 'entity.too.large' ? 413 : error.status || 400;
+      const message = status === 413 ? `Request body exceeds ${this.config.maxBodySize}` : `Invalid request body: ${error.message}`;
+      auth.reject(req, res, status, message);
+    });
+    app.use((req, res, next) => auth.verifySignature(req, res, next));
+
+    // Webhook endpoint for inventory data; ?format= or the Accept header picks the response format,
+    // ?async=true queues the batch as a job instead (see /jobs)
+    app.post('/webhook/inventory', async (req, res) => {
       try {
-        this.log('info', 'Received inventory data via webhook');
-        const result = this.processInventoryData(req.body);
-        res.json({ success: true, result });
+        this.log('info', 'Received inventory data via webhook', { source: req.body?.source });
+        auth.assertSource(req, req.body?.source);
+        if (req.query.async === 'true') {
+          const job = await this.submitJob(req.body, {
+            rounding: this.roundingFromRequest(req, req.body?.rounding),
+            batchPolicy: this.batchPolicyFromRequest(req, req.body?.batchPolicy)
+          });
+          res.status(202).location(`/jobs/${job.id}`).json({ success: true, job: describeJob(job) });
+          return;
+        }
+        const format = this.responseFormat(req);
+        const result = this.processInventoryData(req.body, {
+          rounding: this.roundingFromRequest(req, req.body?.rounding),
+          batchPolicy: this.batchPolicyFromRequest(req, req.body?.batchPolicy)
+        });
+        await this.recordBatch(result, { channel: 'webhook', input: req.rawBody ?? req.body, output: 'webhook-response' });
+        this.recordStock(result);
+        await this.deliverResult(result, { channel: 'webhook' });
+
+        if (format === 'json') {
+          res.json({ success: true, result });
+        } else {
+          await this.sendBatch(res, result, format);
+        }
+      } catch (error) {
+        const status = error instanceof HttpError ? error.statusCode : 500;
+        this.log(status < 500 ? 'warn' : 'error', `Webhook processing error: ${error.message}`);
+        if (res.headersSent) {
+          res.destroy(error);
+          return;
+        }
+        res.status(status).json({ success: false, error: error.message, ...(error.details && { details: error.details }) });
+      }
+    });
+
+    // Conversion rule administration
+    app.use(createAdminRouter(this));
+
+    // Current stock across outlets
+    app.use(createStockRouter(this));
+
+    // Background jobs for large batches
+    app.use(createJobRouter(this));
+
+    // Outbound result deliveries and their dead letters
+    app.use(createDeliveryRouter(this));
+
+    // Audit trail of processed batches, e.g. /audit?sku=SKU001&from=2024-01-01&to=2024-01-31
+    app.get('/audit', async (req, res) => {
+      try {
+        auth.assertUnrestricted(req);
+        const { sku = null, source = null, from = null, to = null } = req.query;
+        const records = await this.auditLog.query({ sku, source, from, to })
+          .catch(error => {
+            throw new HttpError(400, error.message);
+          });
+        res.json({ success: true, count: records.length, records });
       } catch (error) {
-        this.log('error', `Webhook processing error: ${error.message}`);
-        res.status(500).json({ success: false, error: error.message });
+        const status = error instanceof HttpError ? error.statusCode : 500;
+        this.log(status >= 500 ? 'error' : 'warn', `Audit query error: ${error.message}`);
+        res.status(status).json({ success: false, error: error.message });
       }
     });
 
     // Direct conversion endpoint
     app.post('/convert', (req, res) => {
       try {
-        const { items, targetUnit } = req.body;
-        const result = this.convertUnits(items, targetUnit);
+        const { items, targetUnit, breakdown, rounding, asOf, source } = req.body;
+        auth.assertSource(req, source);
+        if (!Array.isArray(items)) {
+          throw new HttpError(400, 'Expected { items: [] }');
+        }
+        const result = this.convertUnits(items, targetUnit, {
+          breakdown,
+          asOf: this.asOfFromRequest(asOf),
+          source,
+          rounding: this.roundingFromRequest(req, rounding)
+        });
         res.json({ success: true, result });
       } catch (error) {
-        this.log('error', `Conversion API error: ${error.message}`);
-        res.status(500).json({ success: false, error: error.message });
+        const status = error instanceof HttpError ? error.statusCode : 500;
+        this.log(status >= 500 ? 'error' : 'warn', `Conversion API error: ${error.message}`);
+        res.status(status).json({ success: false, error: error.message });
+      }
+    });
+
+    // Order planning: whole packs to order per SKU
+    app.post('/plan', (req, res) => {
+      try {
+        const { items, source, asOf } = req.body;
+        auth.assertSource(req, source);
+        if (!Array.isArray(items)) {
+          throw new HttpError(400, 'Expected { items: [] }');
+        }
+        res.json({ success: true, result: this.planOrders(items, { source, asOf: this.asOfFromRequest(asOf) }) });
+      } catch (error) {
+        const status = error instanceof HttpError ? error.statusCode : (error instanceof PlanTooLargeError ? 422 : 500);
+        this.log(status >= 500 ? 'error' : 'warn', `Order planning API error: ${error.message}`);
+        res.status(status).json({ success: false, error: error.message });
       }
     });
 
@@ -169,238 +546,1441 @@ export class InventoryUnitConverter extends EventEmitter {
   }
 
   /**
-   * Process inventory file (JSON/CSV)
+   * Make a processed batch the current stock of its outlet (see StockView)
+   * `stock` is the snapshot collected while streaming; otherwise it is built from result.items.
+   * Batches without a source are not kept.
    */
-  async processInventoryFile(filePath) {
-    try {
-      const ext = path.extname(filePath).toLowerCase();
-      let data;
-
-      if (ext === '.json') {
-        data = await fs.readJson(filePath);
-      } else if (ext === '.csv') {
-        // Simple CSV parsing for demo - in production, use a proper CSV parser
-        const csvContent = await fs.readFile(filePath, 'utf8');
-        data = this.parseCSV(csvContent);
-      } else {
-        this.log('warn', `Unsupported file type: ${ext}`);
-        return;
-      }
+  recordStock(result, stock = null) {
+    if (!result.source) {
+      return null;
+    }
 
-      const result = this.processInventoryData(data);
-      await this.saveProcessedData(filePath, result);
-      
-      this.emit('fileProcessed', { filePath, result });
-      
+    let snapshot = stock;
+    if (!snapshot) {
+      const ruleSet = this.getRuleSet(result.conversionRuleSet.asOf);
+      snapshot = createStockSnapshot({ source: result.source, batchId: result.batchId, baseUnit: ruleSet.master.unitHierarchy[0] });
+      result.items.forEach(item => this.collectStock(snapshot, item, { source: result.source, ruleSet }));
+    }
+    return this.stockView.record(snapshot.build(result.processedAt));
+  }
+
+  /**
+   * Send a processed batch to the delivery destinations of its source (see ResultDelivery)
+   * Batches processed in memory carry their items; streamed ones only their summary, with
+   * `outputs` saying where the sinks wrote them. A batch that cannot be queued is logged, the
+   * batch itself stands.
+   */
+  async deliverResult(result, { channel, outputs = null }) {
+    try {
+      await this.deliveries.enqueue('batch.processed', { channel, result, outputs }, { source: result.source ?? null });
     } catch (error) {
-      this.log('error', `Failed to process file ${filePath}: ${error.message}`);
-      this.emit('processingError', { filePath, error });
+      this.log('error', `Failed to queue delivery of batch ${result.batchId}: ${error.message}`, { batchId: result.batchId, source: result.source });
     }
   }
 
   /**
-   * Process inventory data and standardize units
+   * Add a standardized item to a stock snapshot, exactly, in the snapshot's base unit
+   * Failed and held items, and items with no conversion to the base unit, are only counted.
    */
-  processInventoryData(data) {
-    this.log('info', 'Processing inventory data for unit standardization');
-    
-    if (!data || !Array.isArray(data.items)) {
-      throw new Error('Invalid inventory data format. Expected { items: [] }');
+  collectStock(snapshot, item, { source = null, ruleSet } = {}) {
+    if (item.error || item.held || !item.originalUnit) {
+      snapshot.skip();
+      return;
     }
 
-    const processedItems = data.items.map(item => {
-      return this.standardizeItem(item);
-    });
+    const options = { source, supplier: item.supplier ?? null, ruleSet };
+    try {
+      const quantity = item.originalCount
+        ? this.normalizeMixedQuantity(item.originalCount, item.sku, snapshot.baseUnit, options).exact
+        : this.convertExact(item.originalQuantity, item.originalUnit, snapshot.baseUnit, item.sku, options);
+      snapshot.add(item.sku, quantity, {
+        name: item.name ?? this.productCatalog.get(item.sku)?.name ?? null,
+        category: item.category ?? this.productCatalog.get(item.sku)?.category ?? null
+      });
+    } catch {
+      snapshot.skip();
+    }
+  }
 
-    const result = {
-      ...data,
-      items: processedItems,
-      processedAt: new Date().toISOString(),
-      conversionVersion: this.conversionRules.version
-    };
+  /**
+   * A SKU's stock at one or more outlets ({ source, baseUnit, quantity }) in `unit` (default:
+   * the base unit), rounded once: { quantity, unit, breakdown? }
+   * Each outlet's stock is converted with that outlet's factors; the breakdown uses the
+   * default pack sizes.
+   */
+  expressStock(outlets, sku, { unit = null, breakdown = false } = {}) {
+    const ruleSet = this.getRuleSet();
+    const targetUnit = unit ?? ruleSet.master.unitHierarchy[0];
+    const total = this.stockExact(outlets, sku, targetUnit, ruleSet);
 
-    this.log('info', `Processed ${processedItems.length} inventory items`);
-    return result;
+    return {
+      quantity: applyRounding(total, this.getRoundingPolicy(targetUnit), targetUnit),
+      unit: targetUnit,
+      ...(breakdown && { breakdown: this.breakdownQuantity(total, targetUnit, sku, { ruleSet }) })
+    };
   }
 
   /**
-   * Standardize a single inventory item's units
+   * Stock of several SKUs ({ sku, outlets }) added up in `unit` (default: the base unit)
+   * SKUs that cannot be expressed in the unit are left out and listed in `unconvertedSkus`.
    */
-  standardizeItem(item) {
-    const { sku, quantity, unit, ...rest } = item;
-    
-    if (!sku || !quantity || !unit) {
-      this.log('warn', `Invalid item format: ${JSON.stringify(item)}`);
-      return { ...item, error: 'Missing required fields: sku, quantity, unit' };
-    }
+  totalStock(entries, { unit = null } = {}) {
+    const ruleSet = this.getRuleSet();
+    const targetUnit = unit ?? ruleSet.master.unitHierarchy[0];
+    const unconvertedSkus = [];
+    let total = new Fraction(0n);
 
-    try {
-      // Convert to all standard units
-      const conversions = {};
-      
-      for (const targetUnit of this.conversionRules.supportedUnits) {
-        if (unit === targetUnit) {
-          conversions[targetUnit] = quantity;
-        } else {
-          conversions[targetUnit] = this.convertUnit(quantity, unit, targetUnit, sku);
-        }
+    for (const { sku, outlets } of entries) {
+      try {
+        total = total.add(this.stockExact(outlets, sku, targetUnit, ruleSet));
+      } catch {
+        unconvertedSkus.push(sku);
       }
-
-      return {
-        ...rest,
-        sku,
-        originalQuantity: quantity,
-        originalUnit: unit,
-        standardizedUnits: conversions,
-        convertedAt: new Date().toISOString()
-      };
-      
-    } catch (error) {
-      this.log('error', `Failed to standardize item ${sku}: ${error.message}`);
-      return { ...item, error: error.message };
     }
+
+    return {
+      quantity: applyRounding(total, this.getRoundingPolicy(targetUnit), targetUnit),
+      unit: targetUnit,
+      ...(unconvertedSkus.length > 0 && { unconvertedSkus })
+    };
+  }
+
+  stockExact(outlets, sku, unit, ruleSet) {
+    return outlets.reduce(
+      (total, { source, baseUnit, quantity }) => total.add(this.convertExact(quantity, baseUnit, unit, sku, { source, ruleSet })),
+      new Fraction(0n)
+    );
   }
 
   /**
-   * Convert units using conversion rules
+   * Response format asked for by ?format= or else the Accept header; JSON by default
    */
-  convertUnit(quantity, fromUnit, toUnit, sku = null) {
-    if (fromUnit === toUnit) {
-      return quantity;
-    }
-
-    const conversionKey = `${fromUnit}_TO_${toUnit}`;
-    const rules = this.conversionRules.conversionRules[conversionKey];
-    
-    if (!rules) {
-      throw new Error(`No conversion rule found for ${fromUnit} to ${toUnit}`);
+  responseFormat(req) {
+    if (req.query.format !== undefined) {
+      if (!OUTPUT_FORMATS[req.query.format]) {
+        throw new HttpError(400, `Unknown output format: ${req.query.format}`);
+      }
+      return req.query.format;
     }
 
-    // Use product-specific rule if available, otherwise use default
-    const conversionFactor = (sku && rules.products[sku]) ? rules.products[sku] : rules.default;
-    
-    // Determine if we're converting up or down the hierarchy
-    const hierarchy = this.conversionRules.unitHierarchy;
-    const fromIndex = hierarchy.indexOf(fromUnit);
-    const toIndex = hierarchy.indexOf(toUnit);
-    
-    let result;
-    if (fromIndex < toIndex) {
-      // Converting from smaller to larger unit (e.g., PIECE to BOX)
-      result = quantity / conversionFactor;
-    } else {
-      // Converting from larger to smaller unit (e.g., BOX to PIECE)
-      result = quantity * conversionFactor;
-    }
-    
-    this.log('debug', `Converted ${quantity} ${fromUnit} to ${result} ${toUnit} for ${sku || 'default'}`);
-    
-    return Math.round(result * 100) / 100; // Round to 2 decimal places
+    const accepted = req.accepts(Object.values(OUTPUT_FORMATS).map(({ contentType }) => contentType));
+    return Object.keys(OUTPUT_FORMATS).find(format => OUTPUT_FORMATS[format].contentType === accepted) ?? 'json';
   }
 
   /**
-   * Convert multiple items to target unit
+   * Stream a processed batch as the response body in `format`, with the batch's source output
+   * settings (target unit, extra columns)
    */
-  convertUnits(items, targetUnit) {
-    return items.map(item => {
-      const converted = this.convertUnit(item.quantity, item.unit, targetUnit, item.sku);
-      return {
-        ...item,
-        convertedQuantity: converted,
-        convertedUnit: targetUnit,
-        conversionFactor: converted / item.quantity
-      };
+  async sendBatch(res, result, format) {
+    const { items, ...header } = result;
+    const options = this.outputOptions(result.source ?? null);
+    const ruleSet = this.getRuleSet(result.conversionRuleSet.asOf);
+    const encoder = createEncoder(format, res, {
+      units: options.targetUnit ? [options.targetUnit] : this.outputUnits(ruleSet),
+      columns: options.columns
     });
+
+    res.type(OUTPUT_FORMATS[format].contentType);
+    await encoder.open(header);
+    for (const item of items) {
+      await encoder.writeItem(selectUnit(item, options.targetUnit));
+    }
+    await encoder.close({});
+    res.end();
   }
 
   /**
-   * Save processed data to logs
+   * Process inventory file (JSON/CSV/NDJSON)
+   * Files are streamed: items are read, converted and written to the output one at a time,
+   * with `progress` events along the way (see processInventoryStream).
+   * Content already processed (per the processing ledger) is skipped. Processed files move
+   * to the archive directory; files that fail move to quarantine with an error sidecar.
    */
-  async saveProcessedData(originalPath, processedData) {
+  async processInventoryFile(filePath) {
+    if (!this.isInventoryFile(filePath)) {
+      this.log('warn', `Not an inventory file to process: ${filePath}`, { file: filePath });
+      return;
+    }
+    if (this.filesInFlight.has(filePath)) {
+      return;
+    }
+
+    this.filesInFlight.add(filePath);
+    let hash = null;
+
     try {
-      const fileName = path.basename(originalPath, path.extname(originalPath));
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const outputPath = path.join(this.config.logDirectory, `processed_${fileName}_${timestamp}.json`);
-      
-      await fs.ensureDir(this.config.logDirectory);
-      await fs.writeJson(outputPath, processedData, { spaces: 2 });
+      hash = await hashFile(filePath);
+
+      const previous = this.processingLedger.get(hash);
+      if (previous?.status === 'processed') {
+        const archivedPath = await this.moveInputFile(filePath, this.config.archiveDirectory, hash);
+        this.log('info', `Skipping ${filePath}: same content as ${previous.file}, processed ${previous.processedAt}`, { file: filePath, batchId: previous.batchId });
+        this.emit('fileSkipped', { filePath, hash, previous, archivedPath });
+        return;
+      }
+
+      const { result, outputs, audit, stock } = await this.processInventoryStream(filePath);
+      const outputPath = outputs[0] ?? null;
+      await this.recordBatch(result, { channel: 'file', inputHash: hash, inputFile: filePath, outputs, ...audit });
+      this.recordStock(result, stock);
+      await this.deliverResult(result, { channel: 'file', outputs });
+
+      const archivedPath = await this.moveInputFile(filePath, this.config.archiveDirectory, hash);
+      this.processingLedger.record(hash, {
+        status: 'processed',
+        file: path.basename(filePath),
+        batchId: result.batchId,
+        processedAt: result.processedAt,
+        outputPath,
+        archivedPath
+      });
       
-      this.log('info', `Saved processed data to: ${outputPath}`);
+      this.emit('fileProcessed', { filePath, result, outputPath, outputs, archivedPath });
       
     } catch (error) {
-      this.log('error', `Failed to save processed data: ${error.message}`);
+      this.log('error', `Failed to process file ${filePath}: ${error.message}`, { file: filePath });
+      const quarantinedPath = hash ? await this.quarantineInputFile(filePath, hash, error) : null;
+      this.emit('processingError', { filePath, error, quarantinedPath });
+    } finally {
+      this.filesInFlight.delete(filePath);
     }
   }
 
   /**
-   * Simple CSV parser (for demo purposes)
+   * Queue an inventory payload ({ source, items, ... }) for background processing
+   * The payload is kept in the jobs directory until the job succeeds. options (rounding,
+   * batchPolicy) apply to the job's batch. Resolves to the queued job.
    */
-  parseCSV(csvContent) {
-    const lines = csvContent.trim().split('\n');
-    const headers = lines[0].split(',').map(h => h.trim());
-    
-    const items = lines.slice(1).map(line => {
-      const values = line.split(',').map(v => v.trim());
-      const item = {};
-      
-      headers.forEach((header, index) => {
-        const value = values[index];
-        // Try to parse as number if it looks like one
-        item[header] = /^\d+(\.\d+)?$/.test(value) ? parseFloat(value) : value;
-      });
-      
-      return item;
-    });
+  async submitJob(data, options = {}) {
+    if (!data || !Array.isArray(data.items)) {
+      throw new HttpError(400, 'Invalid inventory data format. Expected { items: [] }');
+    }
+
+    this.jobs.assertCapacity();
+    const id = randomUUID();
+    const inputPath = this.jobInputPath(id);
+    await fs.outputJson(inputPath, data);
 
-    return { items };
+    try {
+      const job = this.jobs.submit({ id, source: data.source ?? null, itemCount: data.items.length, options });
+      this.log('info', `Queued job ${id} with ${data.items.length} items`, { source: data.source });
+      return job;
+    } catch (error) {
+      await fs.remove(inputPath);
+      throw error;
+    }
   }
 
-  /**
-   * Setup logging functionality
-   */
-  setupLogging() {
-    this.logFile = path.join(this.config.logDirectory, `converter_${new Date().toISOString().split('T')[0]}.log`);
-    
-    // Ensure log directory exists
-    fs.ensureDirSync(this.config.logDirectory);
+  jobInputPath(id) {
+    return path.join(this.config.stateDirectory, 'jobs', `${id}.json`);
   }
 
   /**
-   * Log messages with timestamp
+   * Run a queued job (see JobQueue): stream its payload like an inventory file, recording the
+   * batch and its stock as files do, with the job's progress kept up to date
+   * Resolves to the fields the succeeded job carries: batchId, summary, outputs, errors.
    */
-  log(level, message) {
-    const timestamp = new Date().toISOString();
-    const logMessage = `[${timestamp}] [${level.toUpperCase()}] ${message}`;
-    
-    // Console output
-    console.log(logMessage);
-    
-    // File logging
+  async runJob(job, { signal, update }) {
+    const inputPath = this.jobInputPath(job.id);
+    const batchId = randomUUID();
+    update({ batchId, progress: { processed: 0, failed: 0, total: job.itemCount } });
+
+    const onProgress = ({ batchId: progressBatchId, processed, failed }) => {
+      if (progressBatchId === batchId) {
+        update({ progress: { processed, failed, total: job.itemCount } });
+      }
+    };
+
+    this.on('progress', onProgress);
     try {
-      fs.appendFileSync(this.logFile, logMessage + '\n');
+      signal.throwIfAborted();
+      const inputHash = await hashFile(inputPath);
+      const { result, outputs, audit, stock, errors } = await this.processInventoryStream(inputPath, {
+        ...job.options,
+        batchId,
+        signal
+      });
+      await this.recordBatch(result, { channel: 'job', inputHash, outputs, ...audit });
+      this.recordStock(result, stock);
+      await this.deliverResult(result, { channel: 'job', outputs });
+      await fs.remove(inputPath);
+
+      this.log('info', `Job ${job.id} processed ${result.itemCount} items`, { batchId, source: job.source });
+      return { summary: result.summary, outputs, errors };
     } catch (error) {
-      console.error('Failed to write to log file:', error.message);
+      this.log(signal.aborted ? 'info' : 'error', `Job ${job.id} ${signal.aborted ? `stopped (${signal.reason})` : `failed: ${error.message}`}`, { batchId, source: job.source });
+      throw error;
+    } finally {
+      this.off('progress', onProgress);
     }
-    
-    // Emit log event
-    this.emit('log', { level, message, timestamp });
   }
 
   /**
-   * Reload conversion master data
+   * Convert an inventory file item by item into the batch's output sinks, in bounded memory
+   * The output has the shape processInventoryData returns, plus itemCount and failedCount.
+   * Emits `progress` ({ filePath, batchId, processed, failed, done }) every
+   * config.progressInterval items and once at the end, yielding to other work in between.
+   * Lines that cannot be read are listed in `parseErrors` (the first MAX_PARSE_ERRORS).
+   * The footer carries the batch `summary`; when the batch policy (options.batchPolicy, else
+   * config.batchPolicy) rejects the batch, the output is discarded and BatchRejectedError thrown.
+   * An aborted options.signal stops the batch the same way, at the next progress point.
+   * Returns { result } (the output without its items), { outputs } (where each sink put the
+   * batch), { audit } for recordBatch (the first config.auditItemLimit items and the SKUs
+   * seen), { stock }, the batch's stock snapshot for recordStock, and { errors }, the first
+   * MAX_PARSE_ERRORS item errors.
    */
-  async reloadConversionMaster() {
-    this.log('info', 'Reloading conversion master data');
-    await this.loadConversionMaster();
-  }
+  async processInventoryStream(filePath, options = {}) {
+    const csvProfile = path.extname(filePath).toLowerCase() === '.csv' ? this.selectCsvProfile({ filePath }) : null;
+    const batchId = options.batchId ?? randomUUID();
+    const batchPolicy = options.batchPolicy ? normalizeBatchPolicy(options.batchPolicy) : this.config.batchPolicy;
+    const summary = createBatchSummary();
+    const itemErrors = [];
 
-  /**
-   * Stop the converter agent
-   */
-  async stop() {
-    this.log('info', 'Stopping InventoryUnitConverter agent');
-    
-    this.isRunning = false;
+    let fields = {};
+    let header = null;
+    let ruleSet = null;
+    let output = null;
+    let stock = null;
+    let processed = 0;
+    let failed = 0;
+    let heldItems = 0;
+    let parseErrorCount = 0;
+    const parseErrors = [];
+    const unrecognizedUnits = new Set();
+    const unknownSkus = new Set();
+    const skus = new Set();
+    const auditItems = [];
+
+    const progress = (done) => this.emit('progress', { filePath, batchId, processed, failed, done });
+
+    // The header needs the batch timestamp, so it is written once the first item arrives
+    const open = async () => {
+      const asOf = this.resolveAsOf(options.asOf ?? fields.timestamp);
+      ruleSet = this.getRuleSet(asOf);
+      header = {
+        ...fields,
+        batchId,
+        conversionVersion: ruleSet.version,
+        conversionRuleSet: {
+          id: ruleSet.id,
+          effectiveFrom: ruleSet.effectiveFrom,
+          effectiveTo: ruleSet.effectiveTo,
+          asOf: new Date(asOf).toISOString()
+        }
+      };
+      output = this.openOutput({ channel: 'file', inputFile: filePath, source: fields.source, batchId, ruleSet });
+      stock = createStockSnapshot({ source: fields.source ?? null, batchId, baseUnit: ruleSet.master.unitHierarchy[0] });
+      await output.writer.open(header);
+    };
+
+    this.log('info', `Streaming inventory file ${filePath}`, { batchId, file: filePath });
+
+    try {
+      for await (const entry of readInventoryEntries(filePath, { csvProfile })) {
+        if (entry.fields) {
+          fields = entry.fields;
+          continue;
+        }
+        if (!header) {
+          await open();
+        }
+
+        if (entry.error) {
+          summary.addParseError();
+          parseErrorCount++;
+          if (parseErrors.length < MAX_PARSE_ERRORS) {
+            parseErrors.push(entry.error);
+          }
+          this.log('warn', `Unreadable entry in ${filePath} (${describePosition(entry.error)}): ${entry.error.message}`, { batchId, source: fields.source, file: filePath });
+          continue;
+        }
+
+        const item = this.standardizeItem(entry.item, {
+          rounding: options.rounding,
+          unknownSkuPolicy: options.unknownSkuPolicy,
+          ruleSet,
+          source: fields.source,
+          index: processed
+        });
+        await output.writer.writeItem(selectUnit(item, output.options.targetUnit));
+        summary.add(item);
+
+        if (item.error) {
+          failed++;
+          itemErrors.push(...(item.errors ?? []).slice(0, MAX_PARSE_ERRORS - itemErrors.length));
+        }
+        if (item.unrecognizedUnit !== undefined) {
+          unrecognizedUnits.add(item.unrecognizedUnit);
+        }
+        if (item.unknownSku) {
+          unknownSkus.add(item.sku);
+        }
+        if (item.held) {
+          heldItems++;
+        }
+        if (auditItems.length < this.config.auditItemLimit) {
+          auditItems.push(this.auditItem(item, processed));
+        }
+        this.collectStock(stock, item, { source: fields.source, ruleSet });
+        skus.add(item.sku);
+        processed++;
+
+        if (processed % this.config.progressInterval === 0) {
+          progress(false);
+          await setImmediate();
+          options.signal?.throwIfAborted();
+        }
+      }
+
+      if (!header) {
+        await open();
+      }
+
+      const footer = {
+        processedAt: new Date().toISOString(),
+        itemCount: processed,
+        failedCount: failed,
+        ...(unrecognizedUnits.size > 0 && { unrecognizedUnits: [...unrecognizedUnits] }),
+        ...(unknownSkus.size > 0 && { unknownSkus: [...unknownSkus] }),
+        ...(heldItems > 0 && { heldItems }),
+        ...(parseErrors.length > 0 && { parseErrors }),
+        ...(parseErrorCount > parseErrors.length && { parseErrorCount }),
+        summary: summary.build()
+      };
+
+      const rejection = batchRejection(footer.summary, batchPolicy);
+      if (rejection) {
+        throw new BatchRejectedError(rejection, footer.summary, itemErrors);
+      }
+
+      const outputs = await output.writer.close(footer);
+      progress(true);
+
+      this.log('info', `Processed ${processed} inventory items from ${filePath} to ${outputs.join(', ')}`, { batchId, source: fields.source, file: filePath });
+      return {
+        result: { ...header, ...footer },
+        outputs,
+        audit: { items: auditItems, skus: [...skus] },
+        stock,
+        errors: itemErrors
+      };
+    } catch (error) {
+      await output?.writer.abort();
+      throw error;
+    }
+  }
+
+  /**
+   * Move an input file out of the data directory, named after its content
+   * (sample.json -> sample.3f2a9c1b7d4e.json) so distinct versions never overwrite each other
+   */
+  async moveInputFile(filePath, directory, hash) {
+    const ext = path.extname(filePath);
+    const name = path.basename(filePath, ext);
+    const destination = path.join(directory, `${name}.${hash.replace(/^sha256:/, '').slice(0, 12)}${ext}`);
+
+    await fs.move(filePath, destination, { overwrite: true });
+    return destination;
+  }
+
+  /**
+   * Move a failed input to quarantine with an `.error.json` sidecar describing the failure
+   * Operators fix the file and drop it into the data directory again.
+   */
+  async quarantineInputFile(filePath, hash, error) {
+    try {
+      const quarantinedPath = await this.moveInputFile(filePath, this.config.quarantineDirectory, hash);
+      await fs.writeJson(`${quarantinedPath}.error.json`, {
+        file: path.basename(filePath),
+        originalPath: filePath,
+        hash,
+        failedAt: new Date().toISOString(),
+        error: error.message,
+        ...(error instanceof BatchRejectedError && error.details)
+      }, { spaces: 2 });
+
+      this.processingLedger.record(hash, {
+        status: 'failed',
+        file: path.basename(filePath),
+        failedAt: new Date().toISOString(),
+        error: error.message,
+        quarantinedPath
+      });
+      this.log('warn', `Quarantined ${filePath} to ${quarantinedPath}`, { file: filePath });
+      return quarantinedPath;
+    } catch (moveError) {
+      this.log('error', `Failed to quarantine ${filePath}: ${moveError.message}`, { file: filePath });
+      return null;
+    }
+  }
+
+  /**
+   * Process inventory data and standardize units
+   * options.rounding overrides the configured rounding policy for this batch.
+   * Rules are those in effect at the payload's `timestamp` (or options.asOf), falling back to now;
+   * the whole batch uses that one rule set.
+   * The result carries a `summary` of the items' outcomes. options.batchPolicy (else
+   * config.batchPolicy) decides whether failed items reject the batch (BatchRejectedError).
+   */
+  processInventoryData(data, options = {}) {
+    this.log('info', 'Processing inventory data for unit standardization', { source: data?.source });
+    
+    if (!data || !Array.isArray(data.items)) {
+      throw new Error('Invalid inventory data format. Expected { items: [] }');
+    }
+
+    const asOf = this.resolveAsOf(options.asOf ?? data.timestamp);
+    const ruleSet = this.getRuleSet(asOf);
+
+    const processedItems = data.items.map((item, index) => {
+      return this.standardizeItem(item, {
+        rounding: options.rounding,
+        unknownSkuPolicy: options.unknownSkuPolicy,
+        ruleSet,
+        source: data.source,
+        index
+      });
+    });
+
+    const summary = createBatchSummary();
+    processedItems.forEach(item => summary.add(item));
+    const batchSummary = summary.build();
+    const batchPolicy = options.batchPolicy ? normalizeBatchPolicy(options.batchPolicy) : this.config.batchPolicy;
+    const rejection = batchRejection(batchSummary, batchPolicy);
+    if (rejection) {
+      throw new BatchRejectedError(rejection, batchSummary, processedItems.flatMap(item => item.errors ?? []));
+    }
+
+    const unrecognizedUnits = [...new Set(processedItems
+      .filter(item => item.unrecognizedUnit !== undefined)
+      .map(item => item.unrecognizedUnit))];
+    const unknownSkus = [...new Set(processedItems
+      .filter(item => item.unknownSku)
+      .map(item => item.sku))];
+    const heldItems = processedItems.filter(item => item.held).length;
+
+    const result = {
+      ...data,
+      batchId: options.batchId ?? randomUUID(),
+      items: processedItems,
+      processedAt: new Date().toISOString(),
+      conversionVersion: ruleSet.version,
+      conversionRuleSet: {
+        id: ruleSet.id,
+        effectiveFrom: ruleSet.effectiveFrom,
+        effectiveTo: ruleSet.effectiveTo,
+        asOf: new Date(asOf).toISOString()
+      },
+      ...(unrecognizedUnits.length > 0 && { unrecognizedUnits }),
+      ...(unknownSkus.length > 0 && { unknownSkus }),
+      ...(heldItems > 0 && { heldItems }),
+      summary: batchSummary
+    };
+
+    this.log('info', `Processed ${processedItems.length} inventory items`, { batchId: result.batchId, source: result.source });
+    return result;
+  }
+
+  /**
+   * Standardize a single inventory item's units
+   * `quantity` may also be a mixed-unit count such as { CARTON: 4, BOX: 1, PIECE: 2 },
+   * which is normalized to a single quantity first. Pass { breakdown: true } (or set
+   * config.includeBreakdown) to add a whole-unit breakdown down the unit hierarchy.
+   * Unit spellings are mapped through the master's aliases (per options.source first);
+   * the raw spelling is kept as `rawUnit` and unknown spellings are flagged for review.
+   * SKUs missing from the product catalog go to the review queue and are converted with
+   * default factors and marked `unknownSku` ('flag'), rejected ('reject') or held back
+   * unconverted ('hold'), per options.unknownSkuPolicy or config.unknownSkuPolicy.
+   * Factors honor overrides for the source and the item's `supplier`; `resolvedLayers`
+   * tells which layer each rule's factor came from.
+   * A failed item keeps its input fields and gets `errors` ({ code, field, message, index },
+   * index being options.index) and a one-line `error`.
+   */
+  standardizeItem(item, options = {}) {
+    const { breakdown = this.config.includeBreakdown, rounding, source = null, index = null } = options;
+    const fail = (errors, extra = {}) => ({
+      ...item,
+      ...extra,
+      error: describeItemErrors(errors),
+      errors: errors.map(error => ({ ...error, index }))
+    });
+
+    const fieldErrors = validateItemFields(item);
+    if (fieldErrors.length > 0) {
+      this.log('warn', `Invalid item format: ${JSON.stringify(item)}`);
+      return fail(fieldErrors);
+    }
+
+    const unknownSkuPolicy = options.unknownSkuPolicy ?? this.config.unknownSkuPolicy;
+    const { sku, quantity, unit, ...rest } = item;
+    const conversionOptions = {
+      rounding,
+      source,
+      supplier: item.supplier ?? options.supplier ?? null,
+      ruleSet: this.ruleSetFor(options)
+    };
+    const isMixedCount = typeof quantity === 'object';
+
+    const rawUnits = [unit, ...(isMixedCount ? Object.keys(quantity) : [])].filter(Boolean);
+    const unknownUnit = rawUnits.find(rawUnit => !this.canonicalUnit(rawUnit, conversionOptions));
+    if (unknownUnit !== undefined) {
+      this.flagUnrecognizedUnit(unknownUnit, { source, sku });
+      const field = unknownUnit === unit ? 'unit' : `quantity.${unknownUnit}`;
+      return fail([{ code: ITEM_ERROR_CODES.UNRECOGNIZED_UNIT, field, message: `Unrecognized unit: ${unknownUnit}` }], { unrecognizedUnit: unknownUnit });
+    }
+
+    const product = this.productCatalog.get(sku);
+    const unknownSku = this.productCatalog.enabled && !product;
+
+    if (unknownSku) {
+      this.assertUnknownSkuPolicy(unknownSkuPolicy);
+      const held = unknownSkuPolicy === 'hold';
+      this.unknownSkus.record({ sku, source, quantity, unit, heldItem: held ? item : null });
+      this.log('warn', `Unknown SKU ${sku}${source ? ` from ${source}` : ''} (${unknownSkuPolicy})`, { source, sku });
+
+      if (unknownSkuPolicy === 'reject') {
+        return fail([{ code: ITEM_ERROR_CODES.UNKNOWN_SKU, field: 'sku', message: `Unknown SKU: ${sku}` }], { unknownSku: true });
+      }
+      if (held) {
+        return { ...item, held: true, unknownSku: true };
+      }
+    }
+
+    if (product?.active === false) {
+      return fail([{ code: ITEM_ERROR_CODES.INACTIVE_SKU, field: 'sku', message: `Inactive SKU: ${sku}` }]);
+    }
+
+    if (product?.allowedUnits) {
+      const disallowed = rawUnits
+        .map(rawUnit => this.canonicalUnit(rawUnit, conversionOptions))
+        .find(canonical => !product.allowedUnits.includes(canonical));
+      if (disallowed !== undefined) {
+        return fail([{ code: ITEM_ERROR_CODES.UNIT_NOT_ALLOWED, field: 'unit', message: `Unit ${disallowed} is not allowed for ${sku}` }]);
+      }
+    }
+
+    try {
+      const canonicalUnit = unit ? this.canonicalUnit(unit, conversionOptions) : null;
+      const normalized = isMixedCount
+        ? this.normalizeMixedQuantity(quantity, sku, canonicalUnit ?? product?.baseUnit ?? null, conversionOptions)
+        : { quantity, unit: canonicalUnit, exact: quantity };
+
+      // Convert to all standard units, plus weight / volume units for the dimensions the SKU
+      // has net measures in (or is counted in)
+      const { master, measures } = conversionOptions.ruleSet;
+      const targetUnits = [
+        ...master.supportedUnits,
+        ...[...measures].filter(([, { dimension }]) =>
+          hasMeasure(master, sku, dimension) || measures.get(normalized.unit)?.dimension === dimension
+        ).map(([measureUnit]) => measureUnit)
+      ];
+
+      const conversions = {};
+      const provenance = {};
+
+      for (const targetUnit of targetUnits) {
+        if (normalized.unit === targetUnit) {
+          conversions[targetUnit] = normalized.quantity;
+        } else {
+          const traced = this.traceConversion(normalized.exact, normalized.unit, targetUnit, sku, conversionOptions);
+          conversions[targetUnit] = traced.value;
+          provenance[targetUnit] = traced.provenance;
+        }
+      }
+
+      return {
+        ...rest,
+        sku,
+        originalQuantity: normalized.quantity,
+        originalUnit: normalized.unit,
+        ...(unit && unit !== normalized.unit && { rawUnit: unit }),
+        ...(isMixedCount && { originalCount: quantity }),
+        ...(unknownSku && { unknownSku: true }),
+        standardizedUnits: conversions,
+        resolvedLayers: this.resolvedLayers(normalized.unit, Object.keys(conversions), sku, conversionOptions),
+        provenance: {
+          masterVersion: conversionOptions.ruleSet.version,
+          ruleSetId: conversionOptions.ruleSet.id,
+          conversions: provenance
+        },
+        ...(breakdown && { breakdown: this.breakdownQuantity(normalized.exact, normalized.unit, sku, conversionOptions) }),
+        convertedAt: new Date().toISOString()
+      };
+      
+    } catch (error) {
+      this.log('error', `Failed to standardize item ${sku}: ${error.message}`, { source, sku });
+      return fail([{ code: ITEM_ERROR_CODES.CONVERSION_FAILED, field: 'unit', message: error.message }]);
+    }
+  }
+
+  /**
+   * Convert units using conversion rules
+   * Factors are composed along the shortest path in the unit graph, so PIECE to CARTON
+   * works from PIECE_TO_BOX and BOX_TO_CARTON alone; an explicit rule for the pair wins.
+   * The result is computed exactly and rounded once, per the rounding policy for toUnit
+   * (config.rounding, overridden by options.rounding).
+   * options.asOf picks the rules in effect at that date (default: now).
+   */
+  convertUnit(quantity, fromUnit, toUnit, sku = null, options = {}) {
+    return this.traceConversion(quantity, fromUnit, toUnit, sku, options).value;
+  }
+
+  /**
+   * Convert units like convertUnit and describe how: { value, provenance }
+   * provenance lists the rules used with their raw factors and layers, the overall factor
+   * and exact result (as fractions, e.g. "1/12") and the rounding applied.
+   */
+  traceConversion(quantity, fromUnit, toUnit, sku = null, options = {}) {
+    const ruleSet = this.ruleSetFor(options);
+    const steps = this.resolveSteps(fromUnit, toUnit, sku, { ...options, ruleSet });
+    const exact = steps.length > 0 ? UnitGraph.applySteps(quantity, steps) : Fraction.from(quantity);
+    const unit = this.canonicalUnit(toUnit, { ...options, ruleSet }) ?? toUnit;
+    const policy = this.getRoundingPolicy(unit, options.rounding);
+    const value = applyRounding(exact, policy, unit);
+
+    return {
+      value,
+      provenance: {
+        path: steps.map(step => step.ruleKey),
+        steps: steps.map(({ ruleKey, fromUnit: stepFrom, toUnit: stepTo, operation, factor, layer }) =>
+          ({ ruleKey, fromUnit: stepFrom, toUnit: stepTo, operation, factor, layer })),
+        skuSpecific: steps.some(step => step.skuSpecific),
+        factor: UnitGraph.applySteps(1, steps).toString(),
+        exact: exact.toString(),
+        rounding: {
+          mode: policy.mode,
+          ...(policy.mode !== 'reject' && { decimals: policy.decimals }),
+          adjusted: exact.compare(value) !== 0
+        }
+      }
+    };
+  }
+
+  /**
+   * Convert units exactly, returning a Fraction
+   */
+  convertExact(quantity, fromUnit, toUnit, sku = null, options = {}) {
+    const steps = this.resolveSteps(fromUnit, toUnit, sku, options);
+
+    if (steps.length === 0) {
+      return Fraction.from(quantity);
+    }
+
+    const result = UnitGraph.applySteps(quantity, steps);
+    
+    this.log('debug', `Converted ${quantity} ${fromUnit} to ${result} ${toUnit} for ${sku || 'default'} via ${steps.map(step => `${step.ruleKey} (${step.layer})`).join(' > ')}`, { source: options.source, sku });
+    
+    return result;
+  }
+
+  /**
+   * Which layer (source, supplier, sku or default) supplied each rule's factor on the way
+   * from one unit to the target units, e.g. { PIECE_TO_BOX: 'source', BOX_TO_CARTON: 'sku' }
+   */
+  resolvedLayers(fromUnit, targetUnits, sku = null, options = {}) {
+    const layers = {};
+    for (const targetUnit of targetUnits) {
+      for (const step of this.resolveSteps(fromUnit, targetUnit, sku, options)) {
+        layers[step.ruleKey] = step.layer;
+      }
+    }
+    return layers;
+  }
+
+  /**
+   * Conversion steps between two units (empty when they are the same unit)
+   * Factors come from the most specific layer for options.source and options.supplier,
+   * then the SKU, then the rule default. Throws when no conversion exists.
+   */
+  resolveSteps(fromUnit, toUnit, sku = null, options = {}) {
+    const ruleSet = this.ruleSetFor(options);
+    fromUnit = ruleSet.aliases.resolve(fromUnit, options.source) ?? fromUnit;
+    toUnit = ruleSet.aliases.resolve(toUnit, options.source) ?? toUnit;
+
+    if (fromUnit === toUnit) {
+      return [];
+    }
+
+    const steps = ruleSet.graph.resolve(fromUnit, toUnit, sku, this.overrideContext(options));
+    if (!steps) {
+      throw new Error(this.missingMeasureMessage(fromUnit, toUnit, sku, ruleSet)
+        ?? `No conversion rule found for ${fromUnit} to ${toUnit}`);
+    }
+    return steps;
+  }
+
+  overrideContext(options = {}) {
+    return { source: options.source ?? null, supplier: options.supplier ?? null };
+  }
+
+  /**
+   * Explanation for a failed conversion across dimensions (e.g. CARTON to KG) when the SKU
+   * lacks the net measure that bridges them, or null when that is not the cause
+   */
+  missingMeasureMessage(fromUnit, toUnit, sku, ruleSet) {
+    const { master } = ruleSet;
+    const fromDimension = dimensionOf(master, fromUnit);
+    const toDimension = dimensionOf(master, toUnit);
+
+    if (!fromDimension || !toDimension || fromDimension === toDimension) {
+      return null;
+    }
+
+    const missing = [fromDimension, toDimension]
+      .find(dimension => dimension !== COUNT_DIMENSION && !hasMeasure(master, sku, dimension));
+    if (!missing) {
+      return null;
+    }
+
+    const perUnit = master.unitHierarchy[0];
+    return sku
+      ? `SKU ${sku} has no ${missing} per ${perUnit} in productMeasures; cannot convert ${fromUnit} to ${toUnit}`
+      : `Converting ${fromUnit} to ${toUnit} needs a SKU with a ${missing} per ${perUnit} in productMeasures`;
+  }
+
+  /**
+   * Rule set in effect at a date: the master's rules with every dated factor resolved
+   * Rule sets are cached per effective period and identified as `${version}@${effectiveFrom}`.
+   */
+  getRuleSet(asOf = null) {
+    const time = asOf === null ? Date.now() : toTimestamp(asOf);
+    if (time === null) {
+      throw new Error(`Invalid asOf date: ${JSON.stringify(asOf)}`);
+    }
+
+    const { effectiveFrom, effectiveTo } = periodContaining(this.ruleSetBoundaries, time);
+    const cacheKey = effectiveFrom ?? 'initial';
+
+    if (!this.ruleSets.has(cacheKey)) {
+      const master = this.conversionRules;
+      const conversionRules = resolveRulesAsOf(master.conversionRules, time);
+      const fromIso = effectiveFrom === null ? null : new Date(effectiveFrom).toISOString();
+
+      this.ruleSets.set(cacheKey, {
+        id: fromIso ? `${master.version}@${fromIso}` : master.version,
+        version: master.version,
+        effectiveFrom: fromIso,
+        effectiveTo: effectiveTo === null ? null : new Date(effectiveTo).toISOString(),
+        master,
+        conversionRules,
+        graph: new UnitGraph({ ...buildMeasureRules(master), ...conversionRules }, master.unitHierarchy),
+        measures: measureUnits(master),
+        aliases: new UnitAliasResolver(master)
+      });
+    }
+
+    return this.ruleSets.get(cacheKey);
+  }
+
+  /**
+   * Rule set for conversion options: an explicit options.ruleSet, else the one at options.asOf
+   */
+  ruleSetFor(options = {}) {
+    return options.ruleSet || this.getRuleSet(options.asOf ?? null);
+  }
+
+  /**
+   * Canonical unit for an incoming spelling (pcs, EA, Carton(s)...), or null if unrecognized
+   * options.source selects that source's own aliases first.
+   */
+  canonicalUnit(unit, options = {}) {
+    return this.ruleSetFor(options).aliases.resolve(unit, options.source ?? null);
+  }
+
+  /**
+   * Record a unit spelling no alias matched, so it can be reviewed and mapped
+   */
+  flagUnrecognizedUnit(unit, { source = null, sku = null } = {}) {
+    const key = `${source ?? ''}|${unit}`;
+    const now = new Date().toISOString();
+    const entry = this.unrecognizedUnits.get(key)
+      || { unit, source, count: 0, firstSeen: now, sampleSkus: [] };
+
+    entry.count++;
+    entry.lastSeen = now;
+    if (sku && entry.sampleSkus.length < 5 && !entry.sampleSkus.includes(sku)) {
+      entry.sampleSkus.push(sku);
+    }
+
+    this.unrecognizedUnits.set(key, entry);
+    this.log('warn', `Unrecognized unit ${JSON.stringify(unit)}${source ? ` from ${source}` : ''}${sku ? ` for ${sku}` : ''}`, { source, sku });
+  }
+
+  /**
+   * Unit spellings seen since startup that no alias matched, most frequent first
+   */
+  getUnrecognizedUnits() {
+    return [...this.unrecognizedUnits.values()].sort((a, b) => b.count - a.count);
+  }
+
+  /**
+   * Date (epoch ms) to pick rules for a payload; invalid or missing timestamps fall back to now
+   */
+  resolveAsOf(timestamp) {
+    if (timestamp === undefined || timestamp === null) {
+      return Date.now();
+    }
+
+    const time = toTimestamp(timestamp);
+    if (time === null) {
+      this.log('warn', `Invalid timestamp ${JSON.stringify(timestamp)}, using current conversion rules`);
+      return Date.now();
+    }
+    return time;
+  }
+
+  /**
+   * Effective rounding policy ({ mode, decimals }) for a target unit
+   */
+  getRoundingPolicy(unit, override = null) {
+    return resolveRoundingPolicy(unit, this.config.rounding, override);
+  }
+
+  /**
+   * Batch policy for an HTTP request: the body's `batchPolicy`, or
+   * ?batchPolicy=threshold&maxErrorRate=0.1; null leaves config.batchPolicy in force
+   */
+  batchPolicyFromRequest(req, bodyPolicy) {
+    const { batchPolicy: mode, maxErrorRate } = req.query || {};
+    const policy = bodyPolicy ?? (mode === undefined ? null : {
+      mode,
+      ...(maxErrorRate !== undefined && { maxErrorRate: Number(maxErrorRate) })
+    });
+
+    try {
+      return policy === null ? null : normalizeBatchPolicy(policy);
+    } catch (error) {
+      throw new HttpError(400, error.message);
+    }
+  }
+
+  /**
+   * Rule date for an HTTP request's `asOf`: null (now) when left out, 400 when not a date
+   */
+  asOfFromRequest(asOf) {
+    if (asOf === undefined || asOf === null) {
+      return null;
+    }
+    if (toTimestamp(asOf) === null) {
+      throw new HttpError(400, `Invalid asOf date: ${JSON.stringify(asOf)}`);
+    }
+    return asOf;
+  }
+
+  /**
+   * Rounding override for an HTTP request: the body's `rounding`, or ?rounding=floor&decimals=0
+   */
+  roundingFromRequest(req, bodyRounding) {
+    const { rounding: mode, decimals } = req.query || {};
+    const rounding = bodyRounding !== undefined ? bodyRounding : (mode === undefined && decimals === undefined ? undefined : {
+      ...(mode !== undefined && { mode }),
+      ...(decimals !== undefined && { decimals: Number(decimals) })
+    });
+
+    try {
+      return rounding === undefined ? null : normalizeRoundingPolicy(rounding);
+    } catch (error) {
+      throw new HttpError(400, error.message);
+    }
+  }
+
+  /**
+   * Decompose a quantity into whole units down the unit hierarchy, largest first,
+   * with the remainder in the smallest unit (e.g. 300 PIECE -> { CARTON: 7, BOX: 2, PIECE: 0 })
+   * Units the SKU cannot be converted to are left out.
+   */
+  breakdownQuantity(quantity, unit, sku = null, options = {}) {
+    const ruleSet = this.ruleSetFor(options);
+    const hierarchy = ruleSet.master.unitHierarchy;
+    const baseUnit = hierarchy[0];
+    const exact = this.convertExact(quantity, unit, baseUnit, sku, { ...options, ruleSet });
+    const sign = exact.isNegative() ? -1 : 1;
+    let remaining = exact.abs();
+
+    const breakdown = {};
+    for (const packUnit of [...hierarchy].reverse()) {
+      if (packUnit === baseUnit) {
+        const remainder = applyRounding(remaining, this.getRoundingPolicy(baseUnit, options.rounding), baseUnit);
+        breakdown[baseUnit] = sign * remainder || 0;
+        break;
+      }
+
+      const steps = ruleSet.graph.resolve(packUnit, baseUnit, sku, this.overrideContext(options));
+      if (!steps) {
+        continue;
+      }
+
+      const packSize = UnitGraph.applySteps(1, steps);
+      const count = remaining.div(packSize).floor();
+      remaining = remaining.sub(packSize.mul(new Fraction(count)));
+      breakdown[packUnit] = sign * Number(count) || 0;
+    }
+
+    return breakdown;
+  }
+
+  /**
+   * Normalize a mixed-unit count such as { CARTON: 4, BOX: 1, PIECE: 2 } to a single quantity
+   * Expressed in `unit` when given, otherwise in the smallest counted unit of the hierarchy.
+   * Returns { quantity, unit, exact } where `exact` is the unrounded Fraction.
+   */
+  normalizeMixedQuantity(counts, sku = null, unit = null, options = {}) {
+    const countedUnits = Object.keys(counts);
+    if (countedUnits.length === 0) {
+      throw new Error('Mixed-unit count must contain at least one unit');
+    }
+
+    const ruleSet = this.ruleSetFor(options);
+    const hierarchy = ruleSet.master.unitHierarchy;
+    const canonicalUnits = countedUnits.map(countUnit => ruleSet.aliases.resolve(countUnit, options.source) ?? countUnit);
+    const targetUnit = unit
+      || hierarchy.find(hierarchyUnit => canonicalUnits.includes(hierarchyUnit))
+      || canonicalUnits[0];
+
+    let total = new Fraction(0n);
+    for (const [countUnit, count] of Object.entries(counts)) {
+      if (typeof count !== 'number' || !Number.isFinite(count)) {
+        throw new Error(`Invalid count for ${countUnit}: ${JSON.stringify(count)}`);
+      }
+      total = total.add(this.convertExact(count, countUnit, targetUnit, sku, { ...options, ruleSet }));
+    }
+
+    return {
+      quantity: applyRounding(total, this.getRoundingPolicy(targetUnit, options.rounding), targetUnit),
+      unit: targetUnit,
+      exact: total
+    };
+  }
+
+  /**
+   * Convert multiple items to target unit
+   * With { breakdown: true } each item also gets a whole-unit breakdown; targetUnit is then optional.
+   * conversionFactor is the exact factor for the pair, not one derived from the rounded quantity.
+   * Unit spellings go through the aliases; an item's raw spelling is kept as `rawUnit`.
+   */
+  convertUnits(items, targetUnit, options = {}) {
+    if (!targetUnit && !options.breakdown) {
+      throw new Error('targetUnit is required unless breakdown is requested');
+    }
+
+    options = { ...options, ruleSet: this.ruleSetFor(options) };
+
+    const requireUnit = (unit, sku = null) => {
+      const canonical = this.canonicalUnit(unit, options);
+      if (!canonical) {
+        this.flagUnrecognizedUnit(unit, { source: options.source, sku });
+        throw new Error(`Unrecognized unit: ${unit}`);
+      }
+      return canonical;
+    };
+
+    if (targetUnit) {
+      targetUnit = requireUnit(targetUnit);
+    }
+
+    return items.map(item => {
+      const unit = requireUnit(item.unit, item.sku);
+      const result = { ...item, unit, ...(unit !== item.unit && { rawUnit: item.unit }) };
+      const itemOptions = { ...options, supplier: item.supplier ?? options.supplier };
+
+      if (targetUnit) {
+        const { value, provenance } = this.traceConversion(item.quantity, unit, targetUnit, item.sku, itemOptions);
+        Object.assign(result, {
+          convertedQuantity: value,
+          convertedUnit: targetUnit,
+          conversionFactor: this.convertExact(1, unit, targetUnit, item.sku, itemOptions).toNumber(),
+          resolvedLayers: this.resolvedLayers(unit, [targetUnit], item.sku, itemOptions),
+          provenance: { masterVersion: options.ruleSet.version, ruleSetId: options.ruleSet.id, ...provenance }
+        });
+      }
+
+      if (options.breakdown) {
+        result.breakdown = this.breakdownQuantity(item.quantity, unit, item.sku, itemOptions);
+      }
+
+      return result;
+    });
+  }
+
+  /**
+   * Plan orders for several SKUs (see planOrder); a SKU that cannot be planned carries an error
+   * An order too large to plan fails the whole request instead.
+   */
+  planOrders(requests, options = {}) {
+    options = { ...options, ruleSet: this.ruleSetFor(options) };
+    return requests.map(request => {
+      try {
+        return this.planOrder(request, options);
+      } catch (error) {
+        if (error instanceof PlanTooLargeError) {
+          throw error;
+        }
+        this.log('warn', `Failed to plan order for ${request?.sku}: ${error.message}`);
+        return { sku: request?.sku ?? null, error: error.message };
+      }
+    });
+  }
+
+  /**
+   * Plan an order for one SKU: { sku, onHand, target, unit, minimumOrder, orderUnits }
+   * onHand (default 0, or a mixed count) and target are in `unit`, default the base unit.
+   * Order units, the minimum order ({ quantity, unit }) and pack costs come from the
+   * master's `ordering` section (default, then per SKU); the request may override the first
+   * two. An order is placed only when stock is below target, and then for at least the
+   * minimum. Returns the packs to order (the cheapest mix when packCosts cover every order
+   * unit, else the one with the least surplus), quantities in the base unit, and the
+   * single-unit alternatives.
+   */
+  planOrder(request, options = {}) {
+    const { sku, onHand = 0, target, unit = null } = request;
+    if (!sku || typeof target !== 'number') {
+      throw new Error('Missing required fields: sku, target');
+    }
+
+    const ruleSet = this.ruleSetFor(options);
+    const baseUnit = ruleSet.master.unitHierarchy[0];
+    const conversionOptions = { source: options.source ?? null, supplier: request.supplier ?? null, ruleSet };
+    const requireUnit = (raw) => {
+      const canonical = this.canonicalUnit(raw, conversionOptions);
+      if (!canonical) {
+        throw new Error(`Unrecognized unit: ${raw}`);
+      }
+      return canonical;
+    };
+
+    const settings = {
+      orderUnits: ruleSet.master.unitHierarchy,
+      ...ruleSet.master.ordering?.default,
+      ...ruleSet.master.ordering?.products?.[sku],
+      ...(request.orderUnits && { orderUnits: request.orderUnits }),
+      ...(request.minimumOrder && { minimumOrder: request.minimumOrder })
+    };
+    const quantityUnit = unit === null ? baseUnit : requireUnit(unit);
+    const inBase = (quantity, fromUnit) => (quantity !== null && typeof quantity === 'object'
+      ? this.normalizeMixedQuantity(quantity, sku, baseUnit, conversionOptions).exact
+      : this.convertExact(quantity, fromUnit, baseUnit, sku, conversionOptions));
+
+    const onHandBase = inBase(onHand, quantityUnit);
+    const targetBase = inBase(target, quantityUnit);
+    const shortfall = targetBase.sub(onHandBase);
+    const minimum = settings.minimumOrder
+      ? inBase(settings.minimumOrder.quantity, requireUnit(settings.minimumOrder.unit))
+      : new Fraction(0n);
+    const required = shortfall.compare(0) <= 0 ? new Fraction(0n) : (shortfall.compare(minimum) < 0 ? minimum : shortfall);
+
+    const packs = settings.orderUnits.map(requireUnit).map(orderUnit => ({
+      unit: orderUnit,
+      size: this.convertExact(1, orderUnit, baseUnit, sku, conversionOptions),
+      cost: settings.packCosts?.[orderUnit]
+    }));
+    const costed = packs.every(pack => typeof pack.cost === 'number');
+    const mix = cheapestPackMix(required, packs.map(pack => ({ ...pack, cost: costed ? pack.cost : 0 })));
+
+    const round = (quantity) => applyRounding(quantity, this.getRoundingPolicy(baseUnit, options.rounding), baseUnit);
+    const surplusWith = (ordered) => round(onHandBase.add(ordered).sub(targetBase));
+
+    return {
+      sku,
+      unit: baseUnit,
+      onHand: round(onHandBase),
+      target: round(targetBase),
+      shortfall: round(shortfall.compare(0) < 0 ? new Fraction(0n) : shortfall),
+      minimumOrder: round(minimum),
+      order: mix.counts,
+      orderQuantity: round(mix.total),
+      surplus: surplusWith(mix.total),
+      ...(costed && { cost: mix.cost }),
+      alternatives: packs.map(pack => {
+        const single = singlePackOrder(required, pack);
+        return {
+          unit: pack.unit,
+          packs: single.packs,
+          surplus: surplusWith(single.total),
+          ...(costed && { cost: single.packs * pack.cost })
+        };
+      })
+    };
+  }
+
+  /**
+   * Write a processed batch through the output sinks for its source
+   * Returns where the first sink put it, or null if the batch could not be written.
+   */
+  async saveProcessedData(originalPath, processedData) {
+    const { items, ...header } = processedData;
+    let output = null;
+
+    try {
+      output = this.openOutput({
+        channel: 'file',
+        inputFile: originalPath,
+        source: processedData.source,
+        batchId: processedData.batchId,
+        ruleSet: this.getRuleSet(processedData.conversionRuleSet?.asOf ?? null)
+      });
+      await output.writer.open(header);
+      for (const item of items) {
+        await output.writer.writeItem(selectUnit(item, output.options.targetUnit));
+      }
+      const [outputPath] = await output.writer.close({});
+      
+      this.log('info', `Saved processed data to: ${outputPath}`);
+      return outputPath;
+      
+    } catch (error) {
+      await output?.writer.abort();
+      this.log('error', `Failed to save processed data: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Register a custom output sink under `name`, for use in config.output.sinks (or per source)
+   * `factory(context)` is called once per batch and returns a writer with open(header),
+   * writeItem(item), close(footer) resolving to where the batch went, and optionally abort().
+   * context: channel, inputFile, source, batchId, startedAt, format, directory, filename,
+   * targetUnit, columns and units (the unit columns for the batch's rule set).
+   */
+  registerSink(name, factory) {
+    if (typeof factory !== 'function') {
+      throw new Error(`Output sink ${name} must be a function returning a batch writer`);
+    }
+    if (this.sinks.has(name)) {
+      throw new Error(`Output sink already registered: ${name}`);
+    }
+    this.sinks.set(name, factory);
+  }
+
+  /**
+   * Output settings for a source: config.output with config.output.sources[source] over it
+   */
+  outputOptions(source = null) {
+    const { sources, ...defaults } = this.config.output;
+    return { ...defaults, ...(source !== null && sources[source]) };
+  }
+
+  /**
+   * Open the configured sinks for a batch: { writer, options }
+   */
+  openOutput({ channel, inputFile = null, source = null, batchId, ruleSet }) {
+    const options = this.outputOptions(source);
+    const units = options.targetUnit ? [options.targetUnit] : this.outputUnits(ruleSet);
+    if (options.targetUnit && !this.outputUnits(ruleSet).includes(options.targetUnit)) {
+      throw new Error(`Unknown output unit: ${options.targetUnit}`);
+    }
+
+    const context = {
+      ...options,
+      channel,
+      inputFile,
+      source,
+      batchId,
+      startedAt: new Date().toISOString(),
+      units
+    };
+    const writers = options.sinks.map(name => {
+      const factory = this.sinks.get(name);
+      if (!factory) {
+        throw new Error(`Unknown output sink: ${name}`);
+      }
+      return factory(context);
+    });
+
+    return { writer: combineWriters(writers), options };
+  }
+
+  /**
+   * Every unit a batch converted under ruleSet can carry: the supported units, then weight
+   * and volume units
+   */
+  outputUnits(ruleSet) {
+    return [...ruleSet.master.supportedUnits, ...ruleSet.measures.keys()];
+  }
+
+  /**
+   * Append a processed batch to the audit log: where it came from (input hash, source, file),
+   * where the output went, and each item with its conversion provenance
+   * A failed audit write is logged; it does not fail the batch.
+   */
+  async recordBatch(result, { channel, input, inputHash = null, inputFile = null, output = null, outputs = null, items = null, skus = null }) {
+    // Streamed batches pass the items they kept and the SKUs they saw
+    const auditItems = items ?? result.items.map((item, index) => this.auditItem(item, index));
+    const itemCount = result.itemCount ?? auditItems.length;
+
+    try {
+      return await this.auditLog.append({
+        batchId: result.batchId,
+        channel,
+        source: result.source ?? null,
+        inputHash: inputHash ?? hashInput(input),
+        inputFile,
+        output: output ?? outputs?.[0] ?? null,
+        ...(outputs?.length > 1 && { outputs }),
+        masterVersion: result.conversionVersion,
+        ruleSetId: result.conversionRuleSet?.id,
+        itemCount,
+        failedCount: result.failedCount ?? auditItems.filter(item => item.error).length,
+        items: auditItems,
+        ...(auditItems.length < itemCount && { itemsTruncated: true, skus })
+      });
+    } catch (error) {
+      this.log('error', `Failed to write audit record for batch ${result.batchId}: ${error.message}`, { batchId: result.batchId, source: result.source });
+      return null;
+    }
+  }
+
+  /**
+   * An item as recorded in the audit log
+   */
+  auditItem(item, index) {
+    return {
+      index,
+      sku: item.sku,
+      quantity: item.originalQuantity ?? item.quantity,
+      unit: item.originalUnit ?? item.unit,
+      ...(item.standardizedUnits && { standardizedUnits: item.standardizedUnits }),
+      ...(item.provenance && { provenance: item.provenance }),
+      ...(item.held && { held: true }),
+      ...(item.error && { error: item.error })
+    };
+  }
+
+  /**
+   * Parse a CSV inventory export (string or Buffer) into { items }
+   * The mapping profile is options.profile (a name or object), else the configured profile
+   * matching options.filePath or options.source. Malformed lines are skipped and listed in
+   * `parseErrors` with their row and column.
+   */
+  parseCSV(csvContent, options = {}) {
+    const profile = typeof options.profile === 'object' && options.profile !== null
+      ? options.profile
+      : this.selectCsvProfile(options);
+
+    const { items, errors } = parseInventoryCsv(csvContent, profile || {});
+    const data = { items };
+
+    if (profile) {
+      data.csvProfile = profile.name;
+      if (profile.source) {
+        data.source = profile.source;
+      }
+    }
+
+    if (errors.length > 0) {
+      const where = options.filePath ? ` in ${options.filePath}` : '';
+      errors.forEach(error => this.log('warn', `CSV row ${error.row}, column ${error.column}${where}: ${error.message}`, { file: options.filePath }));
+      data.parseErrors = errors;
+    }
+
+    return data;
+  }
+
+  /**
+   * Find a CSV mapping profile by name, filename pattern or source
+   * Profiles live in config.csvProfiles as { name: { match: { filename, source }, columns, units, ... } };
+   * `filename` is a case-insensitive regular expression tested against the file's base name.
+   */
+  selectCsvProfile({ profile, filePath, source } = {}) {
+    const profiles = this.config.csvProfiles;
+
+    if (profile) {
+      if (!profiles[profile]) {
+        throw new Error(`Unknown CSV profile: ${profile}`);
+      }
+      return { name: profile, ...profiles[profile] };
+    }
+
+    const fileName = filePath ? path.basename(filePath) : null;
+    for (const [name, candidate] of Object.entries(profiles)) {
+      const { filename: filenamePattern, source: matchSource } = candidate.match || {};
+      const filenameMatches = fileName && filenamePattern && new RegExp(filenamePattern, 'i').test(fileName);
+      const sourceMatches = source && matchSource && matchSource === source;
+
+      if (filenameMatches || sourceMatches) {
+        return { name, ...candidate };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Setup logging functionality
+   * With logToConsole off (CLI commands whose stdout is their result), a stdout log destination
+   * writes to stderr instead.
+   */
+  setupLogging() {
+    const { levels, destination, flushInterval, fileRotation } = this.config.logging;
+    this.logger = new Logger({
+      directory: this.config.logDirectory,
+      level: this.config.logLevel,
+      levels,
+      destination,
+      flushInterval,
+      fileRotation,
+      stdout: this.config.logToConsole ? process.stdout : process.stderr
+    }, {
+      onError: (error) => console.error('Failed to write to log file:', error.message)
+    });
+  }
+
+  /**
+   * Log a message, with fields such as batchId, source, sku and file for the JSON-lines log
+   * Messages below config.logLevel (in the order of logging.levels) are dropped.
+   */
+  log(level, message, fields = {}) {
+    const entry = this.logger.log(level, message, fields);
+    if (!entry) {
+      return;
+    }
+
+    // Console output; a stdout log destination already writes every entry there
+    if (this.config.logToConsole && this.logger.destination === 'file') {
+      console.log(`[${entry.timestamp}] [${level.toUpperCase()}] ${message}`);
+    }
+
+    // Emit log event
+    this.emit('log', entry);
+  }
+
+  /**
+   * Reload conversion master data
+   * Emits `conversionMasterChanged` with a diff of rules and SKU overrides when anything changed
+   */
+  async reloadConversionMaster() {
+    this.log('info', 'Reloading conversion master data');
+    const previous = this.conversionRules;
+    await this.loadConversionMaster();
+
+    const diff = diffConversionMasters(previous, this.conversionRules);
+    if (diff.hasChanges) {
+      this.log('info', `Conversion master changed from v${diff.previousVersion} to v${diff.version}`);
+      this.emit('conversionMasterChanged', diff);
+    }
+    return diff;
+  }
+
+  /**
+   * Stop the converter agent
+   */
+  async stop() {
+    this.log('info', 'Stopping InventoryUnitConverter agent');
+    
+    this.isRunning = false;
+    
+    clearTimeout(this.masterReloadTimer);
+    this.masterReloadTimer = null;
+    
+    await this.jobs.stop();
+    await this.deliveries.stop();
+    await this.unknownSkus.flush();
+    await this.processingLedger.flush();
+    await this.stockView.flush();
+    
+    if (this.masterWatcher) {
+      await this.masterWatcher.close();
+      this.masterWatcher = null;
+    }
     
     if (this.fileWatcher) {
       await this.fileWatcher.close();
@@ -415,6 +1995,7 @@ export class InventoryUnitConverter extends EventEmitter {
     }
     
     this.log('info', 'InventoryUnitConverter agent stopped');
+    await this.logger.close();
     this.emit('stopped');
   }
 
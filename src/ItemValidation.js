@@ -0,0 +1,202 @@
+import HttpError from './HttpError.js';
+
+/**
+ * Item validation and batch policies
+ * Item problems are reported as { code, field, message, index }, where index is the item's
+ * position in its batch; a batch summary counts them per code.
+ */
+
+export const ITEM_ERROR_CODES = Object.freeze({
+  INVALID_ITEM: 'INVALID_ITEM',
+  MISSING_FIELD: 'MISSING_FIELD',
+  INVALID_TYPE: 'INVALID_TYPE',
+  INVALID_QUANTITY: 'INVALID_QUANTITY',
+  NEGATIVE_QUANTITY: 'NEGATIVE_QUANTITY',
+  UNRECOGNIZED_UNIT: 'UNRECOGNIZED_UNIT',
+  UNKNOWN_SKU: 'UNKNOWN_SKU',
+  INACTIVE_SKU: 'INACTIVE_SKU',
+  UNIT_NOT_ALLOWED: 'UNIT_NOT_ALLOWED',
+  CONVERSION_FAILED: 'CONVERSION_FAILED',
+  PARSE_ERROR: 'PARSE_ERROR'
+});
+
+/**
+ * What happens to a batch with failed items
+ * - partial: keep the items that converted (default)
+ * - all-or-nothing: reject the batch if any item fails
+ * - threshold: reject the batch when more than maxErrorRate of its items fail
+ */
+export const BATCH_POLICY_MODES = ['partial', 'all-or-nothing', 'threshold'];
+
+export const DEFAULT_BATCH_POLICY = Object.freeze({ mode: 'partial' });
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Check an item's fields before conversion: a non-empty sku, a unit (unless the quantity is
+ * a mixed count) and a quantity that is a finite number of 0 or more
+ * Returns the problems found as { code, field, message }.
+ */
+export function validateItemFields(item) {
+  if (!isPlainObject(item)) {
+    return [{ code: ITEM_ERROR_CODES.INVALID_ITEM, field: null, message: `Item must be an object, got ${JSON.stringify(item)}` }];
+  }
+
+  const errors = [];
+  const report = (code, field, message) => errors.push({ code, field, message });
+  const { sku, quantity, unit } = item;
+  const isMixedCount = isPlainObject(quantity);
+
+  if (isMissing(sku)) {
+    report(ITEM_ERROR_CODES.MISSING_FIELD, 'sku', 'Missing required field: sku');
+  } else if (typeof sku !== 'string') {
+    report(ITEM_ERROR_CODES.INVALID_TYPE, 'sku', `sku must be a string, got ${JSON.stringify(sku)}`);
+  }
+
+  if (isMissing(quantity)) {
+    report(ITEM_ERROR_CODES.MISSING_FIELD, 'quantity', 'Missing required field: quantity');
+  } else if (isMixedCount) {
+    const counts = Object.entries(quantity);
+    if (counts.length === 0) {
+      report(ITEM_ERROR_CODES.INVALID_QUANTITY, 'quantity', 'Mixed-unit count must contain at least one unit');
+    }
+    for (const [countUnit, count] of counts) {
+      checkQuantity(count, `quantity.${countUnit}`, `Invalid count for ${countUnit}`, report);
+    }
+  } else {
+    checkQuantity(quantity, 'quantity', 'Invalid quantity', report);
+  }
+
+  if (isMissing(unit)) {
+    if (!isMixedCount) {
+      report(ITEM_ERROR_CODES.MISSING_FIELD, 'unit', 'Missing required field: unit');
+    }
+  } else if (typeof unit !== 'string') {
+    report(ITEM_ERROR_CODES.INVALID_TYPE, 'unit', `unit must be a string, got ${JSON.stringify(unit)}`);
+  }
+
+  return errors;
+}
+
+function checkQuantity(value, field, label, report) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    report(ITEM_ERROR_CODES.INVALID_QUANTITY, field, `${label}: ${JSON.stringify(value)} is not a finite number`);
+  } else if (value < 0) {
+    report(ITEM_ERROR_CODES.NEGATIVE_QUANTITY, field, `${label}: ${value} is negative`);
+  }
+}
+
+/**
+ * One-line description of an item's errors, for the item's `error` field
+ * Missing fields are listed together ("Missing required fields: sku, unit").
+ */
+export function describeItemErrors(errors) {
+  const missing = errors.filter(error => error.code === ITEM_ERROR_CODES.MISSING_FIELD).map(error => error.field);
+  return [
+    ...(missing.length > 0 ? [`Missing required fields: ${missing.join(', ')}`] : []),
+    ...errors.filter(error => error.code !== ITEM_ERROR_CODES.MISSING_FIELD).map(error => error.message)
+  ].join('; ');
+}
+
+/**
+ * Normalize a policy given as a mode string ('all-or-nothing') or an object ({ mode, maxErrorRate })
+ */
+export function normalizeBatchPolicy(policy) {
+  if (policy === undefined || policy === null) {
+    return { ...DEFAULT_BATCH_POLICY };
+  }
+  if (typeof policy === 'string') {
+    policy = { mode: policy };
+  }
+  if (!isPlainObject(policy)) {
+    throw new Error(`Invalid batch policy: ${JSON.stringify(policy)}`);
+  }
+
+  const { mode = DEFAULT_BATCH_POLICY.mode, maxErrorRate } = policy;
+  if (!BATCH_POLICY_MODES.includes(mode)) {
+    throw new Error(`Batch policy must be one of ${BATCH_POLICY_MODES.join(', ')}, got ${JSON.stringify(mode)}`);
+  }
+  if (mode !== 'threshold') {
+    return { mode };
+  }
+  if (typeof maxErrorRate !== 'number' || !(maxErrorRate >= 0 && maxErrorRate <= 1)) {
+    throw new Error(`Batch policy maxErrorRate must be a number between 0 and 1, got ${JSON.stringify(maxErrorRate)}`);
+  }
+  return { mode, maxErrorRate };
+}
+
+/**
+ * Counts a batch's outcomes as its items are processed
+ * build() gives { total, ok, failed, held, errorRate, errors } where errors counts item
+ * errors per code; unreadable entries count as failed, with code PARSE_ERROR.
+ */
+export function createBatchSummary() {
+  const errors = {};
+  let total = 0;
+  let failed = 0;
+  let held = 0;
+
+  const count = (code) => {
+    errors[code] = (errors[code] || 0) + 1;
+  };
+
+  return {
+    add(item) {
+      total++;
+      if (item.held) {
+        held++;
+      }
+      if (item.error) {
+        failed++;
+        (item.errors ?? [{ code: ITEM_ERROR_CODES.CONVERSION_FAILED }]).forEach(error => count(error.code));
+      }
+    },
+
+    addParseError() {
+      total++;
+      failed++;
+      count(ITEM_ERROR_CODES.PARSE_ERROR);
+    },
+
+    build() {
+      return {
+        total,
+        ok: total - failed - held,
+        failed,
+        held,
+        errorRate: total === 0 ? 0 : failed / total,
+        errors: { ...errors }
+      };
+    }
+  };
+}
+
+/**
+ * Why a batch with this summary is rejected under the policy, or null when it is accepted
+ */
+export function batchRejection(summary, policy) {
+  const { failed, total, errorRate } = summary;
+  const failures = `${failed} of ${total} items failed`;
+
+  if (policy.mode === 'all-or-nothing' && failed > 0) {
+    return `${failures} (all-or-nothing policy)`;
+  }
+  if (policy.mode === 'threshold' && errorRate > policy.maxErrorRate) {
+    return `${failures}, above the maximum error rate of ${policy.maxErrorRate}`;
+  }
+  return null;
+}
+
+/**
+ * Error raised when a batch policy rejects a batch; answered with 422
+ * details carry the batch summary and the item errors (the first `errors.length`).
+ */
+export class BatchRejectedError extends HttpError {
+  constructor(reason, summary, errors = []) {
+    super(422, `Batch rejected: ${reason}`, { summary, errors });
+    this.name = 'BatchRejectedError';
+    this.summary = summary;
+  }
+}
@@ -0,0 +1,247 @@
+import fs from 'fs-extra';
+import { randomUUID } from 'crypto';
+import { createStateWriter } from './fileUtils.js';
+import HttpError from './HttpError.js';
+
+export const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+
+export const DEFAULT_JOBS = Object.freeze({ concurrency: 2, maxQueued: 100, maxFinished: 100 });
+
+const FINISHED_STATUSES = ['succeeded', 'failed', 'cancelled'];
+
+// Abort reason for jobs interrupted by stop(); they are queued again rather than cancelled
+const SHUTDOWN = 'shutdown';
+
+/**
+ * JobQueue - Background jobs run by `run(job, { signal, update })`, at most `concurrency` at once
+ * Jobs wait in submission order; at most `maxQueued` may wait. run() resolves to fields
+ * merged into the succeeded job, and may update() the job (e.g. its progress) as it goes;
+ * it should stop when `signal` aborts. Failed and cancelled jobs can be retried.
+ * Only the `maxFinished` most recently finished jobs are kept; older ones are dropped, each
+ * passed to onPrune. Persisted as one JSON file: jobs that were running when the agent
+ * stopped run again.
+ */
+export class JobQueue {
+  constructor(filePath, {
+    concurrency = DEFAULT_JOBS.concurrency,
+    maxQueued = DEFAULT_JOBS.maxQueued,
+    maxFinished = DEFAULT_JOBS.maxFinished,
+    run,
+    onFinish = () => {},
+    onPrune = () => {},
+    onError = () => {}
+  } = {}) {
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new Error(`Job concurrency must be a positive integer, got ${JSON.stringify(concurrency)}`);
+    }
+    if (!Number.isInteger(maxQueued) || maxQueued < 1) {
+      throw new Error(`Job maxQueued must be a positive integer, got ${JSON.stringify(maxQueued)}`);
+    }
+    if (!Number.isInteger(maxFinished) || maxFinished < 1) {
+      throw new Error(`Job maxFinished must be a positive integer, got ${JSON.stringify(maxFinished)}`);
+    }
+
+    this.filePath = filePath;
+    this.concurrency = concurrency;
+    this.maxQueued = maxQueued;
+    this.maxFinished = maxFinished;
+    this.run = run;
+    this.onFinish = onFinish;
+    this.onPrune = onPrune;
+    this.onError = onError;
+    this.jobs = new Map();
+    this.running = new Map();
+    this.started = false;
+    this.writer = filePath ? createStateWriter(filePath, () => ({ jobs: this.list() })) : null;
+  }
+
+  async load() {
+    if (!this.filePath || !await fs.pathExists(this.filePath)) {
+      return;
+    }
+    const { jobs = [] } = await fs.readJson(this.filePath);
+    // Saved most recent first
+    this.jobs = new Map([...jobs].reverse()
+      .map(job => [job.id, job.status === 'running' ? { ...job, status: 'queued', startedAt: null } : job]));
+    this.prune();
+  }
+
+  /**
+   * Start running queued jobs
+   */
+  start() {
+    this.started = true;
+    this.drain();
+  }
+
+  /**
+   * Stop taking jobs; running jobs are interrupted and queued again
+   */
+  async stop() {
+    this.started = false;
+    const running = [...this.running.values()];
+    running.forEach(({ controller }) => controller.abort(SHUTDOWN));
+    await Promise.all(running.map(({ done }) => done));
+    await this.flush();
+  }
+
+  /**
+   * Queue a job; fields (e.g. { id, source, itemCount }) are kept on it
+   * Throws a 503 HttpError when maxQueued jobs are already waiting.
+   */
+  submit(fields = {}) {
+    this.assertCapacity();
+    const job = {
+      id: randomUUID(),
+      ...fields,
+      status: 'queued',
+      attempts: 0,
+      submittedAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      progress: null,
+      error: null
+    };
+    this.jobs.set(job.id, job);
+    this.save().catch(this.onError);
+    this.drain();
+    return job;
+  }
+
+  assertCapacity() {
+    if (this.list({ status: 'queued' }).length >= this.maxQueued) {
+      throw new HttpError(503, `Job queue is full (${this.maxQueued} jobs waiting)`);
+    }
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  /**
+   * Jobs, most recently submitted first, optionally with one status
+   */
+  list({ status = null } = {}) {
+    return [...this.jobs.values()]
+      .filter(job => status === null || job.status === status)
+      .reverse();
+  }
+
+  /**
+   * Cancel a queued or running job
+   */
+  cancel(id) {
+    const job = this.require(id);
+    if (job.status === 'queued') {
+      return this.update(id, { status: 'cancelled', finishedAt: new Date().toISOString() });
+    }
+    if (job.status === 'running') {
+      this.running.get(id).controller.abort('cancelled');
+      return job;
+    }
+    throw new HttpError(409, `Job ${id} is already ${job.status}`);
+  }
+
+  /**
+   * Queue a failed or cancelled job again
+   */
+  retry(id) {
+    const job = this.require(id);
+    if (job.status !== 'failed' && job.status !== 'cancelled') {
+      throw new HttpError(409, `Only failed or cancelled jobs can be retried; job ${id} is ${job.status}`);
+    }
+    this.assertCapacity();
+
+    // Back to the end of the queue, without the failed attempt's details
+    const { details: _details, ...rest } = job;
+    this.jobs.delete(id);
+    this.jobs.set(id, { ...rest, status: 'queued', startedAt: null, finishedAt: null, progress: null, error: null });
+    this.save().catch(this.onError);
+    this.drain();
+    return this.get(id);
+  }
+
+  update(id, fields) {
+    const job = { ...this.require(id), ...fields };
+    this.jobs.set(id, job);
+    if (FINISHED_STATUSES.includes(fields.status)) {
+      this.prune();
+    }
+    this.save().catch(this.onError);
+    return job;
+  }
+
+  /**
+   * Drop the oldest finished jobs beyond maxFinished
+   */
+  prune() {
+    const finished = [...this.jobs.values()]
+      .filter(job => FINISHED_STATUSES.includes(job.status))
+      .sort((a, b) => (a.finishedAt ?? '').localeCompare(b.finishedAt ?? ''));
+    for (const job of finished.slice(0, Math.max(0, finished.length - this.maxFinished))) {
+      this.jobs.delete(job.id);
+      this.onPrune(job);
+    }
+  }
+
+  require(id) {
+    const job = this.get(id);
+    if (!job) {
+      throw new HttpError(404, `Unknown job: ${id}`);
+    }
+    return job;
+  }
+
+  drain() {
+    while (this.started && this.running.size < this.concurrency) {
+      const next = [...this.jobs.values()].find(job => job.status === 'queued');
+      if (!next) {
+        return;
+      }
+      this.launch(next);
+    }
+  }
+
+  launch(job) {
+    const controller = new AbortController();
+    const started = this.update(job.id, { status: 'running', startedAt: new Date().toISOString(), attempts: job.attempts + 1 });
+    const update = (fields) => this.update(job.id, fields);
+
+    const done = Promise.resolve()
+      .then(() => this.run(started, { signal: controller.signal, update }))
+      .then(
+        (result) => this.update(job.id, { ...result, status: 'succeeded', finishedAt: new Date().toISOString() }),
+        (error) => {
+          if (controller.signal.reason === SHUTDOWN) {
+            return this.update(job.id, { status: 'queued', startedAt: null });
+          }
+          return this.update(job.id, {
+            status: controller.signal.aborted ? 'cancelled' : 'failed',
+            finishedAt: new Date().toISOString(),
+            error: controller.signal.aborted ? null : error.message,
+            ...(!controller.signal.aborted && error.details && { details: error.details })
+          });
+        }
+      )
+      .then((finished) => {
+        this.running.delete(job.id);
+        if (finished.status !== 'queued') {
+          this.onFinish(finished);
+        }
+        this.drain();
+      })
+      .catch(this.onError);
+
+    this.running.set(job.id, { controller, done });
+  }
+
+  save() {
+    return this.writer ? this.writer.save() : Promise.resolve();
+  }
+
+  flush() {
+    return this.writer ? this.writer.flush() : Promise.resolve();
+  }
+}
+
+export default JobQueue;
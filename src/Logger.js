@@ -0,0 +1,212 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+export const LOG_DESTINATIONS = ['file', 'stdout'];
+
+// Buffered output beyond this many bytes is written without waiting for the flush interval
+const MAX_BUFFERED_BYTES = 64 * 1024;
+
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+
+// converter_<date>.log is a day's current file; converter_<date>.<n>.log its earlier parts
+const LOG_FILE = /^converter_(\d{4}-\d{2}-\d{2})(?:\.(\d+))?\.log$/;
+
+/**
+ * Bytes in a size such as '10MB', '512kb' or 1048576
+ */
+export function parseSize(size) {
+  if (typeof size === 'number') {
+    return size;
+  }
+  const [, amount, unit = 'b'] = /^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i.exec(String(size).trim()) ?? [];
+  if (amount === undefined) {
+    throw new Error(`Invalid size: ${JSON.stringify(size)}`);
+  }
+  return Math.floor(Number(amount) * SIZE_UNITS[unit.toLowerCase()]);
+}
+
+/**
+ * Order of log files from oldest to newest: by day, then a day's numbered parts, then its
+ * current file
+ */
+function compareLogFiles(a, b) {
+  const [, dayA, partA] = LOG_FILE.exec(a);
+  const [, dayB, partB] = LOG_FILE.exec(b);
+  const rank = (part) => (part === undefined ? Infinity : Number(part));
+  return dayA.localeCompare(dayB) || rank(partA) - rank(partB);
+}
+
+/**
+ * Logger - Leveled JSON-lines log: one { timestamp, level, message, ...fields } object per line
+ * Fields such as batchId, source, sku and file make entries searchable. Entries below `level`
+ * (in the order of `levels`) are dropped. With destination 'file', lines are buffered and
+ * appended every `flushInterval` ms to converter_<date>.log in `directory`, named after the
+ * day of each entry. With fileRotation.enabled, a file that would grow past maxSize is
+ * renamed converter_<date>.<n>.log first, and only the newest maxFiles log files are kept.
+ * With destination 'stdout', lines go to stdout only, e.g. for container log collectors.
+ */
+export class Logger {
+  constructor({
+    directory,
+    level = 'info',
+    levels = ['debug', 'info', 'warn', 'error'],
+    destination = 'file',
+    fileRotation = {},
+    flushInterval = 1000,
+    stdout = process.stdout
+  } = {}, { onError = () => {} } = {}) {
+    if (!LOG_DESTINATIONS.includes(destination)) {
+      throw new Error(`Log destination must be one of ${LOG_DESTINATIONS.join(', ')}, got ${JSON.stringify(destination)}`);
+    }
+
+    this.directory = directory;
+    this.level = level;
+    this.levels = levels;
+    this.destination = destination;
+    this.rotation = {
+      enabled: fileRotation.enabled ?? false,
+      maxFiles: fileRotation.maxFiles ?? 7,
+      maxSize: parseSize(fileRotation.maxSize ?? '10MB')
+    };
+    this.flushInterval = flushInterval;
+    this.stdout = stdout;
+    this.onError = onError;
+    this.buffer = [];
+    this.bufferedBytes = 0;
+    this.timer = null;
+    this.writing = Promise.resolve();
+    this.sizes = new Map();
+  }
+
+  /**
+   * Whether entries of `level` are kept
+   */
+  isEnabled(level) {
+    return this.levels.indexOf(level) >= this.levels.indexOf(this.level);
+  }
+
+  /**
+   * Record an entry; returns it, or null when its level is filtered out
+   * Fields that are undefined or null are left out.
+   */
+  log(level, message, fields = {}) {
+    if (!this.isEnabled(level)) {
+      return null;
+    }
+
+    const entry = { timestamp: new Date().toISOString(), level, message };
+    for (const [key, value] of Object.entries(fields)) {
+      if (value !== undefined && value !== null && !(key in entry)) {
+        entry[key] = value;
+      }
+    }
+
+    const line = `${JSON.stringify(entry)}\n`;
+    if (this.destination === 'stdout') {
+      this.stdout.write(line);
+      return entry;
+    }
+
+    this.buffer.push({ day: entry.timestamp.slice(0, 10), line });
+    this.bufferedBytes += Buffer.byteLength(line);
+    if (this.bufferedBytes >= MAX_BUFFERED_BYTES) {
+      this.flush();
+    } else if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), this.flushInterval);
+      this.timer.unref?.();
+    }
+    return entry;
+  }
+
+  /**
+   * Write out buffered entries; resolves once everything logged so far is on disk
+   */
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    const entries = this.buffer;
+    this.buffer = [];
+    this.bufferedBytes = 0;
+
+    if (entries.length > 0) {
+      this.writing = this.writing
+        .then(() => this.write(entries))
+        .catch(this.onError);
+    }
+    return this.writing;
+  }
+
+  async write(entries) {
+    await fs.ensureDir(this.directory);
+
+    // One append per day's run of entries
+    let start = 0;
+    while (start < entries.length) {
+      const { day } = entries[start];
+      let end = start;
+      while (end < entries.length && entries[end].day === day) {
+        end++;
+      }
+      await this.append(day, entries.slice(start, end).map(entry => entry.line).join(''));
+      start = end;
+    }
+  }
+
+  async append(day, text) {
+    const filePath = this.filePath(day);
+    const bytes = Buffer.byteLength(text);
+    // A new file for the day, or a rotated one, may take the log past maxFiles
+    let created = false;
+    if (!this.sizes.has(filePath)) {
+      const stats = await fs.stat(filePath).catch(() => null);
+      this.sizes.set(filePath, stats?.size ?? 0);
+      created = !stats;
+    }
+
+    if (this.rotation.enabled && this.sizes.get(filePath) > 0 && this.sizes.get(filePath) + bytes > this.rotation.maxSize) {
+      await this.rotate(day);
+      created = true;
+    }
+    await fs.appendFile(filePath, text);
+    this.sizes.set(filePath, this.sizes.get(filePath) + bytes);
+
+    if (this.rotation.enabled && created) {
+      await this.prune();
+    }
+  }
+
+  filePath(day) {
+    return path.join(this.directory, `converter_${day}.log`);
+  }
+
+  /**
+   * Move a day's current file aside as its next numbered part
+   */
+  async rotate(day) {
+    const parts = (await fs.readdir(this.directory))
+      .map(name => LOG_FILE.exec(name))
+      .filter(match => match && match[1] === day && match[2] !== undefined)
+      .map(match => Number(match[2]));
+    const next = Math.max(0, ...parts) + 1;
+    await fs.rename(this.filePath(day), path.join(this.directory, `converter_${day}.${next}.log`));
+    this.sizes.set(this.filePath(day), 0);
+  }
+
+  /**
+   * Delete all but the newest maxFiles log files
+   */
+  async prune() {
+    const files = (await fs.readdir(this.directory)).filter(name => LOG_FILE.test(name)).sort(compareLogFiles);
+    const expired = files.slice(0, Math.max(0, files.length - this.rotation.maxFiles));
+    await Promise.all(expired.map(name => fs.remove(path.join(this.directory, name))));
+  }
+
+  /**
+   * Flush and stop the flush timer; entries logged afterwards are still written
+   */
+  close() {
+    return this.flush();
+  }
+}
+
+export default Logger;
@@ -0,0 +1,97 @@
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Rule fields compared as a whole; products are diffed per SKU
+const RULE_FIELDS = ['default', 'effectiveFrom', 'effectiveTo'];
+
+/**
+ * A rule's SKU, source and supplier overrides keyed by what they apply to
+ * Values are { sku, source?, supplier?, factor }.
+ */
+const flattenOverrides = (rule) => {
+  const overrides = new Map();
+
+  for (const [sku, factor] of Object.entries(rule.products || {})) {
+    overrides.set(`sku|${sku}`, { sku, factor });
+  }
+  for (const [source, skus] of Object.entries(rule.sources || {})) {
+    for (const [sku, factor] of Object.entries(skus || {})) {
+      overrides.set(`source|${source}|${sku}`, { sku, source, factor });
+    }
+  }
+  for (const [supplier, skus] of Object.entries(rule.suppliers || {})) {
+    for (const [sku, factor] of Object.entries(skus || {})) {
+      overrides.set(`supplier|${supplier}|${sku}`, { sku, supplier, factor });
+    }
+  }
+
+  return overrides;
+};
+
+/**
+ * Describe what changed between two conversion masters
+ * Rules are compared by key and overrides per rule, SKU and source or supplier (overrides for
+ * a source or supplier carry that field); factor values are reported
+ * as written (a number or a list of dated entries).
+ */
+export function diffConversionMasters(previous, next) {
+  const previousRules = previous?.conversionRules || {};
+  const nextRules = next?.conversionRules || {};
+
+  const diff = {
+    previousVersion: previous?.version ?? null,
+    version: next?.version ?? null,
+    rules: { added: [], removed: [], changed: [] },
+    overrides: { added: [], removed: [], changed: [] },
+    units: {
+      added: (next?.supportedUnits || []).filter(unit => !(previous?.supportedUnits || []).includes(unit)),
+      removed: (previous?.supportedUnits || []).filter(unit => !(next?.supportedUnits || []).includes(unit))
+    },
+    hierarchyChanged: !sameValue(previous?.unitHierarchy, next?.unitHierarchy)
+  };
+
+  for (const ruleKey of Object.keys(nextRules)) {
+    if (!(ruleKey in previousRules)) {
+      diff.rules.added.push(ruleKey);
+    }
+  }
+
+  for (const [ruleKey, previousRule] of Object.entries(previousRules)) {
+    const nextRule = nextRules[ruleKey];
+    if (!nextRule) {
+      diff.rules.removed.push(ruleKey);
+      continue;
+    }
+
+    for (const field of RULE_FIELDS) {
+      if (!sameValue(previousRule[field], nextRule[field])) {
+        diff.rules.changed.push({ rule: ruleKey, field, from: previousRule[field], to: nextRule[field] });
+      }
+    }
+
+    const previousOverrides = flattenOverrides(previousRule);
+    const nextOverrides = flattenOverrides(nextRule);
+
+    for (const [key, { factor, ...target }] of nextOverrides) {
+      const previousOverride = previousOverrides.get(key);
+      if (!previousOverride) {
+        diff.overrides.added.push({ rule: ruleKey, ...target, factor });
+      } else if (!sameValue(previousOverride.factor, factor)) {
+        diff.overrides.changed.push({ rule: ruleKey, ...target, from: previousOverride.factor, to: factor });
+      }
+    }
+    for (const [key, { factor, ...target }] of previousOverrides) {
+      if (!nextOverrides.has(key)) {
+        diff.overrides.removed.push({ rule: ruleKey, ...target, factor });
+      }
+    }
+  }
+
+  // Overrides of added or removed rules are implied by the rule itself
+  diff.hasChanges = diff.previousVersion !== diff.version
+    || diff.hierarchyChanged
+    || [diff.rules, diff.overrides, diff.units].some(group => Object.values(group).some(list => list.length > 0));
+
+  return diff;
+}
+
+export default diffConversionMasters;
@@ -0,0 +1,96 @@
+/**
+ * Measurement dimensions (mass, volume, ...) alongside count-based packaging
+ *
+ * The master describes each dimension with a base unit and fixed sizes of its other units,
+ * and per-SKU net measures per piece (the smallest unit of the hierarchy):
+ *
+ *   "measures": {
+ *     "mass": { "baseUnit": "G", "units": { "KG": 1000 } },
+ *     "volume": { "baseUnit": "ML", "units": { "L": 1000 } }
+ *   },
+ *   "productMeasures": {
+ *     "SKU002": { "mass": { "value": 0.5, "unit": "KG" } }
+ *   }
+ *
+ * These become ordinary unit graph rules: G_TO_KG (1000) for every SKU, and a SKU-only
+ * G_TO_PIECE bridge (500 for SKU002), so CARTON to KG composes like any other path.
+ */
+
+export const COUNT_DIMENSION = 'count';
+
+/**
+ * Every measure unit with its dimension and size in the dimension's base unit
+ */
+export function measureUnits(master) {
+  const units = new Map();
+
+  for (const [dimension, definition] of Object.entries(master?.measures || {})) {
+    if (!definition?.baseUnit) {
+      continue;
+    }
+    units.set(definition.baseUnit, { dimension, size: 1 });
+    for (const [unit, size] of Object.entries(definition.units || {})) {
+      units.set(unit, { dimension, size });
+    }
+  }
+
+  return units;
+}
+
+/**
+ * Dimension of a unit: 'count' for packaging units, the measure's name, or null if unknown
+ */
+export function dimensionOf(master, unit) {
+  const measure = measureUnits(master).get(unit);
+  if (measure) {
+    return measure.dimension;
+  }
+  const countUnits = [...(master?.unitHierarchy || []), ...(master?.supportedUnits || [])];
+  return countUnits.includes(unit) ? COUNT_DIMENSION : null;
+}
+
+/**
+ * Whether a SKU has a net measure per piece for a dimension
+ */
+export function hasMeasure(master, sku, dimension) {
+  return Boolean(sku && master?.productMeasures?.[sku]?.[dimension]);
+}
+
+/**
+ * Conversion rules implied by the measures: fixed rules within each dimension and per-SKU
+ * bridges from each dimension's base unit to the smallest count unit
+ */
+export function buildMeasureRules(master) {
+  const rules = {};
+  const units = measureUnits(master);
+  const pieceUnit = master?.unitHierarchy?.[0];
+
+  for (const definition of Object.values(master?.measures || {})) {
+    if (!definition?.baseUnit) {
+      continue;
+    }
+    for (const [unit, size] of Object.entries(definition.units || {})) {
+      rules[`${definition.baseUnit}_TO_${unit}`] = { default: size, products: {} };
+    }
+  }
+
+  if (!pieceUnit) {
+    return rules;
+  }
+
+  for (const [sku, productMeasures] of Object.entries(master?.productMeasures || {})) {
+    for (const [dimension, { value, unit } = {}] of Object.entries(productMeasures || {})) {
+      const baseUnit = master.measures?.[dimension]?.baseUnit;
+      const measure = units.get(unit);
+      if (!baseUnit || !measure || measure.dimension !== dimension) {
+        continue;
+      }
+
+      const ruleKey = `${baseUnit}_TO_${pieceUnit}`;
+      rules[ruleKey] = rules[ruleKey] || { products: {} };
+      rules[ruleKey].products[sku] = value * measure.size;
+    }
+  }
+
+  return rules;
+}
@@ -0,0 +1,110 @@
+import Fraction from './Fraction.js';
+
+/**
+ * Order planning arithmetic: which whole packs to buy to cover a quantity
+ */
+
+// Largest search, in pack-size steps, before a plan is refused; planning runs on the request
+// thread, so this keeps its tables to about 2 MB
+export const MAX_PLAN_STEPS = 100000;
+
+/**
+ * Error raised when an order needs more pack-size steps than MAX_PLAN_STEPS to plan
+ */
+export class PlanTooLargeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PlanTooLargeError';
+  }
+}
+
+const COST_EPSILON = 1e-9;
+
+const gcd = (a, b) => {
+  while (b !== 0n) {
+    [a, b] = [b, a % b];
+  }
+  return a;
+};
+
+/**
+ * Cheapest mix of whole packs adding up to at least `required` (exact, in base units)
+ * packs: [{ unit, size, cost }] where size is the base units per pack (a Fraction) and cost
+ * the price of one pack. Among mixes of equal cost the one with the least surplus wins, then
+ * the one with the fewest packs; with all costs 0 that is the tightest, fewest-packs order.
+ * Returns { counts: { unit: packs }, total (Fraction), cost }.
+ */
+export function cheapestPackMix(required, packs) {
+  const needed = Fraction.from(required);
+  if (packs.length === 0) {
+    throw new Error('No order units to plan with');
+  }
+  if (needed.compare(0) <= 0) {
+    return { counts: {}, total: new Fraction(0n), cost: 0 };
+  }
+
+  // Count in steps of the largest amount every pack size is a whole multiple of
+  const scale = packs.reduce((lcm, { size }) => lcm * size.denominator / gcd(lcm, size.denominator), 1n);
+  const scaledSizes = packs.map(({ size }) => size.numerator * (scale / size.denominator));
+  const step = scaledSizes.reduce(gcd);
+  const steps = scaledSizes.map(size => Number(size / step));
+  const target = Number(needed.mul(new Fraction(scale)).div(new Fraction(step)).ceil());
+  const limit = target + Math.max(...steps) - 1;
+
+  if (limit > MAX_PLAN_STEPS) {
+    throw new PlanTooLargeError(`Order of ${needed.toNumber()} is too large to plan with packs of ${packs.map(pack => pack.unit).join(', ')}`);
+  }
+
+  // cost[a] is the cheapest way to make exactly a steps; packCount and lastPack break ties
+  const cost = new Float64Array(limit + 1).fill(Infinity);
+  const packCount = new Float64Array(limit + 1);
+  const lastPack = new Int32Array(limit + 1).fill(-1);
+  cost[0] = 0;
+
+  for (let amount = 1; amount <= limit; amount++) {
+    steps.forEach((size, index) => {
+      const from = amount - size;
+      if (from < 0 || cost[from] === Infinity) {
+        return;
+      }
+      const candidate = cost[from] + packs[index].cost;
+      const count = packCount[from] + 1;
+      if (candidate < cost[amount] - COST_EPSILON || (candidate < cost[amount] + COST_EPSILON && count < packCount[amount])) {
+        cost[amount] = candidate;
+        packCount[amount] = count;
+        lastPack[amount] = index;
+      }
+    });
+  }
+
+  let best = -1;
+  for (let amount = target; amount <= limit; amount++) {
+    if (cost[amount] === Infinity) {
+      continue;
+    }
+    if (best === -1 || cost[amount] < cost[best] - COST_EPSILON) {
+      best = amount;
+    }
+  }
+
+  const counts = {};
+  for (let amount = best; amount > 0; amount -= steps[lastPack[amount]]) {
+    const { unit } = packs[lastPack[amount]];
+    counts[unit] = (counts[unit] || 0) + 1;
+  }
+
+  return {
+    counts,
+    total: new Fraction(BigInt(best) * step, scale),
+    cost: cost[best]
+  };
+}
+
+/**
+ * Whole packs of one size covering `required`: { unit, packs, total }
+ */
+export function singlePackOrder(required, { unit, size }) {
+  const needed = Fraction.from(required);
+  const packs = needed.compare(0) <= 0 ? 0n : needed.div(size).ceil();
+  return { unit, packs: Number(packs), total: size.mul(new Fraction(packs)) };
+}
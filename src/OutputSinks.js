@@ -0,0 +1,282 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { once } from 'events';
+import { finished } from 'stream/promises';
+
+/**
+ * Output layer for processed batches
+ * A batch is written through one or more sinks. Each sink makes a writer per batch with
+ * open(header), writeItem(item), close(footer) and optionally abort(); close() resolves to
+ * where the batch went. The built-in 'file' sink writes the batch in one of OUTPUT_FORMATS.
+ */
+
+export const OUTPUT_FORMATS = {
+  json: { extension: 'json', contentType: 'application/json' },
+  ndjson: { extension: 'ndjson', contentType: 'application/x-ndjson' },
+  csv: { extension: 'csv', contentType: 'text/csv' }
+};
+
+export const DEFAULT_OUTPUT = {
+  filename: 'processed_{name}_{timestamp}.{ext}',
+  format: 'json',
+  targetUnit: null,
+  columns: [],
+  sinks: ['file'],
+  sources: {}
+};
+
+/**
+ * Throw unless `format` is one of OUTPUT_FORMATS
+ */
+export function assertOutputFormat(format) {
+  if (!OUTPUT_FORMATS[format]) {
+    throw new Error(`Unknown output format: ${format}. Expected one of: ${Object.keys(OUTPUT_FORMATS).join(', ')}`);
+  }
+}
+
+/**
+ * Fill a filename template: {name}, {source}, {batchId}, {timestamp}, {date}, {format} and
+ * {ext}; values are made safe for file names
+ */
+export function renderFilename(template, values) {
+  return template.replace(/\{(\w+)\}/g, (placeholder, key) => {
+    const value = values[key];
+    return value === undefined || value === null ? 'unknown' : String(value).replace(/[\\/:*?"<>|\s]+/g, '-');
+  });
+}
+
+/**
+ * An item with its standardized units (and their provenance) narrowed to a single unit
+ */
+export function selectUnit(item, unit) {
+  if (!unit || !item.standardizedUnits) {
+    return item;
+  }
+
+  const narrowed = { ...item, standardizedUnits: pick(item.standardizedUnits, unit) };
+  if (item.provenance?.conversions) {
+    narrowed.provenance = { ...item.provenance, conversions: pick(item.provenance.conversions, unit) };
+  }
+  return narrowed;
+}
+
+function pick(values, key) {
+  return values[key] === undefined ? {} : { [key]: values[key] };
+}
+
+/**
+ * Writes a batch to a writable stream, waiting for it to drain
+ */
+class StreamEncoder {
+  constructor(stream) {
+    this.stream = stream;
+    this.itemCount = 0;
+  }
+
+  async write(text) {
+    if (this.stream.errored) {
+      throw this.stream.errored;
+    }
+    if (!this.stream.write(text)) {
+      await once(this.stream, 'drain');
+    }
+  }
+}
+
+/**
+ * One JSON document: the header fields, `items`, then the footer fields
+ */
+class JsonEncoder extends StreamEncoder {
+  async open(header = {}) {
+    await this.write(`{\n${jsonMembers(header).map(member => `${member},\n`).join('')}  "items": [`);
+  }
+
+  async writeItem(item) {
+    const separator = this.itemCount++ === 0 ? '\n' : ',\n';
+    await this.write(`${separator}    ${indent(JSON.stringify(item, null, 2), '    ')}`);
+  }
+
+  async close(footer = {}) {
+    const members = jsonMembers(footer);
+    await this.write(`${this.itemCount > 0 ? '\n  ' : ''}]${members.map(member => `,\n${member}`).join('')}\n}\n`);
+  }
+}
+
+/**
+ * A first line with the header fields, one item per line, then a { "footer": {...} } line with
+ * the footer fields (summary, counts, parse errors) when there are any; the input format for
+ * NDJSON files, whose reader skips the footer, so output can be fed back in
+ */
+class NdjsonEncoder extends StreamEncoder {
+  async open(header = {}) {
+    await this.write(`${JSON.stringify(header)}\n`);
+  }
+
+  async writeItem(item) {
+    this.itemCount++;
+    await this.write(`${JSON.stringify(item)}\n`);
+  }
+
+  async close(footer = {}) {
+    const fields = Object.fromEntries(Object.entries(footer).filter(([, value]) => value !== undefined));
+    if (Object.keys(fields).length > 0) {
+      await this.write(`${JSON.stringify({ footer: fields })}\n`);
+    }
+  }
+}
+
+/**
+ * One row per item: sku, the original quantity and unit, any extra `columns`, one column
+ * per standardized unit and the error, if any
+ */
+class CsvEncoder extends StreamEncoder {
+  constructor(stream, { units = [], columns = [] } = {}) {
+    super(stream);
+    this.units = units;
+    this.columns = columns;
+  }
+
+  async open() {
+    await this.write(csvLine(['sku', 'originalQuantity', 'originalUnit', ...this.columns, ...this.units, 'error']));
+  }
+
+  async writeItem(item) {
+    this.itemCount++;
+    await this.write(csvLine([
+      item.sku,
+      item.originalQuantity ?? item.quantity,
+      item.originalUnit ?? item.unit,
+      ...this.columns.map(column => item[column]),
+      ...this.units.map(unit => item.standardizedUnits?.[unit]),
+      item.error
+    ]));
+  }
+
+  async close() {}
+}
+
+const ENCODERS = { json: JsonEncoder, ndjson: NdjsonEncoder, csv: CsvEncoder };
+
+/**
+ * An encoder writing a batch in `format` to a writable stream (a file, an HTTP response)
+ * options: units (CSV unit columns) and columns (extra CSV item fields)
+ */
+export function createEncoder(format, stream, options = {}) {
+  assertOutputFormat(format);
+  return new ENCODERS[format](stream, options);
+}
+
+/**
+ * Write a batch to a file in one of OUTPUT_FORMATS
+ * Output goes to a temporary file renamed into place on close, so readers never see a partial
+ * batch; abort() discards it. close() resolves to the file path.
+ */
+export class FileBatchWriter {
+  constructor(filePath, { format = 'json', ...options } = {}) {
+    this.filePath = filePath;
+    this.tempPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`);
+    this.format = format;
+    this.options = options;
+    this.stream = null;
+    this.encoder = null;
+    assertOutputFormat(format);
+  }
+
+  async open(header = {}) {
+    await fs.ensureDir(path.dirname(this.filePath));
+    this.stream = fs.createWriteStream(this.tempPath);
+    this.stream.on('error', () => {});
+    this.encoder = createEncoder(this.format, this.stream, this.options);
+    await this.encoder.open(header);
+  }
+
+  writeItem(item) {
+    return this.encoder.writeItem(item);
+  }
+
+  async close(footer = {}) {
+    await this.encoder.close(footer);
+    this.stream.end();
+    await finished(this.stream);
+    await fs.rename(this.tempPath, this.filePath);
+    return this.filePath;
+  }
+
+  async abort() {
+    if (this.stream) {
+      this.stream.destroy();
+      await fs.remove(this.tempPath);
+    }
+  }
+}
+
+/**
+ * The built-in 'file' sink: a file in context.directory named from context.filename
+ */
+export function fileSink(context) {
+  const { extension } = OUTPUT_FORMATS[context.format];
+  const fileName = renderFilename(context.filename, {
+    name: context.inputFile ? path.basename(context.inputFile, path.extname(context.inputFile)) : context.channel,
+    source: context.source,
+    batchId: context.batchId,
+    timestamp: context.startedAt.replace(/[:.]/g, '-'),
+    date: context.startedAt.slice(0, 10),
+    format: context.format,
+    ext: extension
+  });
+
+  return new FileBatchWriter(path.join(context.directory, fileName), {
+    format: context.format,
+    units: context.units,
+    columns: context.columns
+  });
+}
+
+/**
+ * One writer feeding several: close() resolves to each writer's location, and a failure
+ * aborts them all
+ */
+export function combineWriters(writers) {
+  const abortAll = () => Promise.all(writers.map(writer => writer.abort?.()?.catch(() => {})));
+  const each = async (call) => {
+    try {
+      const results = [];
+      for (const writer of writers) {
+        results.push(await call(writer));
+      }
+      return results;
+    } catch (error) {
+      await abortAll();
+      throw error;
+    }
+  };
+
+  return {
+    open: (header) => each(writer => writer.open(header)),
+    writeItem: (item) => each(writer => writer.writeItem(item)),
+    close: (footer) => each(writer => writer.close(footer)),
+    abort: abortAll
+  };
+}
+
+function jsonMembers(fields) {
+  return Object.entries(fields)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `  ${JSON.stringify(key)}: ${indent(JSON.stringify(value, null, 2), '  ')}`);
+}
+
+function indent(json, padding) {
+  return json.replace(/\n/g, `\n${padding}`);
+}
+
+function csvLine(values) {
+  return `${values.map(csvField).join(',')}\n`;
+}
+
+function csvField(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
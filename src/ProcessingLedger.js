@@ -0,0 +1,60 @@
+import fs from 'fs-extra';
+import { createStateWriter } from './fileUtils.js';
+
+/**
+ * ProcessingLedger - Inbound files seen by the agent, keyed by content hash
+ * A file whose content was processed before is not processed again, whatever its name or
+ * however often it is saved or re-dropped. Failed content may be retried. Persisted as one
+ * JSON file so the ledger survives restarts.
+ */
+export class ProcessingLedger {
+  constructor(filePath, { onError = () => {} } = {}) {
+    this.filePath = filePath;
+    this.onError = onError;
+    this.entries = new Map();
+    this.writer = filePath ? createStateWriter(filePath, () => ({ files: this.list() })) : null;
+  }
+
+  async load() {
+    if (!this.filePath || !await fs.pathExists(this.filePath)) {
+      return;
+    }
+    const { files = [] } = await fs.readJson(this.filePath);
+    this.entries = new Map(files.map(entry => [entry.hash, entry]));
+  }
+
+  get(hash) {
+    return this.entries.get(hash) || null;
+  }
+
+  isProcessed(hash) {
+    return this.get(hash)?.status === 'processed';
+  }
+
+  /**
+   * Record the outcome for some content: { status: 'processed' | 'failed', file, ... }
+   */
+  record(hash, outcome) {
+    const entry = { hash, ...outcome, recordedAt: new Date().toISOString() };
+    this.entries.set(hash, entry);
+    this.save().catch(this.onError);
+    return entry;
+  }
+
+  /**
+   * Entries, most recent first
+   */
+  list() {
+    return [...this.entries.values()].sort((a, b) => b.recordedAt.localeCompare(a.recordedAt));
+  }
+
+  save() {
+    return this.writer ? this.writer.save() : Promise.resolve();
+  }
+
+  flush() {
+    return this.writer ? this.writer.flush() : Promise.resolve();
+  }
+}
+
+export default ProcessingLedger;
@@ -0,0 +1,61 @@
+import fs from 'fs-extra';
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * ProductCatalog - The SKUs the business knows, kept next to the conversion master
+ *
+ *   { "products": [
+ *       { "sku": "SKU001", "name": "Widget A", "baseUnit": "PIECE",
+ *         "allowedUnits": ["PIECE", "BOX", "CARTON"], "active": true }
+ *   ] }
+ *
+ * A catalog built without data is disabled: every SKU passes, as before catalogs existed.
+ */
+export class ProductCatalog {
+  constructor(data = null) {
+    this.enabled = data !== null;
+    this.products = new Map();
+
+    if (!this.enabled) {
+      return;
+    }
+
+    if (!isPlainObject(data) || !Array.isArray(data.products)) {
+      throw new Error('Invalid product catalog: expected { products: [] }');
+    }
+
+    data.products.forEach((product, index) => {
+      if (!isPlainObject(product) || typeof product.sku !== 'string' || product.sku.trim() === '') {
+        throw new Error(`Invalid product catalog: products[${index}] needs a sku`);
+      }
+      if (product.allowedUnits !== undefined && !Array.isArray(product.allowedUnits)) {
+        throw new Error(`Invalid product catalog: allowedUnits of ${product.sku} must be an array`);
+      }
+      if (this.products.has(product.sku)) {
+        throw new Error(`Invalid product catalog: ${product.sku} is listed more than once`);
+      }
+      this.products.set(product.sku, { active: true, ...product });
+    });
+  }
+
+  /**
+   * Load a catalog file; a missing file gives a disabled catalog
+   */
+  static async load(filePath) {
+    if (!filePath || !await fs.pathExists(filePath)) {
+      return new ProductCatalog();
+    }
+    return new ProductCatalog(await fs.readJson(filePath));
+  }
+
+  get(sku) {
+    return this.products.get(String(sku)) || null;
+  }
+
+  list() {
+    return [...this.products.values()];
+  }
+}
+
+export default ProductCatalog;
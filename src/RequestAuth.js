@@ -0,0 +1,233 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+import HttpError from './HttpError.js';
+
+export const API_KEY_HEADER = 'X-Api-Key';
+export const TIMESTAMP_HEADER = 'X-Signature-Timestamp';
+export const SIGNATURE_HEADER = 'X-Signature';
+
+export const DEFAULT_AUTH = Object.freeze({ enabled: false, signatureTolerance: 300, clients: {} });
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+// The path as requested, also within routers mounted on a path
+const requestPath = (req) => req.originalUrl.split('?')[0];
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && timingSafeEqual(left, right);
+};
+
+/**
+ * HMAC-SHA256 signature of a request or callback: "sha256=" + hex digest of "<timestamp>.<body>"
+ */
+export function signPayload(secret, timestamp, body = '') {
+  return `sha256=${createHmac('sha256', secret).update(`${timestamp}.`).update(body).digest('hex')}`;
+}
+
+/**
+ * Fixed-window request counter per key
+ * hit() returns the seconds to wait when the key is over its limit, else 0. Windows that have
+ * ended are dropped, at most once per window length, so idle keys are not kept.
+ */
+export class RateLimiter {
+  constructor({ now = Date.now } = {}) {
+    this.now = now;
+    this.windows = new Map();
+    this.nextPrune = 0;
+  }
+
+  hit(key, { windowMs, max }) {
+    const now = this.now();
+    if (now >= this.nextPrune) {
+      this.prune(now);
+      this.nextPrune = now + windowMs;
+    }
+
+    let window = this.windows.get(key);
+    if (!window || now >= window.end) {
+      window = { start: now, end: now + windowMs, count: 0 };
+      this.windows.set(key, window);
+    }
+
+    window.count++;
+    return window.count > max ? Math.ceil((window.end - now) / 1000) : 0;
+  }
+
+  prune(now) {
+    for (const [key, window] of this.windows) {
+      if (now >= window.end) {
+        this.windows.delete(key);
+      }
+    }
+  }
+}
+
+/**
+ * Checks a rate limit setting: null (no limit) or { windowMs, max }
+ */
+function assertRateLimit(rateLimit, where) {
+  if (rateLimit === null || rateLimit === undefined) {
+    return;
+  }
+  if (!isPlainObject(rateLimit) || !isPositiveInteger(rateLimit.windowMs) || !isPositiveInteger(rateLimit.max)) {
+    throw new Error(`${where} must be { windowMs, max } with positive integers, got ${JSON.stringify(rateLimit)}`);
+  }
+}
+
+/**
+ * RequestAuth - API keys, HMAC request signatures, per-client sources and rate limits
+ * With auth enabled every request needs a known X-Api-Key. Clients configured with a
+ * `secret` must also sign each request: X-Signature-Timestamp (Unix seconds, within
+ * signatureTolerance of now) and X-Signature (see signPayload, over the raw body). A signature
+ * is accepted once. A client's `sources` limit the `source` values it may send or read
+ * (default: any); such a client may not use endpoints spanning every source.
+ * Rate limits apply per client, or per IP address when auth is off.
+ * Rejections answer 401, 403 or 429 and are logged.
+ */
+export class RequestAuth {
+  constructor({ auth = {}, rateLimit = null } = {}, { log = () => {}, now = Date.now } = {}) {
+    this.options = { ...DEFAULT_AUTH, ...auth };
+    this.rateLimit = rateLimit;
+    this.log = log;
+    this.now = now;
+    this.limiter = new RateLimiter({ now });
+    this.seenSignatures = new Map();
+    this.clientsByKey = new Map();
+
+    assertRateLimit(rateLimit, 'rateLimit');
+    if (!isPositiveInteger(this.options.signatureTolerance)) {
+      throw new Error(`auth.signatureTolerance must be a positive number of seconds, got ${JSON.stringify(this.options.signatureTolerance)}`);
+    }
+    for (const [id, client] of Object.entries(this.options.clients)) {
+      if (!isPlainObject(client) || typeof client.apiKey !== 'string' || client.apiKey === '') {
+        throw new Error(`auth.clients.${id} needs an apiKey`);
+      }
+      if (this.clientsByKey.has(client.apiKey)) {
+        throw new Error(`auth.clients.${id} reuses the apiKey of ${this.clientsByKey.get(client.apiKey).id}`);
+      }
+      if (client.sources !== undefined && !Array.isArray(client.sources)) {
+        throw new Error(`auth.clients.${id}.sources must be an array`);
+      }
+      assertRateLimit(client.rateLimit, `auth.clients.${id}.rateLimit`);
+      this.clientsByKey.set(client.apiKey, { id, ...client });
+    }
+    if (this.options.enabled && this.clientsByKey.size === 0) {
+      throw new Error('auth is enabled but no clients are configured');
+    }
+  }
+
+  /**
+   * Middleware run before the body is read: identifies the client and applies its rate limit
+   */
+  authenticate(req, res, next) {
+    let client = null;
+
+    if (this.options.enabled) {
+      const apiKey = req.get(API_KEY_HEADER);
+      if (!apiKey) {
+        return this.reject(req, res, 401, `Missing ${API_KEY_HEADER} header`);
+      }
+      client = [...this.clientsByKey].find(([key]) => safeEqual(key, apiKey))?.[1] ?? null;
+      if (!client) {
+        return this.reject(req, res, 401, 'Unknown API key');
+      }
+    }
+
+    req.client = client;
+    const rateLimit = client?.rateLimit ?? this.rateLimit;
+    if (rateLimit) {
+      const retryAfter = this.limiter.hit(client ? `client:${client.id}` : `ip:${req.ip}`, rateLimit);
+      if (retryAfter > 0) {
+        res.set('Retry-After', String(retryAfter));
+        return this.reject(req, res, 429, `Rate limit of ${rateLimit.max} requests per ${rateLimit.windowMs} ms exceeded`);
+      }
+    }
+    next();
+  }
+
+  /**
+   * Middleware run once the raw body is read: checks the signature of clients with a secret
+   */
+  verifySignature(req, res, next) {
+    const secret = req.client?.secret;
+    if (!secret) {
+      return next();
+    }
+
+    const timestamp = req.get(TIMESTAMP_HEADER);
+    const signature = req.get(SIGNATURE_HEADER);
+    if (!timestamp || !signature) {
+      return this.reject(req, res, 401, `Missing ${TIMESTAMP_HEADER} or ${SIGNATURE_HEADER} header`);
+    }
+
+    const nowSeconds = Math.floor(this.now() / 1000);
+    const { signatureTolerance } = this.options;
+    if (!/^\d+$/.test(timestamp) || Math.abs(nowSeconds - Number(timestamp)) > signatureTolerance) {
+      return this.reject(req, res, 401, `Signature timestamp is not within ${signatureTolerance} seconds of now`);
+    }
+    if (!safeEqual(signPayload(secret, timestamp, req.rawBody ?? ''), signature)) {
+      return this.reject(req, res, 401, 'Invalid signature');
+    }
+
+    this.forgetExpiredSignatures(nowSeconds);
+    if (this.seenSignatures.has(signature)) {
+      return this.reject(req, res, 401, 'Signature already used');
+    }
+    this.seenSignatures.set(signature, Number(timestamp) + signatureTolerance);
+    next();
+  }
+
+  /**
+   * Whether the request's client may send or read data for `source`
+   */
+  permitsSource(req, source = null) {
+    const allowed = req.client?.sources;
+    return !allowed || allowed.includes('*') || (source !== null && source !== undefined && allowed.includes(source));
+  }
+
+  /**
+   * Throw a 403 HttpError unless the request's client may send or read data for `source`
+   */
+  assertSource(req, source = null) {
+    if (!this.permitsSource(req, source)) {
+      const message = source ? `Client ${req.client.id} may not access data for source ${source}` : `Client ${req.client.id} must name a source`;
+      this.log('warn', `Rejected ${req.method} ${requestPath(req)} from ${req.client.id}: ${message}`);
+      throw new HttpError(403, message);
+    }
+  }
+
+  /**
+   * Throw a 403 HttpError when the request's client is limited to some sources, for endpoints
+   * spanning every source (rule admin, deliveries, audit, stock totals)
+   */
+  assertUnrestricted(req) {
+    const allowed = req.client?.sources;
+    if (allowed && !allowed.includes('*')) {
+      const message = `Client ${req.client.id} is limited to sources ${allowed.join(', ')}`;
+      this.log('warn', `Rejected ${req.method} ${requestPath(req)} from ${req.client.id}: ${message}`);
+      throw new HttpError(403, message);
+    }
+  }
+
+  reject(req, res, status, message) {
+    this.log('warn', `Rejected ${req.method} ${requestPath(req)} from ${req.client?.id ?? req.ip}: ${message}`);
+    res.status(status).json({ success: false, error: message });
+  }
+
+  /**
+   * Drop signatures whose timestamp is out of tolerance anyway; expiries follow the clients'
+   * clocks, not the order signatures were seen in, so every entry is checked
+   */
+  forgetExpiredSignatures(nowSeconds) {
+    for (const [signature, expiresAt] of this.seenSignatures) {
+      if (expiresAt < nowSeconds) {
+        this.seenSignatures.delete(signature);
+      }
+    }
+  }
+}
+
+export default RequestAuth;
@@ -0,0 +1,336 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { createStateWriter, writeJsonAtomic } from './fileUtils.js';
+import { SIGNATURE_HEADER, TIMESTAMP_HEADER, signPayload } from './RequestAuth.js';
+import HttpError from './HttpError.js';
+
+export const DEFAULT_DELIVERY = Object.freeze({
+  destinations: [],
+  maxAttempts: 6,
+  initialDelay: 1000,
+  maxDelay: 300000,
+  timeout: 10000
+});
+
+// Responses worth trying again; any other failed response goes to the dead letters at once
+const RETRYABLE_STATUSES = new Set([408, 425, 429]);
+
+const isRetryable = (status) => status >= 500 || RETRYABLE_STATUSES.has(status);
+
+/**
+ * Wait before the attempt after `attempts` failed ones: initialDelay, doubling up to maxDelay
+ */
+export function backoffDelay(attempts, { initialDelay, maxDelay }) {
+  return Math.min(maxDelay, initialDelay * 2 ** Math.max(0, attempts - 1));
+}
+
+/**
+ * ResultDelivery - Posts processed batches to HTTP callback destinations
+ * Each destination ({ name, url, sources, secret, headers }) gets the batches of its
+ * `sources` (default: all). Bodies are signed like inbound requests when it has a `secret`.
+ * Failed deliveries are retried with exponential backoff up to maxAttempts; then, or on a
+ * response not worth retrying, they move to the dead-letter directory, one JSON file each,
+ * from where they can be replayed. Pending deliveries are persisted and resume after a restart:
+ * the state file holds only their attempts and schedule, each payload is written once to its
+ * own file in the payload directory (kept in memory when there is no state file).
+ */
+export class ResultDelivery {
+  constructor(filePath, {
+    deadLetterDirectory,
+    payloadDirectory = filePath ? path.join(path.dirname(filePath), 'delivery-payloads') : null,
+    log = () => {},
+    onDelivered = () => {},
+    onDeadLetter = () => {},
+    onError = () => {},
+    ...options
+  } = {}) {
+    this.options = { ...DEFAULT_DELIVERY, ...options };
+    this.filePath = filePath;
+    this.deadLetterDirectory = deadLetterDirectory;
+    this.payloadDirectory = payloadDirectory;
+    this.log = log;
+    this.onDelivered = onDelivered;
+    this.onDeadLetter = onDeadLetter;
+    this.onError = onError;
+    this.pending = new Map();
+    // Payloads by delivery id, without a payload directory
+    this.payloads = new Map();
+    this.timers = new Map();
+    this.inFlight = new Set();
+    this.started = false;
+    this.writer = filePath ? createStateWriter(filePath, () => ({ deliveries: [...this.pending.values()] })) : null;
+
+    const names = new Set();
+    for (const destination of this.options.destinations) {
+      if (!destination?.name || names.has(destination.name)) {
+        throw new Error(`Every delivery destination needs a unique name, got ${JSON.stringify(destination?.name)}`);
+      }
+      if (!/^https?:\/\//.test(destination.url ?? '')) {
+        throw new Error(`Delivery destination ${destination.name} needs an http(s) url`);
+      }
+      if (destination.sources !== undefined && !Array.isArray(destination.sources)) {
+        throw new Error(`Delivery destination ${destination.name}: sources must be an array`);
+      }
+      names.add(destination.name);
+    }
+    for (const key of ['maxAttempts', 'initialDelay', 'maxDelay', 'timeout']) {
+      if (!Number.isInteger(this.options[key]) || this.options[key] < 1) {
+        throw new Error(`Delivery ${key} must be a positive integer, got ${JSON.stringify(this.options[key])}`);
+      }
+    }
+  }
+
+  async load() {
+    if (!this.filePath || !await fs.pathExists(this.filePath)) {
+      return;
+    }
+    const { deliveries = [] } = await fs.readJson(this.filePath);
+    this.pending = new Map(deliveries.map(delivery => [delivery.id, delivery]));
+  }
+
+  /**
+   * Start sending pending deliveries, each at its next attempt time
+   */
+  start() {
+    this.started = true;
+    this.pending.forEach(delivery => this.schedule(delivery));
+  }
+
+  /**
+   * Stop sending; deliveries in progress finish, the rest stay pending
+   */
+  async stop() {
+    this.started = false;
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+    await Promise.all(this.inFlight);
+    await this.flush();
+  }
+
+  /**
+   * Queue a processed batch for each destination that takes its source
+   * Resolves to the queued deliveries once their payloads are stored.
+   */
+  async enqueue(event, payload, { source = null } = {}) {
+    const queued = [];
+    for (const destination of this.destinationsFor(source)) {
+      const delivery = {
+        id: randomUUID(),
+        destination: destination.name,
+        event,
+        attempts: 0,
+        createdAt: new Date().toISOString(),
+        nextAttemptAt: new Date().toISOString(),
+        lastError: null
+      };
+      await this.storePayload(delivery.id, payload);
+      queued.push(this.add(delivery));
+    }
+    return queued;
+  }
+
+  /**
+   * Destinations that take the batches of `source`
+   */
+  destinationsFor(source = null) {
+    return this.options.destinations.filter(destination => !destination.sources || destination.sources.includes(source));
+  }
+
+  add(delivery) {
+    this.pending.set(delivery.id, delivery);
+    this.save().catch(this.onError);
+    this.schedule(delivery);
+    return delivery;
+  }
+
+  list() {
+    return [...this.pending.values()];
+  }
+
+  schedule(delivery) {
+    if (!this.started) {
+      return;
+    }
+    clearTimeout(this.timers.get(delivery.id));
+    const wait = Math.max(0, Date.parse(delivery.nextAttemptAt) - Date.now());
+    const timer = setTimeout(() => {
+      this.timers.delete(delivery.id);
+      const attempt = this.attempt(delivery.id).catch(this.onError);
+      this.inFlight.add(attempt);
+      attempt.finally(() => this.inFlight.delete(attempt));
+    }, wait);
+    timer.unref?.();
+    this.timers.set(delivery.id, timer);
+  }
+
+  async attempt(id) {
+    const delivery = this.pending.get(id);
+    if (!delivery) {
+      return;
+    }
+    let payload;
+    try {
+      payload = await this.readPayload(id);
+    } catch (error) {
+      await this.deadLetter(delivery, `Payload could not be read: ${error.message}`, null);
+      return;
+    }
+    const destination = this.options.destinations.find(candidate => candidate.name === delivery.destination);
+    if (!destination) {
+      await this.deadLetter(delivery, `Destination ${delivery.destination} is no longer configured`, payload);
+      return;
+    }
+
+    const attempts = delivery.attempts + 1;
+    let failure;
+    let retryable = true;
+    try {
+      const response = await this.send(delivery, payload, destination);
+      if (response.ok) {
+        this.pending.delete(id);
+        this.save().catch(this.onError);
+        await this.removePayload(id);
+        this.log('info', `Delivered ${delivery.event} ${delivery.id} to ${destination.name} (attempt ${attempts})`);
+        this.onDelivered({ ...delivery, attempts, deliveredAt: new Date().toISOString() });
+        return;
+      }
+      failure = `HTTP ${response.status}`;
+      retryable = isRetryable(response.status);
+    } catch (error) {
+      failure = error.name === 'TimeoutError' ? `Timed out after ${this.options.timeout} ms` : error.message;
+    }
+
+    const failed = { ...delivery, attempts, lastError: failure };
+    if (!retryable || attempts >= this.options.maxAttempts) {
+      await this.deadLetter(failed, failure, payload);
+      return;
+    }
+
+    const wait = backoffDelay(attempts, this.options);
+    this.log('warn', `Delivery ${delivery.id} to ${destination.name} failed (${failure}); retrying in ${wait} ms`);
+    this.add({ ...failed, nextAttemptAt: new Date(Date.now() + wait).toISOString() });
+  }
+
+  send(delivery, payload, destination) {
+    const body = JSON.stringify({ id: delivery.id, event: delivery.event, ...payload });
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    return fetch(destination.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Delivery-Id': delivery.id,
+        'X-Event': delivery.event,
+        ...(destination.secret && {
+          [TIMESTAMP_HEADER]: timestamp,
+          [SIGNATURE_HEADER]: signPayload(destination.secret, timestamp, body)
+        }),
+        ...destination.headers
+      },
+      body,
+      signal: AbortSignal.timeout(this.options.timeout)
+    });
+  }
+
+  /**
+   * Move a delivery, with its payload, to the dead letters
+   * If that cannot be written, the delivery stays pending and is tried again after maxDelay.
+   */
+  async deadLetter(delivery, reason, payload) {
+    const record = { ...delivery, payload, lastError: reason, deadLetteredAt: new Date().toISOString() };
+    try {
+      await writeJsonAtomic(this.deadLetterPath(delivery.id), record);
+    } catch (error) {
+      this.onError(new Error(`Failed to dead-letter delivery ${delivery.id} (${reason}): ${error.message}`));
+      this.add({ ...delivery, lastError: reason, nextAttemptAt: new Date(Date.now() + this.options.maxDelay).toISOString() });
+      return;
+    }
+    this.pending.delete(delivery.id);
+    this.save().catch(this.onError);
+    await this.removePayload(delivery.id);
+    this.log('error', `Delivery ${delivery.id} to ${delivery.destination} moved to dead letters: ${reason}`);
+    this.onDeadLetter(record);
+  }
+
+  deadLetterPath(id) {
+    if (!/^[\w-]+$/.test(id)) {
+      throw new HttpError(400, `Invalid delivery id: ${id}`);
+    }
+    return path.join(this.deadLetterDirectory, `${id}.json`);
+  }
+
+  /**
+   * Dead-lettered deliveries, most recent first
+   */
+  async deadLetters() {
+    if (!await fs.pathExists(this.deadLetterDirectory)) {
+      return [];
+    }
+    const files = (await fs.readdir(this.deadLetterDirectory)).filter(file => /^[\w-]+\.json$/.test(file));
+    const records = await Promise.all(files.map(file => fs.readJson(path.join(this.deadLetterDirectory, file))));
+    return records.sort((a, b) => b.deadLetteredAt.localeCompare(a.deadLetteredAt));
+  }
+
+  async requireDeadLetter(id) {
+    const filePath = this.deadLetterPath(id);
+    if (!await fs.pathExists(filePath)) {
+      throw new HttpError(404, `No dead-lettered delivery ${id}`);
+    }
+    return filePath;
+  }
+
+  async getDeadLetter(id) {
+    return fs.readJson(await this.requireDeadLetter(id));
+  }
+
+  /**
+   * Send a dead-lettered delivery again, starting over with its attempts
+   */
+  async replay(id) {
+    const filePath = await this.requireDeadLetter(id);
+    const { deadLetteredAt: _deadLetteredAt, payload, ...delivery } = await fs.readJson(filePath);
+    await this.storePayload(delivery.id, payload);
+    const replayed = this.add({ ...delivery, attempts: 0, nextAttemptAt: new Date().toISOString() });
+    await fs.remove(filePath);
+    this.log('info', `Replaying delivery ${id} to ${delivery.destination}`);
+    return replayed;
+  }
+
+  async discard(id) {
+    await fs.remove(await this.requireDeadLetter(id));
+  }
+
+  payloadPath(id) {
+    return path.join(this.payloadDirectory, `${id}.json`);
+  }
+
+  async storePayload(id, payload) {
+    if (this.payloadDirectory) {
+      await writeJsonAtomic(this.payloadPath(id), payload, {});
+    } else {
+      this.payloads.set(id, payload);
+    }
+  }
+
+  async readPayload(id) {
+    return this.payloadDirectory ? fs.readJson(this.payloadPath(id)) : this.payloads.get(id);
+  }
+
+  async removePayload(id) {
+    if (this.payloadDirectory) {
+      await fs.remove(this.payloadPath(id));
+    } else {
+      this.payloads.delete(id);
+    }
+  }
+
+  save() {
+    return this.writer ? this.writer.save() : Promise.resolve();
+  }
+
+  flush() {
+    return this.writer ? this.writer.flush() : Promise.resolve();
+  }
+}
+
+export default ResultDelivery;
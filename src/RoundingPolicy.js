@@ -0,0 +1,84 @@
+import Fraction from './Fraction.js';
+
+/**
+ * Rounding modes for converted quantities
+ * - round: nearest value at `decimals` places (halves away from zero)
+ * - floor: full packs available
+ * - ceil: packs needed to order
+ * - reject: fail unless the result is a whole number
+ */
+export const ROUNDING_MODES = ['round', 'floor', 'ceil', 'reject'];
+
+export const DEFAULT_ROUNDING = Object.freeze({ mode: 'round', decimals: 2 });
+
+const MAX_DECIMALS = 12;
+
+/**
+ * Normalize a policy given as a mode string ('floor') or an object ({ mode, decimals, units })
+ */
+export function normalizeRoundingPolicy(policy) {
+  if (policy === undefined || policy === null) {
+    return {};
+  }
+  if (typeof policy === 'string') {
+    policy = { mode: policy };
+  }
+  if (typeof policy !== 'object' || Array.isArray(policy)) {
+    throw new Error(`Invalid rounding policy: ${JSON.stringify(policy)}`);
+  }
+
+  const { mode, decimals, units } = policy;
+
+  if (mode !== undefined && !ROUNDING_MODES.includes(mode)) {
+    throw new Error(`Unknown rounding mode: ${mode}. Expected one of ${ROUNDING_MODES.join(', ')}`);
+  }
+  if (decimals !== undefined && (!Number.isInteger(decimals) || decimals < 0 || decimals > MAX_DECIMALS)) {
+    throw new Error(`Rounding decimals must be an integer between 0 and ${MAX_DECIMALS}, got ${JSON.stringify(decimals)}`);
+  }
+
+  const normalized = {};
+  if (mode !== undefined) {
+    normalized.mode = mode;
+  }
+  if (decimals !== undefined) {
+    normalized.decimals = decimals;
+  }
+  if (units !== undefined) {
+    normalized.units = Object.fromEntries(Object.entries(units).map(([unit, unitPolicy]) => {
+      const { units: _nested, ...rest } = normalizeRoundingPolicy(unitPolicy);
+      return [unit, rest];
+    }));
+  }
+  return normalized;
+}
+
+/**
+ * Resolve the effective { mode, decimals } for a target unit
+ * Later layers win: defaults, then each policy's general settings and its per-unit entry
+ */
+export function resolveRoundingPolicy(unit, ...policies) {
+  const resolved = { ...DEFAULT_ROUNDING };
+
+  for (const policy of policies.map(normalizeRoundingPolicy)) {
+    const { units, ...general } = policy;
+    Object.assign(resolved, general, units?.[unit]);
+  }
+
+  return resolved;
+}
+
+/**
+ * Apply a resolved policy to an exact quantity and return a plain number
+ */
+export function applyRounding(quantity, policy, unit = '') {
+  const exact = Fraction.from(quantity);
+
+  if (policy.mode === 'reject') {
+    if (!exact.isInteger()) {
+      throw new Error(`Result ${exact.toNumber()}${unit ? ` ${unit}` : ''} is not a whole number`);
+    }
+    return exact.toNumber();
+  }
+
+  return exact.toDecimalPlaces(policy.decimals, policy.mode).toNumber();
+}
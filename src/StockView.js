@@ -0,0 +1,161 @@
+import fs from 'fs-extra';
+import Fraction from './Fraction.js';
+import { createStateWriter } from './fileUtils.js';
+
+/**
+ * StockView - Current stock per outlet (`source`) and SKU, from each outlet's latest upload
+ * Every processed batch with a source becomes that outlet's snapshot, replacing the previous
+ * one as the current stock; the last `historyLimit` snapshots per outlet are kept for diffs.
+ * Quantities are exact fractions in the snapshot's base unit (the master's smallest unit).
+ * Persisted as one JSON file.
+ */
+export class StockView {
+  constructor(filePath, { historyLimit = 10, onError = () => {} } = {}) {
+    this.filePath = filePath;
+    this.historyLimit = historyLimit;
+    this.onError = onError;
+    this.outlets = new Map();
+    this.writer = filePath ? createStateWriter(filePath, () => this.toJSON()) : null;
+  }
+
+  async load() {
+    if (!this.filePath || !await fs.pathExists(this.filePath)) {
+      return;
+    }
+    const { outlets = [] } = await fs.readJson(this.filePath);
+    this.outlets = new Map(outlets.map(({ source, snapshots }) => [source, snapshots.map(fromJSON)]));
+  }
+
+  /**
+   * Make a snapshot the current stock of its outlet
+   */
+  record(snapshot) {
+    const snapshots = [snapshot, ...(this.outlets.get(snapshot.source) || [])].slice(0, this.historyLimit);
+    this.outlets.set(snapshot.source, snapshots);
+    this.save().catch(this.onError);
+    return snapshot;
+  }
+
+  sources() {
+    return [...this.outlets.keys()].sort();
+  }
+
+  /**
+   * An outlet's snapshots, latest first
+   */
+  snapshots(source) {
+    return this.outlets.get(source) || [];
+  }
+
+  latest(source) {
+    return this.snapshots(source)[0] || null;
+  }
+
+  /**
+   * An outlet's snapshot by batch id, or its latest
+   */
+  snapshot(source, batchId = null) {
+    return batchId === null
+      ? this.latest(source)
+      : this.snapshots(source).find(snapshot => snapshot.batchId === batchId) || null;
+  }
+
+  /**
+   * Current stock by SKU: { sku, name, category, outlets: [{ source, baseUnit, quantity }] }
+   */
+  bySku() {
+    const skus = new Map();
+    for (const source of this.sources()) {
+      const { baseUnit, items } = this.latest(source);
+      for (const [sku, { quantity, name, category }] of items) {
+        const entry = skus.get(sku) || { sku, name: null, category: null, outlets: [] };
+        entry.name = entry.name ?? name ?? null;
+        entry.category = entry.category ?? category ?? null;
+        entry.outlets.push({ source, baseUnit, quantity });
+        skus.set(sku, entry);
+      }
+    }
+    return [...skus.values()].sort((a, b) => a.sku.localeCompare(b.sku));
+  }
+
+  /**
+   * SKUs whose quantity changed between two snapshots of an outlet (default: the previous and
+   * the latest), as { sku, before, after, change } in the base unit; missing SKUs count as 0
+   */
+  diff(source, fromBatchId = null, toBatchId = null) {
+    const [latest, previous] = this.snapshots(source);
+    const to = toBatchId === null ? latest : this.snapshot(source, toBatchId);
+    const from = fromBatchId === null ? previous : this.snapshot(source, fromBatchId);
+    if (!from || !to) {
+      return null;
+    }
+
+    const zero = new Fraction(0n);
+    const changes = [...new Set([...from.items.keys(), ...to.items.keys()])].sort()
+      .map(sku => {
+        const before = from.items.get(sku)?.quantity ?? zero;
+        const after = to.items.get(sku)?.quantity ?? zero;
+        return { sku, before, after, change: after.sub(before) };
+      })
+      .filter(({ change }) => change.compare(0) !== 0);
+
+    return { source, baseUnit: to.baseUnit, from, to, changes };
+  }
+
+  toJSON() {
+    return {
+      outlets: this.sources().map(source => ({ source, snapshots: this.snapshots(source).map(toJSON) }))
+    };
+  }
+
+  save() {
+    return this.writer ? this.writer.save() : Promise.resolve();
+  }
+
+  flush() {
+    return this.writer ? this.writer.flush() : Promise.resolve();
+  }
+}
+
+/**
+ * Collects a batch's items into a snapshot, summing repeated SKUs
+ */
+export function createStockSnapshot({ source, batchId, baseUnit }) {
+  const items = new Map();
+  let skippedItems = 0;
+
+  return {
+    baseUnit,
+
+    add(sku, quantity, { name = null, category = null } = {}) {
+      const entry = items.get(sku);
+      items.set(sku, entry
+        ? { ...entry, quantity: entry.quantity.add(quantity) }
+        : { quantity, name, category });
+    },
+
+    skip() {
+      skippedItems++;
+    },
+
+    build(processedAt) {
+      return { source, batchId, processedAt, baseUnit, items, skippedItems };
+    }
+  };
+}
+
+function toJSON(snapshot) {
+  return {
+    ...snapshot,
+    items: Object.fromEntries([...snapshot.items].map(([sku, item]) => [sku, { ...item, quantity: item.quantity.toString() }]))
+  };
+}
+
+function fromJSON(snapshot) {
+  return {
+    ...snapshot,
+    items: new Map(Object.entries(snapshot.items).map(([sku, item]) => [sku, { ...item, quantity: Fraction.parse(item.quantity) }]))
+  };
+}
+
+export default StockView;
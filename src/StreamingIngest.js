@@ -0,0 +1,338 @@
+import fs from 'fs-extra';
+import path from 'path';
+import readline from 'readline';
+import { CsvDecoder, InventoryCsvReader } from './CsvParser.js';
+
+/**
+ * Streaming readers for inventory files too large to hold in memory
+ * Readers are async generators of entries, in file order:
+ * - { fields }: batch-level fields such as source and timestamp (at most once, before any item)
+ * - { item }: one inventory item
+ * - { error }: a line or row that could not be read, with its position and a message
+ */
+
+export const STREAMABLE_FORMATS = {
+  '.csv': 'csv',
+  '.json': 'json',
+  '.ndjson': 'ndjson',
+  '.jsonl': 'ndjson'
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isWhitespace = (char) => char === ' ' || char === '\n' || char === '\r' || char === '\t';
+
+/**
+ * Entries of an inventory file, picked by extension (see STREAMABLE_FORMATS)
+ * options.csvProfile maps the columns of CSV files.
+ */
+export function readInventoryEntries(filePath, options = {}) {
+  const format = STREAMABLE_FORMATS[path.extname(filePath).toLowerCase()];
+  if (format === 'csv') {
+    return readCsvEntries(filePath, options.csvProfile || {});
+  }
+  if (format === 'ndjson') {
+    return readNdjsonEntries(filePath);
+  }
+  if (format === 'json') {
+    return readJsonEntries(filePath);
+  }
+  throw new Error(`Unsupported file type: ${path.extname(filePath)}`);
+}
+
+/**
+ * CSV rows as items; a named profile contributes its name and source as batch fields
+ */
+export async function* readCsvEntries(filePath, profile = {}) {
+  const decoder = new CsvDecoder(profile.encoding || 'auto');
+  const reader = new InventoryCsvReader(profile);
+
+  const fields = {
+    ...(profile.name && { csvProfile: profile.name }),
+    ...(profile.source && { source: profile.source })
+  };
+  if (Object.keys(fields).length > 0) {
+    yield { fields };
+  }
+
+  for await (const chunk of fs.createReadStream(filePath)) {
+    yield* csvEntries(reader.push(decoder.write(chunk)));
+  }
+  yield* csvEntries(reader.push(decoder.end(), true));
+}
+
+function* csvEntries({ items, errors }) {
+  for (const item of items) {
+    yield { item };
+  }
+  for (const error of errors) {
+    yield { error };
+  }
+}
+
+/**
+ * Newline-delimited JSON, one item per line
+ * A first line without sku, quantity or unit (e.g. { "source": "outlet-001", "timestamp": ... })
+ * holds the batch fields. A { "footer": {...} } line, as NDJSON output ends with, is skipped.
+ */
+export async function* readNdjsonEntries(filePath) {
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath, { encoding: 'utf8' }),
+    crlfDelay: Infinity
+  });
+
+  let lineNumber = 0;
+  let sawEntry = false;
+
+  for await (const rawLine of lines) {
+    lineNumber++;
+    const line = lineNumber === 1 ? rawLine.replace(/^\uFEFF/, '') : rawLine;
+    if (line.trim() === '') {
+      continue;
+    }
+
+    let value;
+    try {
+      value = JSON.parse(line);
+    } catch (error) {
+      yield { error: { line: lineNumber, message: `Invalid JSON: ${error.message}` } };
+      sawEntry = true;
+      continue;
+    }
+
+    if (isPlainObject(value) && Object.keys(value).length === 1 && isPlainObject(value.footer)) {
+      continue;
+    }
+    if (!isPlainObject(value)) {
+      yield { error: { line: lineNumber, message: 'Expected an inventory item object' } };
+    } else if (!sawEntry && !('sku' in value) && !('quantity' in value) && !('unit' in value)) {
+      yield { fields: value };
+    } else {
+      yield { item: value };
+    }
+    sawEntry = true;
+  }
+}
+
+/**
+ * The items of a { ..., items: [] } JSON document, one at a time
+ * The file is read twice: once for the batch fields (which may follow the items), then for
+ * the items. Neither pass holds more than one item in memory.
+ */
+export async function* readJsonEntries(filePath) {
+  const envelope = new JsonItemsScanner({ items: false });
+  const fields = {};
+  for await (const chunk of readText(filePath)) {
+    for (const event of envelope.push(chunk)) {
+      fields[event.field] = event.value;
+    }
+  }
+  envelope.end();
+
+  yield { fields };
+
+  const scanner = new JsonItemsScanner({ fields: false });
+  for await (const chunk of readText(filePath)) {
+    for (const event of scanner.push(chunk)) {
+      yield event.error ? { error: event.error } : { item: event.item };
+    }
+  }
+  scanner.end();
+}
+
+async function* readText(filePath) {
+  let first = true;
+  for await (const chunk of fs.createReadStream(filePath, { encoding: 'utf8' })) {
+    yield first ? chunk.replace(/^\uFEFF/, '') : chunk;
+    first = false;
+  }
+}
+
+/**
+ * Incremental scanner for a JSON object with an `items` array
+ * push() takes text chunks and returns the events completed so far: { field, value } for
+ * each other top-level member and { item, index } for each element of `items` (or
+ * { error: { index, message } } for an element that is not valid JSON). Structural errors
+ * throw; end() throws if the document is incomplete.
+ */
+export class JsonItemsScanner {
+  constructor({ fields = true, items = true } = {}) {
+    this.keep = { field: fields, item: items, key: true };
+    this.phase = 'start';
+    this.depth = 0;
+    this.inString = false;
+    this.escaped = false;
+    this.key = null;
+    this.value = null;
+    this.itemIndex = 0;
+    this.sawItems = false;
+  }
+
+  push(text) {
+    const events = [];
+    if (this.value) {
+      this.value.start = 0;
+    }
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (this.inString) {
+        if (this.escaped) {
+          this.escaped = false;
+        } else if (char === '\\') {
+          this.escaped = true;
+        } else if (char === '"') {
+          this.inString = false;
+          if (this.value && this.depth === this.value.depth) {
+            this.finishValue(text, i + 1, events);
+          }
+        }
+        continue;
+      }
+
+      if (this.value?.primitive && (char === ',' || char === '}' || char === ']' || isWhitespace(char))) {
+        this.finishValue(text, i, events);
+      }
+
+      if (this.value) {
+        this.track(char, text, i, events);
+      } else if (!isWhitespace(char)) {
+        this.structural(char, text, i, events);
+      }
+    }
+
+    if (this.value?.keep) {
+      this.value.text += text.slice(this.value.start);
+    }
+    return events;
+  }
+
+  end() {
+    const events = [];
+    if (this.value?.primitive) {
+      this.finishValue('', 0, events);
+    }
+    if (this.phase !== 'done') {
+      throw new Error('Unexpected end of JSON input');
+    }
+    if (!this.sawItems) {
+      throw new Error('Invalid inventory data format. Expected { items: [] }');
+    }
+    return events;
+  }
+
+  // Inside a value: follow nesting until it closes
+  track(char, text, index, events) {
+    if (char === '"') {
+      this.inString = true;
+    } else if (char === '{' || char === '[') {
+      this.depth++;
+    } else if (char === '}' || char === ']') {
+      this.depth--;
+      if (this.depth === this.value.depth) {
+        this.finishValue(text, index + 1, events);
+      }
+    }
+  }
+
+  structural(char, text, index, events) {
+    switch (this.phase) {
+      case 'start':
+        if (char !== '{') {
+          throw new Error('Invalid inventory data format. Expected { items: [] }');
+        }
+        this.depth = 1;
+        this.phase = 'key';
+        return;
+      case 'key':
+        if (char === '"') {
+          this.startValue('key', char, text, index);
+        } else if (char === '}') {
+          this.close();
+        } else {
+          throw new Error(`Unexpected ${JSON.stringify(char)} in JSON, expected a property name`);
+        }
+        return;
+      case 'colon':
+        if (char !== ':') {
+          throw new Error(`Unexpected ${JSON.stringify(char)} in JSON, expected ':'`);
+        }
+        this.phase = 'value';
+        return;
+      case 'value':
+        if (this.key !== 'items') {
+          this.startValue('field', char, text, index);
+        } else if (char === '[') {
+          this.depth = 2;
+          this.phase = 'items';
+          this.sawItems = true;
+        } else {
+          throw new Error('Invalid inventory data format. Expected { items: [] }');
+        }
+        return;
+      case 'next':
+        if (char === ',') {
+          this.phase = 'key';
+        } else if (char === '}') {
+          this.close();
+        } else {
+          throw new Error(`Unexpected ${JSON.stringify(char)} in JSON, expected ',' or '}'`);
+        }
+        return;
+      case 'items':
+        if (char === ']') {
+          this.depth = 1;
+          this.phase = 'next';
+        } else if (char !== ',') {
+          this.startValue('item', char, text, index);
+        }
+        return;
+      default:
+        throw new Error(`Unexpected ${JSON.stringify(char)} in JSON after the end of the document`);
+    }
+  }
+
+  startValue(kind, char, text, index) {
+    this.value = {
+      kind,
+      depth: this.depth,
+      start: index,
+      text: '',
+      keep: this.keep[kind],
+      primitive: char !== '"' && char !== '{' && char !== '['
+    };
+    if (!this.value.primitive) {
+      this.track(char, text, index, []);
+    }
+  }
+
+  finishValue(text, endIndex, events) {
+    const { kind, keep } = this.value;
+    const json = keep ? this.value.text + text.slice(this.value.start, endIndex) : '';
+    this.value = null;
+
+    if (kind === 'key') {
+      this.key = JSON.parse(json);
+      this.phase = 'colon';
+    } else if (kind === 'field') {
+      if (keep) {
+        events.push({ field: this.key, value: JSON.parse(json) });
+      }
+      this.phase = 'next';
+    } else {
+      const index = this.itemIndex++;
+      if (keep) {
+        try {
+          events.push({ item: JSON.parse(json), index });
+        } catch (error) {
+          events.push({ error: { index, message: `Invalid JSON: ${error.message}` } });
+        }
+      }
+    }
+  }
+
+  close() {
+    this.depth = 0;
+    this.phase = 'done';
+  }
+}
@@ -0,0 +1,61 @@
+import { measureUnits } from './Measures.js';
+
+/**
+ * Normalize a unit spelling for alias lookup: case-insensitive, "(s)" plural suffix and dots
+ * ignored, inner whitespace as underscores ("Carton(s)" -> CARTON, "inner pack" -> INNER_PACK)
+ */
+export function normalizeUnitKey(unit) {
+  return String(unit)
+    .trim()
+    .toUpperCase()
+    .replace(/\(S\)$/, '')
+    .replace(/\./g, '')
+    .trim()
+    .replace(/\s+/g, '_');
+}
+
+const addAliases = (lookup, aliases = {}) => {
+  for (const [unit, spellings] of Object.entries(aliases)) {
+    for (const spelling of spellings) {
+      lookup.set(normalizeUnitKey(spelling), unit);
+    }
+  }
+  return lookup;
+};
+
+/**
+ * UnitAliasResolver - Maps incoming unit spellings (pcs, EA, ctn, Carton(s)...) to canonical units
+ *
+ * Built from the master's `unitAliases` ({ PIECE: ['PCS', 'EA'] }) and optional
+ * `sourceUnitAliases` ({ 'outlet-002': { PIECE: ['NOS'] } }), which win for that source.
+ * Canonical unit names always match themselves, in any case.
+ */
+export class UnitAliasResolver {
+  constructor(master = {}) {
+    const units = new Set([
+      ...(master.supportedUnits || []),
+      ...(master.unitHierarchy || []),
+      ...measureUnits(master).keys()
+    ]);
+
+    this.global = new Map([...units].map(unit => [normalizeUnitKey(unit), unit]));
+    addAliases(this.global, master.unitAliases);
+
+    this.bySource = new Map(Object.entries(master.sourceUnitAliases || {})
+      .map(([source, aliases]) => [source, addAliases(new Map(), aliases)]));
+  }
+
+  /**
+   * Canonical unit for a spelling, or null when it is not recognized
+   */
+  resolve(unit, source = null) {
+    if (typeof unit !== 'string' || unit.trim() === '') {
+      return null;
+    }
+
+    const key = normalizeUnitKey(unit);
+    return this.bySource.get(source)?.get(key) ?? this.global.get(key) ?? null;
+  }
+}
+
+export default UnitAliasResolver;
@@ -0,0 +1,195 @@
+import Fraction from './Fraction.js';
+
+/**
+ * UnitGraph - Graph of pack relationships between units
+ * Each `${fromUnit}_TO_${toUnit}` rule is an edge usable in both directions;
+ * conversions compose the factors along the shortest path between two units
+ */
+export class UnitGraph {
+  constructor(conversionRules = {}, unitHierarchy = []) {
+    this.unitHierarchy = unitHierarchy;
+    this.edges = new Map();
+    this.pathCache = new Map();
+
+    for (const [ruleKey, rule] of Object.entries(conversionRules)) {
+      this.addRule(ruleKey, rule);
+    }
+  }
+
+  /**
+   * Split a rule key such as INNER_PACK_TO_BOX into its two units
+   */
+  static parseRuleKey(ruleKey) {
+    const match = /^(.+)_TO_(.+)$/.exec(ruleKey);
+    return match ? { fromUnit: match[1], toUnit: match[2] } : null;
+  }
+
+  /**
+   * Register a rule as a pair of directed edges.
+   * A factor always counts the smaller unit per larger unit (PIECE_TO_BOX: 12 pieces per box).
+   * A rule written in one direction never replaces one written explicitly in the other.
+   */
+  addRule(ruleKey, rule) {
+    const units = UnitGraph.parseRuleKey(ruleKey);
+    if (!units || !rule) {
+      return;
+    }
+
+    const { fromUnit, toUnit } = units;
+    const fromIsSmaller = this.isSmaller(fromUnit, toUnit);
+
+    this.setEdge(fromUnit, toUnit, {
+      ruleKey,
+      rule,
+      operation: fromIsSmaller ? 'divide' : 'multiply',
+      explicit: true
+    });
+
+    const reverse = this.edges.get(toUnit)?.get(fromUnit);
+    if (!reverse?.explicit) {
+      this.setEdge(toUnit, fromUnit, {
+        ruleKey,
+        rule,
+        operation: fromIsSmaller ? 'multiply' : 'divide',
+        explicit: false
+      });
+    }
+
+    this.pathCache.clear();
+  }
+
+  setEdge(fromUnit, toUnit, edge) {
+    if (!this.edges.has(fromUnit)) {
+      this.edges.set(fromUnit, new Map());
+    }
+    this.edges.get(fromUnit).set(toUnit, edge);
+  }
+
+  /**
+   * Whether unitA sits below unitB in the hierarchy.
+   * Units missing from the hierarchy are read in rule-key order (smaller first).
+   */
+  isSmaller(unitA, unitB) {
+    const indexA = this.unitHierarchy.indexOf(unitA);
+    const indexB = this.unitHierarchy.indexOf(unitB);
+
+    if (indexA === -1 || indexB === -1) {
+      return true;
+    }
+    return indexA < indexB;
+  }
+
+  hasUnit(unit) {
+    return this.edges.has(unit);
+  }
+
+  /**
+   * Shortest path of units between two units (breadth-first), or null when unreachable
+   */
+  findPath(fromUnit, toUnit) {
+    const cacheKey = `${fromUnit}->${toUnit}`;
+    if (this.pathCache.has(cacheKey)) {
+      return this.pathCache.get(cacheKey);
+    }
+
+    let path = null;
+    if (fromUnit === toUnit) {
+      path = [fromUnit];
+    } else if (this.hasUnit(fromUnit) && this.hasUnit(toUnit)) {
+      const previous = new Map([[fromUnit, null]]);
+      const queue = [fromUnit];
+
+      while (queue.length > 0 && !previous.has(toUnit)) {
+        const unit = queue.shift();
+        for (const neighbour of this.edges.get(unit).keys()) {
+          if (!previous.has(neighbour)) {
+            previous.set(neighbour, unit);
+            queue.push(neighbour);
+          }
+        }
+      }
+
+      if (previous.has(toUnit)) {
+        path = [];
+        for (let unit = toUnit; unit !== null; unit = previous.get(unit)) {
+          path.unshift(unit);
+        }
+      }
+    }
+
+    this.pathCache.set(cacheKey, path);
+    return path;
+  }
+
+  /**
+   * Factor of a rule for a SKU, most specific layer first: the source (outlet) override,
+   * the supplier override, the SKU override, then the rule default
+   * Returns { factor, layer } with layer 'source', 'supplier', 'sku' or 'default'.
+   */
+  static resolveFactor(rule, sku = null, { source = null, supplier = null } = {}) {
+    const layers = [
+      ['source', source !== null ? rule.sources?.[source] : undefined],
+      ['supplier', supplier !== null ? rule.suppliers?.[supplier] : undefined],
+      ['sku', rule.products]
+    ];
+
+    if (sku) {
+      for (const [layer, overrides] of layers) {
+        if (overrides?.[sku] !== undefined) {
+          return { factor: overrides[sku], layer };
+        }
+      }
+    }
+    return { factor: rule.default, layer: 'default' };
+  }
+
+  /**
+   * Resolve the conversion steps from one unit to another for a SKU.
+   * Each step takes its rule's factor from the most specific layer that has one for this
+   * SKU (see resolveFactor); context is { source, supplier }.
+   * Returns null when no path exists or a hop has no factor for this SKU.
+   */
+  resolve(fromUnit, toUnit, sku = null, context = {}) {
+    const path = this.findPath(fromUnit, toUnit);
+    if (!path) {
+      return null;
+    }
+
+    const steps = [];
+    for (let i = 0; i < path.length - 1; i++) {
+      const edge = this.edges.get(path[i]).get(path[i + 1]);
+      const { factor, layer } = UnitGraph.resolveFactor(edge.rule, sku, context);
+
+      if (factor === undefined) {
+        return null;
+      }
+
+      steps.push({
+        fromUnit: path[i],
+        toUnit: path[i + 1],
+        ruleKey: edge.ruleKey,
+        operation: edge.operation,
+        factor,
+        layer,
+        skuSpecific: layer !== 'default'
+      });
+    }
+
+    return steps;
+  }
+
+  /**
+   * Apply resolved conversion steps to a quantity, exactly
+   * Returns a Fraction; use toNumber() or a rounding policy to get a plain number
+   */
+  static applySteps(quantity, steps) {
+    let result = Fraction.from(quantity);
+    for (const step of steps) {
+      // Dividing goes up the hierarchy (e.g., PIECE to BOX), multiplying goes down
+      result = step.operation === 'divide' ? result.div(step.factor) : result.mul(step.factor);
+    }
+    return result;
+  }
+}
+
+export default UnitGraph;
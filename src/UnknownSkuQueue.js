@@ -0,0 +1,126 @@
+import fs from 'fs-extra';
+import { createStateWriter } from './fileUtils.js';
+
+const MAX_SAMPLES = 5;
+export const MAX_HELD_ITEMS = 100;
+// Wait before writing the queue after a sighting, so a batch is saved once rather than per item
+export const SAVE_DELAY = 1000;
+
+/**
+ * UnknownSkuQueue - SKUs missing from the product catalog, waiting for someone to add them
+ * Each entry keeps where and when the SKU was first seen, a few sample quantities and the
+ * first MAX_HELD_ITEMS items held back under the 'hold' policy (heldCount counts them all).
+ * The queue is persisted as one JSON file, saveDelay ms after the sightings that change it.
+ */
+export class UnknownSkuQueue {
+  constructor(filePath, { onError = () => {}, saveDelay = SAVE_DELAY } = {}) {
+    this.filePath = filePath;
+    this.onError = onError;
+    this.saveDelay = saveDelay;
+    this.saveTimer = null;
+    this.entries = new Map();
+    this.writer = filePath ? createStateWriter(filePath, () => ({ unknownSkus: this.list() })) : null;
+  }
+
+  /**
+   * Read the persisted queue, if any
+   */
+  async load() {
+    if (!this.filePath || !await fs.pathExists(this.filePath)) {
+      return;
+    }
+    const { unknownSkus = [] } = await fs.readJson(this.filePath);
+    this.entries = new Map(unknownSkus.map(entry => [entry.sku, entry]));
+  }
+
+  /**
+   * Record a sighting of an unknown SKU; `heldItem` is stored when the item is held back
+   */
+  record({ sku, source = null, quantity, unit, heldItem = null }) {
+    const now = new Date().toISOString();
+    const entry = this.entries.get(sku) || {
+      sku,
+      firstSeenAt: now,
+      firstSeenSource: source,
+      sources: [],
+      occurrences: 0,
+      sampleQuantities: [],
+      heldItems: [],
+      heldCount: 0
+    };
+
+    entry.occurrences++;
+    entry.lastSeenAt = now;
+    if (!entry.sources.includes(source)) {
+      entry.sources.push(source);
+    }
+    if (entry.sampleQuantities.length < MAX_SAMPLES) {
+      entry.sampleQuantities.push({ quantity, unit, source, seenAt: now });
+    }
+    if (heldItem) {
+      entry.heldCount = (entry.heldCount ?? entry.heldItems.length) + 1;
+      if (entry.heldItems.length < MAX_HELD_ITEMS) {
+        entry.heldItems.push({ source, heldAt: now, item: heldItem });
+      }
+    }
+
+    this.entries.set(sku, entry);
+    this.scheduleSave();
+    return entry;
+  }
+
+  get(sku) {
+    return this.entries.get(sku) || null;
+  }
+
+  /**
+   * Entries, most often seen first
+   */
+  list() {
+    return [...this.entries.values()].sort((a, b) => b.occurrences - a.occurrences);
+  }
+
+  /**
+   * Drop a SKU from the queue (e.g. once it is in the catalog); returns the removed entry
+   */
+  remove(sku) {
+    const entry = this.get(sku);
+    if (entry) {
+      this.entries.delete(sku);
+      this.save().catch(this.onError);
+    }
+    return entry;
+  }
+
+  /**
+   * Save once saveDelay has passed, unless a save is already scheduled
+   */
+  scheduleSave() {
+    if (!this.writer || this.saveTimer) {
+      return;
+    }
+    this.saveTimer = setTimeout(() => this.save().catch(this.onError), this.saveDelay);
+    this.saveTimer.unref?.();
+  }
+
+  /**
+   * Persist the queue now; writes requested while one is pending are folded into it
+   */
+  save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    return this.writer ? this.writer.save() : Promise.resolve();
+  }
+
+  /**
+   * Write any scheduled save and wait for writes in flight
+   */
+  flush() {
+    if (this.saveTimer) {
+      this.save().catch(this.onError);
+    }
+    return this.writer ? this.writer.flush() : Promise.resolve();
+  }
+}
+
+export default UnknownSkuQueue;
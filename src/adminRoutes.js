@@ -0,0 +1,149 @@
+import express from 'express';
+import HttpError from './HttpError.js';
+import { masterEdits } from './ConversionMasterEditor.js';
+import { ConversionMasterValidationError } from './ConversionMasterValidator.js';
+
+const etagFor = (version) => `"${version}"`;
+
+/**
+ * Master version a write expects, from the If-Match header (required on every write)
+ */
+const expectedVersionOf = (req) => {
+  const ifMatch = req.get('If-Match');
+  if (!ifMatch) {
+    throw new HttpError(428, 'If-Match header with the current master ETag is required');
+  }
+  return ifMatch.trim().replace(/^W\//, '').replace(/^"(.*)"$/, '$1');
+};
+
+/**
+ * REST endpoints to manage conversion rules, per-SKU overrides and units, and to review
+ * SKUs missing from the product catalog
+ * Reads return the master version as ETag; writes need it back in If-Match, bump the
+ * version and are persisted to the master file only if the result validates.
+ */
+export function createAdminRouter(converter) {
+  const router = express.Router();
+
+  const sendError = (res, error) => {
+    if (error instanceof ConversionMasterValidationError) {
+      converter.log('warn', `Rule admin write rejected: ${error.message}`);
+      return res.status(422).json({ success: false, error: error.message, errors: error.errors });
+    }
+
+    const status = error instanceof HttpError ? error.statusCode : 500;
+    converter.log(status >= 500 ? 'error' : 'warn', `Rule admin API error: ${error.message}`);
+    res.status(status).json({ success: false, error: error.message, ...(error.details && { details: error.details }) });
+  };
+
+  // Rules, units and the catalog apply to every outlet: not for clients limited to some sources
+  router.use(['/rules', '/units', '/products'], (req, res, next) => {
+    try {
+      converter.requestAuth.assertUnrestricted(req);
+      next();
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  const read = (handler) => (req, res) => {
+    try {
+      const master = converter.conversionRules;
+      res.set('ETag', etagFor(master.version));
+      res.json({ success: true, version: master.version, ...handler(master, req) });
+    } catch (error) {
+      sendError(res, error);
+    }
+  };
+
+  const write = (edit, { createdStatus } = {}) => async (req, res) => {
+    try {
+      const { master, result } = await converter.updateConversionMaster(
+        (draft) => edit(draft, req),
+        { expectedVersion: expectedVersionOf(req) }
+      );
+      res.set('ETag', etagFor(master.version));
+      res.status(createdStatus?.(result) ?? 200).json({ success: true, version: master.version, result });
+    } catch (error) {
+      sendError(res, error);
+    }
+  };
+
+  router.get('/rules', read(master => ({ rules: master.conversionRules })));
+
+  router.get('/rules/:ruleKey', read((master, req) => {
+    const rule = master.conversionRules[req.params.ruleKey];
+    if (!rule) {
+      throw new HttpError(404, `Rule not found: ${req.params.ruleKey}`);
+    }
+    return { rule };
+  }));
+
+  router.post('/rules', write(
+    (master, req) => masterEdits.createRule(master, req.body?.key, req.body),
+    { createdStatus: () => 201 }
+  ));
+
+  router.put('/rules/:ruleKey', write((master, req) => masterEdits.updateRule(master, req.params.ruleKey, req.body)));
+
+  router.delete('/rules/:ruleKey', write((master, req) => masterEdits.deleteRule(master, req.params.ruleKey)));
+
+  router.get('/rules/:ruleKey/products/:sku', read((master, req) => {
+    const factor = master.conversionRules[req.params.ruleKey]?.products?.[req.params.sku];
+    if (factor === undefined) {
+      throw new HttpError(404, `No override for ${req.params.sku} in ${req.params.ruleKey}`);
+    }
+    return { sku: req.params.sku, factor };
+  }));
+
+  router.put('/rules/:ruleKey/products/:sku', write(
+    (master, req) => masterEdits.setOverride(master, req.params.ruleKey, req.params.sku, req.body?.factor),
+    { createdStatus: (result) => (result.created ? 201 : 200) }
+  ));
+
+  router.delete('/rules/:ruleKey/products/:sku', write(
+    (master, req) => masterEdits.deleteOverride(master, req.params.ruleKey, req.params.sku)
+  ));
+
+  router.get('/units', read(master => ({
+    unitHierarchy: master.unitHierarchy,
+    supportedUnits: master.supportedUnits
+  })));
+
+  router.get('/units/unrecognized', read(() => ({ unrecognizedUnits: converter.getUnrecognizedUnits() })));
+
+  router.post('/units', write((master, req) => masterEdits.addUnit(master, req.body), { createdStatus: () => 201 }));
+
+  router.get('/products', read(() => ({
+    catalogEnabled: converter.productCatalog.enabled,
+    products: converter.productCatalog.list()
+  })));
+
+  router.get('/products/unknown', read(() => ({ unknownSkus: converter.unknownSkus.list() })));
+
+  router.get('/products/unknown/:sku', read((master, req) => {
+    const entry = converter.unknownSkus.get(req.params.sku);
+    if (!entry) {
+      throw new HttpError(404, `SKU ${req.params.sku} is not in the review queue`);
+    }
+    return { unknownSku: entry };
+  }));
+
+  // Dismiss a reviewed SKU; the response carries any held items so they can be resubmitted
+  router.delete('/products/unknown/:sku', async (req, res) => {
+    try {
+      const entry = converter.unknownSkus.remove(req.params.sku);
+      if (!entry) {
+        throw new HttpError(404, `SKU ${req.params.sku} is not in the review queue`);
+      }
+      await converter.unknownSkus.save();
+      res.json({ success: true, result: entry });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  return router;
+}
+
+export default createAdminRouter;
@@ -0,0 +1,392 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { parseArgs } from 'util';
+import InventoryUnitConverter from './InventoryUnitConverter.js';
+import { validateConversionMasterFile } from './ConversionMasterValidator.js';
+import { loadConfig } from './ConfigLoader.js';
+import UnknownSkuQueue from './UnknownSkuQueue.js';
+import { createEncoder, selectUnit } from './OutputSinks.js';
+
+export const EXIT_CODES = Object.freeze({
+  ok: 0,
+  failed: 1,
+  usage: 2,
+  itemErrors: 3
+});
+
+export const USAGE = `Usage: iuc <command> [options]
+
+Commands:
+  convert <quantity> <unit> --sku <sku>  Convert one quantity
+  convert --file <path>                  Convert an inventory file (JSON, CSV or NDJSON)
+  process <directory>                    Process every inventory file in a directory once
+  check-master [path]                    Validate a conversion master
+  serve                                  Run the always-on agent (file watcher and webhook server)
+
+Options (over config/default.json, config/<env>.json and environment variables):
+  --config-dir <path>      Directory of the config files (default: the project's config/)
+  --env <name>             Environment file to read, config/<name>.json (default: $NODE_ENV)
+  --master <path>          Conversion master
+  --catalog <path>         Product catalog
+  --data-dir <path>        Directory the agent watches (serve)
+  --log-dir <path>         Log directory, and the default output directory
+  --state-dir <path>       Agent state directory
+  --output-dir <path>      Where processed batches are written
+  --archive-dir <path>     Where processed input files go
+  --quarantine-dir <path>  Where failed input files go
+  --format <format>        Output format: json, csv or ndjson
+  --to <unit>              Output only this standardized unit
+  --source <source>        Source of the converted quantity (convert)
+  --batch-policy <policy>  partial, all-or-nothing or threshold
+  --port <port>            Webhook port (serve)
+  --log-level <level>      debug, info, warn or error
+  --verbose                Print the agent's log to stderr
+  -h, --help               Show this help
+
+Exit codes: 0 success, 1 failed files or errors, 2 usage errors, 3 items that failed to convert`;
+
+const OPTIONS = {
+  'config-dir': { type: 'string' },
+  env: { type: 'string' },
+  master: { type: 'string' },
+  catalog: { type: 'string' },
+  'data-dir': { type: 'string' },
+  'log-dir': { type: 'string' },
+  'state-dir': { type: 'string' },
+  'output-dir': { type: 'string' },
+  'archive-dir': { type: 'string' },
+  'quarantine-dir': { type: 'string' },
+  format: { type: 'string' },
+  to: { type: 'string' },
+  source: { type: 'string' },
+  sku: { type: 'string' },
+  file: { type: 'string' },
+  'batch-policy': { type: 'string' },
+  port: { type: 'string' },
+  'log-level': { type: 'string' },
+  verbose: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+/**
+ * Wrong command-line usage; reported with the usage text and EXIT_CODES.usage
+ */
+class UsageError extends Error {}
+
+const print = (stream, line) => stream.write(`${line}\n`);
+
+// Options setting a converter setting (or, for config-dir and env, choosing the config files)
+const SETTING_OPTIONS = {
+  'config-dir': 'configDirectory',
+  env: 'environment',
+  master: 'conversionMasterPath',
+  catalog: 'productCatalogPath',
+  'data-dir': 'dataDirectory',
+  'log-dir': 'logDirectory',
+  'state-dir': 'stateDirectory',
+  'archive-dir': 'archiveDirectory',
+  'quarantine-dir': 'quarantineDirectory',
+  'batch-policy': 'batchPolicy',
+  'log-level': 'logLevel'
+};
+
+/**
+ * InventoryUnitConverter options from the shared command-line options
+ * Only options given are set, so the config files and environment variables fill in the rest.
+ */
+export function converterConfig(values) {
+  if (values.port !== undefined && !/^\d+$/.test(values.port)) {
+    throw new UsageError(`Port must be a number, got ${values.port}`);
+  }
+
+  const config = Object.fromEntries(Object.entries(SETTING_OPTIONS)
+    .filter(([option]) => values[option] !== undefined)
+    .map(([option, setting]) => [setting, values[option]]));
+  const output = {
+    ...(values['output-dir'] && { directory: values['output-dir'] }),
+    ...(values.format && { format: values.format }),
+    ...(values.to && { targetUnit: values.to })
+  };
+  return {
+    ...config,
+    ...(values.port !== undefined && { webhookPort: Number(values.port) }),
+    ...(Object.keys(output).length > 0 && { output })
+  };
+}
+
+/**
+ * A converter for a one-shot command: no watchers, no web server, and a log kept off stdout
+ */
+function createConverter(values, io, overrides = {}) {
+  const config = converterConfig(values);
+  const converter = new InventoryUnitConverter({
+    ...config,
+    enableWebhook: false,
+    enableFileWatcher: false,
+    watchConversionMaster: false,
+    logToConsole: false,
+    ...overrides,
+    ...((config.output || overrides.output) && { output: { ...config.output, ...overrides.output } })
+  });
+  // A stdout log destination already writes the log to stderr here
+  if (values.verbose && converter.logger.destination === 'file') {
+    converter.on('log', ({ level, message }) => print(io.stderr, `[${level.toUpperCase()}] ${message}`));
+  }
+  return converter;
+}
+
+/**
+ * Output sink writing batches to a stream (stdout) in the configured format
+ */
+function streamSink(stream) {
+  return (context) => {
+    const encoder = createEncoder(context.format, stream, { units: context.units, columns: context.columns });
+    return {
+      open: (header) => encoder.open(header),
+      writeItem: (item) => encoder.writeItem(item),
+      close: async (footer) => {
+        await encoder.close(footer);
+        return 'stdout';
+      }
+    };
+  };
+}
+
+/**
+ * iuc convert: one quantity (--sku, quantity and unit) or a whole file (--file), to stdout
+ * Nothing is recorded: no audit log, stock, unknown SKU review queue or archived input.
+ */
+async function convert(values, positionals, io) {
+  const single = !values.file;
+  if (single ? positionals.length !== 2 || !values.sku : positionals.length > 0) {
+    throw new UsageError('convert takes <quantity> <unit> --sku <sku>, or --file <path>');
+  }
+
+  const converter = createConverter(values, io, { output: { sinks: ['stdout'] } });
+  converter.registerSink('stdout', streamSink(io.stdout));
+  // Unknown SKUs are still flagged on the items, but kept out of the persisted review queue
+  converter.unknownSkus = new UnknownSkuQueue(null);
+  try {
+    await converter.loadConversionMaster();
+    await converter.loadProductCatalog();
+    return single
+      ? await convertQuantity(converter, values, positionals)
+      : await convertFile(converter, values);
+  } finally {
+    // Nothing stops the converter, so write out its buffered log
+    await converter.logger.close();
+  }
+}
+
+async function convertFile(converter, values) {
+  const { result } = await converter.processInventoryStream(values.file);
+  return result.failedCount > 0 ? EXIT_CODES.itemErrors : EXIT_CODES.ok;
+}
+
+async function convertQuantity(converter, values, positionals) {
+  // A quantity that is not a number is passed on as given, for the item's error to name it
+  const [quantity, unit] = positionals;
+  const number = Number(quantity);
+  const { items, ...header } = converter.processInventoryData({
+    ...(values.source && { source: values.source }),
+    items: [{ sku: values.sku, quantity: quantity.trim() !== '' && Number.isFinite(number) ? number : quantity, unit }]
+  });
+  const { writer, options } = converter.openOutput({
+    channel: 'cli',
+    source: header.source ?? null,
+    batchId: header.batchId,
+    ruleSet: converter.getRuleSet(header.conversionRuleSet.asOf)
+  });
+  await writer.open(header);
+  for (const item of items) {
+    await writer.writeItem(selectUnit(item, options.targetUnit));
+  }
+  await writer.close({});
+  return items.some(item => item.error) ? EXIT_CODES.itemErrors : EXIT_CODES.ok;
+}
+
+/**
+ * iuc process: run every inventory file in a directory through the agent once, as if it had
+ * been dropped into the watched directory (output, audit log, stock, archive or quarantine)
+ */
+async function processDirectory(values, positionals, io) {
+  const [directory] = positionals;
+  if (positionals.length !== 1) {
+    throw new UsageError('process takes one <directory>');
+  }
+  if (!await fs.pathExists(directory) || !(await fs.stat(directory)).isDirectory()) {
+    throw new UsageError(`Not a directory: ${directory}`);
+  }
+
+  const converter = createConverter(values, io, { dataDirectory: directory });
+  const files = (await fs.readdir(directory))
+    .filter(name => converter.isInventoryFile(name))
+    .sort();
+  const counts = { processed: 0, skipped: 0, failed: 0, items: 0, failedItems: 0 };
+
+  converter.on('fileProcessed', ({ filePath, result, outputs }) => {
+    counts.processed++;
+    counts.items += result.itemCount;
+    counts.failedItems += result.failedCount;
+    const failed = result.failedCount > 0 ? `, ${result.failedCount} failed` : '';
+    print(io.stdout, `✅ ${path.basename(filePath)}: ${result.itemCount} items${failed} -> ${outputs.join(', ')}`);
+  });
+  converter.on('fileSkipped', ({ filePath, previous }) => {
+    counts.skipped++;
+    print(io.stdout, `⏭️  ${path.basename(filePath)}: already processed as ${previous.file}`);
+  });
+  converter.on('processingError', ({ filePath, error, quarantinedPath }) => {
+    counts.failed++;
+    print(io.stdout, `❌ ${path.basename(filePath)}: ${error.message}${quarantinedPath ? ` -> ${quarantinedPath}` : ''}`);
+  });
+
+  await converter.initialize();
+  try {
+    for (const name of files) {
+      await converter.processInventoryFile(path.join(directory, name));
+    }
+  } finally {
+    await converter.stop();
+  }
+
+  print(io.stdout, `${files.length} files: ${counts.processed} processed, ${counts.skipped} skipped, ${counts.failed} failed; ` +
+    `${counts.items} items, ${counts.failedItems} failed`);
+  if (counts.failed > 0) {
+    return EXIT_CODES.failed;
+  }
+  return counts.failedItems > 0 ? EXIT_CODES.itemErrors : EXIT_CODES.ok;
+}
+
+/**
+ * iuc check-master: validate a conversion master, e.g. before publishing it to outlets
+ */
+async function checkMaster(values, positionals, io) {
+  if (positionals.length > 1) {
+    throw new UsageError('check-master takes at most one [path]');
+  }
+  const masterPath = positionals[0] ?? loadConfig(converterConfig(values)).conversionMasterPath ?? './conversion-master.json';
+  const { valid, errors } = await validateConversionMasterFile(masterPath);
+
+  if (valid) {
+    print(io.stdout, `✅ ${masterPath} is valid`);
+    return EXIT_CODES.ok;
+  }
+
+  print(io.stderr, `❌ ${masterPath} has ${errors.length} problem(s):`);
+  for (const error of errors) {
+    print(io.stderr, `  ${error.path} [${error.code}] ${error.message}`);
+  }
+  return EXIT_CODES.failed;
+}
+
+/**
+ * iuc serve: the always-on agent, watching the data directory and serving the webhook API
+ * until SIGINT or SIGTERM
+ */
+async function serve(values, positionals, io) {
+  if (positionals.length > 0) {
+    throw new UsageError('serve takes no arguments');
+  }
+  print(io.stdout, '🚀 Starting InventoryUnitConverter Always-On Agent');
+  const converter = new InventoryUnitConverter(converterConfig(values));
+  const { config } = converter;
+
+  converter.on('initialized', () => {
+    print(io.stdout, '✅ InventoryUnitConverter agent is now running');
+    if (converter.webServer) {
+      print(io.stdout, `📡 Webhook server: http://localhost:${converter.webServer.address().port}`);
+    }
+    if (config.enableFileWatcher) {
+      print(io.stdout, `📁 Watching directory: ${config.dataDirectory}`);
+    }
+    print(io.stdout, `📝 Logs directory: ${config.logDirectory}`);
+  });
+
+  converter.on('fileProcessed', ({ filePath, result }) => {
+    print(io.stdout, `📄 Processed file: ${filePath} (${result.itemCount} items)`);
+  });
+
+  converter.on('processingError', ({ filePath, error }) => {
+    print(io.stderr, `❌ Error processing ${filePath}: ${error.message}`);
+  });
+
+  converter.on('log', ({ level, message }) => {
+    if (level === 'error') {
+      print(io.stderr, `🔴 ${message}`);
+    } else if (level === 'warn') {
+      print(io.stderr, `🟡 ${message}`);
+    }
+  });
+
+  // Graceful shutdown handling
+  const shutdown = (signal) => async () => {
+    print(io.stdout, `\n🛑 Received ${signal}, shutting down InventoryUnitConverter agent...`);
+    try {
+      await converter.stop();
+      print(io.stdout, '✅ Agent stopped gracefully');
+      process.exit(EXIT_CODES.ok);
+    } catch (error) {
+      print(io.stderr, `❌ Error during shutdown: ${error.message}`);
+      process.exit(EXIT_CODES.failed);
+    }
+  };
+  process.on('SIGINT', shutdown('SIGINT'));
+  process.on('SIGTERM', shutdown('SIGTERM'));
+
+  process.on('uncaughtException', (error) => {
+    print(io.stderr, `💥 Uncaught Exception: ${error.stack ?? error}`);
+    process.exit(EXIT_CODES.failed);
+  });
+
+  process.on('unhandledRejection', (reason) => {
+    print(io.stderr, `💥 Unhandled Rejection: ${reason?.stack ?? reason}`);
+    process.exit(EXIT_CODES.failed);
+  });
+
+  await converter.initialize();
+  print(io.stdout, '🔄 Agent is running continuously. Press Ctrl+C to stop.');
+
+  // The web server and watchers keep the process alive; check on the agent every 30 seconds
+  setInterval(() => {
+    if (!converter.getStatus().running) {
+      print(io.stderr, '❌ Agent stopped unexpectedly');
+      process.exit(EXIT_CODES.failed);
+    }
+  }, 30000);
+  return EXIT_CODES.ok;
+}
+
+const COMMANDS = {
+  convert,
+  process: processDirectory,
+  'check-master': checkMaster,
+  serve
+};
+
+/**
+ * Run an iuc command line (without the node and script arguments); resolves to the exit code
+ * io: { stdout, stderr } streams, process.stdout and process.stderr by default.
+ */
+export async function runCli(argv, io = { stdout: process.stdout, stderr: process.stderr }) {
+  try {
+    const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    const [command, ...rest] = positionals;
+    if (values.help) {
+      print(io.stdout, USAGE);
+      return EXIT_CODES.ok;
+    }
+    if (!COMMANDS[command]) {
+      throw new UsageError(command ? `Unknown command: ${command}` : 'No command given');
+    }
+    return await COMMANDS[command](values, rest, io);
+  } catch (error) {
+    if (error instanceof UsageError || error.code?.startsWith('ERR_PARSE_ARGS')) {
+      print(io.stderr, `${error.message}\n\n${USAGE}`);
+      return EXIT_CODES.usage;
+    }
+    print(io.stderr, `💥 ${error.message}`);
+    return EXIT_CODES.failed;
+  }
+}
+
+export default runCli;
@@ -0,0 +1,63 @@
+import express from 'express';
+import HttpError from './HttpError.js';
+
+/**
+ * REST endpoints for outbound result deliveries: list those still pending, inspect the
+ * dead-lettered ones, replay or discard them
+ */
+export function createDeliveryRouter(converter) {
+  const router = express.Router();
+  const deliveries = converter.deliveries;
+
+  const sendError = (res, error) => {
+    const status = error instanceof HttpError ? error.statusCode : 500;
+    converter.log(status >= 500 ? 'error' : 'warn', `Delivery API error: ${error.message}`);
+    res.status(status).json({ success: false, error: error.message });
+  };
+
+  const handle = (handler) => async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (error) {
+      sendError(res, error);
+    }
+  };
+
+  // Deliveries carry every outlet's batches: not for clients limited to some sources
+  router.use('/deliveries', (req, res, next) => {
+    try {
+      converter.requestAuth.assertUnrestricted(req);
+      next();
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  router.get('/deliveries', handle((req, res) => {
+    const pending = deliveries.list();
+    res.json({ success: true, count: pending.length, deliveries: pending });
+  }));
+
+  router.get('/deliveries/dead-letter', handle(async (req, res) => {
+    const deadLetters = await deliveries.deadLetters();
+    res.json({ success: true, count: deadLetters.length, deliveries: deadLetters });
+  }));
+
+  router.get('/deliveries/dead-letter/:id', handle(async (req, res) => {
+    res.json({ success: true, delivery: await deliveries.getDeadLetter(req.params.id) });
+  }));
+
+  // Queued again with fresh attempts, sent right away
+  router.post('/deliveries/dead-letter/:id/replay', handle(async (req, res) => {
+    res.status(202).json({ success: true, delivery: await deliveries.replay(req.params.id) });
+  }));
+
+  router.delete('/deliveries/dead-letter/:id', handle(async (req, res) => {
+    await deliveries.discard(req.params.id);
+    res.json({ success: true });
+  }));
+
+  return router;
+}
+
+export default createDeliveryRouter;
@@ -0,0 +1,50 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+/**
+ * Write JSON so readers see either the old file or the new one, never a partial write
+ * The content goes to a temporary file in the same directory, which is then renamed over the target.
+ */
+export async function writeJsonAtomic(filePath, data, options = { spaces: 2 }) {
+  const directory = path.dirname(filePath);
+  const tempPath = path.join(directory, `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`);
+
+  await fs.ensureDir(directory);
+  try {
+    await fs.writeJson(tempPath, data, options);
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.remove(tempPath);
+    throw error;
+  }
+}
+
+/**
+ * Writer for a JSON state file that is rewritten whole: save() persists snapshot() atomically
+ * Saves requested while one is still waiting are folded into it, and a failed write does not
+ * block later ones. flush() resolves once every requested write has finished.
+ */
+export function createStateWriter(filePath, snapshot) {
+  let writing = Promise.resolve();
+  let pendingWrite = null;
+
+  return {
+    save() {
+      if (pendingWrite) {
+        return pendingWrite;
+      }
+
+      const write = writing.then(() => {
+        pendingWrite = null;
+        return writeJsonAtomic(filePath, snapshot());
+      });
+      pendingWrite = write;
+      writing = write.catch(() => {});
+      return write;
+    },
+
+    flush() {
+      return writing;
+    }
+  };
+}
@@ -0,0 +1,97 @@
+import express from 'express';
+import fs from 'fs-extra';
+import path from 'path';
+import HttpError from './HttpError.js';
+import { OUTPUT_FORMATS } from './OutputSinks.js';
+
+/**
+ * A job as the API shows it, with links to itself and, once it succeeded, its results
+ */
+export function describeJob(job) {
+  const { options: _options, ...fields } = job;
+  return {
+    ...fields,
+    links: {
+      self: `/jobs/${job.id}`,
+      ...(job.status === 'succeeded' && { result: `/jobs/${job.id}/result` })
+    }
+  };
+}
+
+/**
+ * REST endpoints for background jobs: submit a batch (202 with the job), follow its status and
+ * progress, fetch its results, cancel or retry it
+ */
+export function createJobRouter(converter) {
+  const router = express.Router();
+  const jobs = converter.jobs;
+
+  const sendError = (res, error) => {
+    const status = error instanceof HttpError ? error.statusCode : 500;
+    converter.log(status >= 500 ? 'error' : 'warn', `Job API error: ${error.message}`);
+    res.status(status).json({ success: false, error: error.message });
+  };
+
+  const handle = (handler) => async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (error) {
+      sendError(res, error);
+    }
+  };
+
+  router.post('/jobs', handle(async (req, res) => {
+    converter.requestAuth.assertSource(req, req.body?.source);
+    const job = await converter.submitJob(req.body, {
+      rounding: converter.roundingFromRequest(req, req.body?.rounding),
+      batchPolicy: converter.batchPolicyFromRequest(req, req.body?.batchPolicy)
+    });
+    res.status(202).location(`/jobs/${job.id}`).json({ success: true, job: describeJob(job) });
+  }));
+
+  // A job, if the client may access its source
+  const requireJob = (req) => {
+    const job = jobs.require(req.params.id);
+    converter.requestAuth.assertSource(req, job.source);
+    return job;
+  };
+
+  router.get('/jobs', handle((req, res) => {
+    const status = req.query.status ?? null;
+    const visible = jobs.list({ status }).filter(job => converter.requestAuth.permitsSource(req, job.source));
+    res.json({ success: true, jobs: visible.map(describeJob) });
+  }));
+
+  router.get('/jobs/:id', handle((req, res) => {
+    res.json({ success: true, job: describeJob(requireJob(req)) });
+  }));
+
+  // The batch as written by the file sink
+  router.get('/jobs/:id/result', handle(async (req, res) => {
+    const job = requireJob(req);
+    if (job.status !== 'succeeded') {
+      throw new HttpError(409, `Job ${job.id} is ${job.status}`);
+    }
+    const location = (job.outputs || []).find(output => typeof output === 'string');
+    const outputPath = location ? path.resolve(location) : null;
+    if (!outputPath || !await fs.pathExists(outputPath)) {
+      throw new HttpError(404, `The results of job ${job.id} are not available as a file`);
+    }
+
+    const format = Object.values(OUTPUT_FORMATS).find(({ extension }) => outputPath.endsWith(`.${extension}`));
+    res.type(format?.contentType ?? 'application/json');
+    res.sendFile(outputPath);
+  }));
+
+  router.post('/jobs/:id/cancel', handle((req, res) => {
+    res.json({ success: true, job: describeJob(jobs.cancel(requireJob(req).id)) });
+  }));
+
+  router.post('/jobs/:id/retry', handle((req, res) => {
+    res.json({ success: true, job: describeJob(jobs.retry(requireJob(req).id)) });
+  }));
+
+  return router;
+}
+
+export default createJobRouter;
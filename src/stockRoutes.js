@@ -0,0 +1,151 @@
+import express from 'express';
+import HttpError from './HttpError.js';
+
+/**
+ * REST endpoints over the current-stock view: totals per SKU, outlet and category, and the
+ * difference between two uploads from one outlet
+ * Quantities are in the base unit unless ?unit= names another (aliases accepted);
+ * ?breakdown=true adds a whole-unit breakdown for SKUs.
+ */
+export function createStockRouter(converter) {
+  const router = express.Router();
+  const stock = converter.stockView;
+
+  const sendError = (res, error) => {
+    const status = error instanceof HttpError ? error.statusCode : 500;
+    converter.log(status >= 500 ? 'error' : 'warn', `Stock API error: ${error.message}`);
+    res.status(status).json({ success: false, error: error.message });
+  };
+
+  const handle = (handler) => (req, res) => {
+    try {
+      res.json({ success: true, ...handler(req, queryOptions(req)) });
+    } catch (error) {
+      sendError(res, error);
+    }
+  };
+
+  // Stock totals add up every outlet: not for clients limited to some sources
+  const handleTotals = (handler) => handle((req, options) => {
+    converter.requestAuth.assertUnrestricted(req);
+    return handler(req, options);
+  });
+
+  const queryOptions = (req) => {
+    const { unit, breakdown } = req.query;
+    if (unit === undefined) {
+      return { unit: null, breakdown: breakdown === 'true' };
+    }
+    const canonical = converter.canonicalUnit(unit);
+    if (!canonical) {
+      throw new HttpError(400, `Unrecognized unit: ${unit}`);
+    }
+    return { unit: canonical, breakdown: breakdown === 'true' };
+  };
+
+  // A SKU's stock held at some outlets; a unit the SKU cannot be expressed in gives an error
+  const skuStock = (sku, outlets, options) => {
+    try {
+      return converter.expressStock(outlets, sku, options);
+    } catch (error) {
+      return { quantity: null, unit: options.unit, error: error.message };
+    }
+  };
+
+  router.get('/stock', handleTotals((req, options) => {
+    const skus = stock.bySku()
+      .filter(entry => req.query.category === undefined || entry.category === req.query.category)
+      .map(entry => skuTotal(entry, options));
+    return { skus };
+  }));
+
+  router.get('/stock/skus/:sku', handleTotals((req, options) => {
+    const entry = stock.bySku().find(candidate => candidate.sku === req.params.sku);
+    if (!entry) {
+      throw new HttpError(404, `No stock recorded for ${req.params.sku}`);
+    }
+    return { stock: skuTotal(entry, options) };
+  }));
+
+  const skuTotal = ({ sku, name, category, outlets }, options) => ({
+    sku,
+    name,
+    category,
+    ...skuStock(sku, outlets, options),
+    outlets: Object.fromEntries(outlets.map(outlet => [outlet.source, skuStock(sku, [outlet], { unit: options.unit }).quantity]))
+  });
+
+  router.get('/stock/categories', handleTotals((req, options) => {
+    const categories = new Map();
+    for (const entry of stock.bySku()) {
+      const category = entry.category ?? 'uncategorized';
+      const total = categories.get(category) || { category, skuCount: 0, items: [] };
+      total.skuCount++;
+      total.items.push({ sku: entry.sku, outlets: entry.outlets });
+      categories.set(category, total);
+    }
+
+    return {
+      categories: [...categories.values()].map(({ category, skuCount, items }) => ({
+        category,
+        skuCount,
+        ...converter.totalStock(items, { unit: options.unit })
+      }))
+    };
+  }));
+
+  router.get('/stock/outlets', handle((req) => ({
+    outlets: stock.sources().filter(source => converter.requestAuth.permitsSource(req, source)).map(source => {
+      const { batchId, processedAt, baseUnit, items, skippedItems } = stock.latest(source);
+      return { source, batchId, processedAt, baseUnit, skuCount: items.size, skippedItems, snapshots: stock.snapshots(source).length };
+    })
+  })));
+
+  router.get('/stock/outlets/:source', handle((req, options) => {
+    converter.requestAuth.assertSource(req, req.params.source);
+    const snapshot = stock.snapshot(req.params.source, req.query.batchId ?? null);
+    if (!snapshot) {
+      throw new HttpError(404, `No stock recorded for ${req.params.source}${req.query.batchId ? ` in batch ${req.query.batchId}` : ''}`);
+    }
+
+    const { source, batchId, processedAt, baseUnit } = snapshot;
+    return {
+      source,
+      batchId,
+      processedAt,
+      skus: [...snapshot.items].map(([sku, { name, category, quantity }]) => ({
+        sku,
+        name,
+        category,
+        ...skuStock(sku, [{ source, baseUnit, quantity }], options)
+      }))
+    };
+  }));
+
+  router.get('/stock/outlets/:source/diff', handle((req, options) => {
+    converter.requestAuth.assertSource(req, req.params.source);
+    const diff = stock.diff(req.params.source, req.query.from ?? null, req.query.to ?? null);
+    if (!diff) {
+      throw new HttpError(404, `Need two stock snapshots of ${req.params.source} to compare`);
+    }
+
+    const { source, baseUnit, from, to } = diff;
+    const expressIn = (sku, quantity) => skuStock(sku, [{ source, baseUnit, quantity }], { unit: options.unit }).quantity;
+    return {
+      source,
+      unit: options.unit ?? baseUnit,
+      from: { batchId: from.batchId, processedAt: from.processedAt },
+      to: { batchId: to.batchId, processedAt: to.processedAt },
+      changes: diff.changes.map(({ sku, before, after, change }) => ({
+        sku,
+        before: expressIn(sku, before),
+        after: expressIn(sku, after),
+        change: expressIn(sku, change)
+      }))
+    };
+  }));
+
+  return router;
+}
+
+export default createStockRouter;
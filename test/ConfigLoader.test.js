@@ -0,0 +1,122 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import InventoryUnitConverter from '../src/InventoryUnitConverter.js';
+import { ConfigError, loadConfig, mergeConfig } from '../src/ConfigLoader.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('ConfigLoader', () => {
+  let projectDirectory;
+  let configDirectory;
+
+  before(async () => {
+    projectDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'iuc-config-'));
+    configDirectory = path.join(projectDirectory, 'config');
+    await fs.outputJson(path.join(configDirectory, 'default.json'), {
+      converter: {
+        dataDirectory: '../data',
+        logDirectory: 'logs',
+        webhookPort: 3000,
+        enableWebhook: true,
+        logLevel: 'info',
+        output: { format: 'json', sinks: ['file'] },
+        csvProfiles: { shared: { columns: {} } }
+      },
+      fileWatcher: { supportedFormats: ['.json', '.csv'], watchDelay: 1000 },
+      logging: { fileRotation: { enabled: true, maxFiles: 7 } },
+      api: { endpoints: {} }
+    });
+    await fs.outputJson(path.join(configDirectory, 'production.json'), {
+      converter: { enableWebhook: false, output: { format: 'csv' }, csvProfiles: { outlet: { columns: {} } } },
+      fileWatcher: { watchDelay: 5000 }
+    });
+  });
+
+  after(async () => {
+    await fs.remove(projectDirectory);
+  });
+
+  test('should layer the default file, the environment file, variables and options', () => {
+    const config = loadConfig(
+      { configDirectory, environment: 'production', logLevel: 'debug', enableFileWatcher: false },
+      { env: { PORT: '8080', LOG_LEVEL: 'warn', ENABLE_WEBHOOK: 'yes' } }
+    );
+
+    assert.strictEqual(config.dataDirectory, path.join(projectDirectory, 'data'));
+    assert.strictEqual(config.logDirectory, path.join(configDirectory, 'logs'));
+    assert.strictEqual(config.webhookPort, 8080);
+    assert.strictEqual(config.enableWebhook, true);
+    assert.strictEqual(config.enableFileWatcher, false);
+    assert.strictEqual(config.logLevel, 'debug');
+    assert.deepStrictEqual(config.output, { format: 'csv', sinks: ['file'] });
+    assert.deepStrictEqual(Object.keys(config.csvProfiles), ['outlet']);
+    assert.deepStrictEqual(config.fileWatcher, { supportedFormats: ['.json', '.csv'], watchDelay: 5000 });
+    assert.strictEqual(config.api, undefined);
+
+    const withoutFiles = loadConfig({ configDirectory: null, webhookPort: 0 }, { env: {} });
+    assert.deepStrictEqual(withoutFiles, { webhookPort: 0 });
+
+    // No product catalog
+    assert.strictEqual(loadConfig({ configDirectory, productCatalogPath: null }, { env: {} }).productCatalogPath, null);
+    assert.throws(() => loadConfig({ configDirectory, dataDirectory: null }, { env: {} }), /dataDirectory must be a non-empty string/);
+  });
+
+  test('should honor false and zero over earlier layers', () => {
+    const config = loadConfig({ configDirectory, enableWebhook: false }, { env: { ENABLE_WEBHOOK: 'true', NODE_ENV: 'test' } });
+    assert.strictEqual(config.enableWebhook, false);
+    assert.strictEqual(loadConfig({ configDirectory }, { env: { ENABLE_WEBHOOK: '0' } }).enableWebhook, false);
+    assert.deepStrictEqual(mergeConfig({ a: { b: 1, c: 2 } }, { a: { b: 0, c: undefined } }), { a: { b: 0, c: 2 } });
+  });
+
+  test('should report every setting of the wrong type, with where it came from', () => {
+    assert.throws(
+      () => loadConfig({ configDirectory, webhookPort: '3000', fileWatcher: { ignorePatterns: ['('] } }, { env: { PORT: 'eighty', ENABLE_FILE_WATCHER: 'maybe' } }),
+      (error) => {
+        assert.ok(error instanceof ConfigError);
+        assert.deepStrictEqual(error.errors.map(({ source, path: setting }) => `${source} ${setting}`), [
+          'environment PORT',
+          'environment ENABLE_FILE_WATCHER',
+          'options webhookPort',
+          'options fileWatcher.ignorePatterns'
+        ]);
+        assert.match(error.message, /^Invalid configuration: environment: PORT must be an integer from 0 to 65535, got "eighty"/);
+        return true;
+      }
+    );
+
+    assert.throws(() => loadConfig({ configDirectory, logLevel: 'verbose' }, { env: {} }), /logLevel must be one of debug, info, warn, error/);
+    assert.throws(() => loadConfig({ configDirectory, fileWatcher: { supportedFormats: ['.xlsx'] } }, { env: {} }), /entries must each be one of/);
+    assert.throws(() => loadConfig({ configDirectory, logging: { fileRotation: { maxSize: 'big' } } }, { env: {} }), /logging\.fileRotation\.maxSize/);
+    assert.throws(() => loadConfig({ configDirectory, logging: { destination: 'syslog' } }, { env: {} }), /logging\.destination must be one of file, stdout/);
+  });
+
+  test('should configure the converter, its file watcher and its log level', async () => {
+    const converter = new InventoryUnitConverter({
+      configDirectory,
+      environment: 'production',
+      conversionMasterPath: path.join(__dirname, '../conversion-master.json'),
+      logDirectory: path.join(projectDirectory, 'logs'),
+      stateDirectory: path.join(projectDirectory, 'state'),
+      logLevel: 'warn',
+      fileWatcher: { ignorePatterns: ['^\\.', '^draft-'] }
+    });
+    const logged = [];
+    converter.on('log', ({ level }) => logged.push(level));
+
+    assert.strictEqual(converter.config.enableWebhook, false);
+    assert.strictEqual(converter.config.writeStabilityThreshold, 5000);
+    assert.deepStrictEqual(
+      ['count.json', 'count.ndjson', 'draft-count.json', '.count.json'].map(name => converter.isInventoryFile(name)),
+      [true, false, false, false]
+    );
+
+    converter.log('info', 'not shown');
+    converter.log('error', 'shown');
+    assert.deepStrictEqual(logged, ['error']);
+  });
+});
@@ -0,0 +1,178 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { validateConversionMaster, validateConversionMasterFile } from '../src/ConversionMasterValidator.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const masterPath = path.join(__dirname, '../conversion-master.json');
+
+const loadMaster = () => fs.readJson(masterPath);
+
+// The shipped master with every pair spelled out, as masters written before the unit graph were
+const loadPairwiseMaster = async () => {
+  const master = await loadMaster();
+  Object.assign(master.conversionRules, {
+    BOX_TO_PIECE: { default: 12, products: { SKU001: 10, SKU002: 24, SKU003: 6 } },
+    CARTON_TO_BOX: { default: 6, products: { SKU001: 4, SKU002: 8, SKU003: 12 } },
+    PIECE_TO_CARTON: { default: 72, products: { SKU001: 40, SKU002: 192, SKU003: 72 } },
+    CARTON_TO_PIECE: { default: 72, products: { SKU001: 40, SKU002: 192, SKU003: 72 } }
+  });
+  return master;
+};
+
+const codesAt = (errors, errorPath) => errors.filter(error => error.path === errorPath).map(error => error.code);
+
+describe('ConversionMasterValidator', () => {
+  test('should accept the shipped conversion master', async () => {
+    const result = await validateConversionMasterFile(masterPath);
+    assert.deepStrictEqual(result, { valid: true, errors: [] });
+  });
+
+  test('should report missing sections', () => {
+    const { valid, errors } = validateConversionMaster({ version: '1.0.0', conversionRules: {} });
+
+    assert.strictEqual(valid, false);
+    assert.deepStrictEqual(codesAt(errors, 'unitHierarchy'), ['REQUIRED']);
+    assert.deepStrictEqual(codesAt(errors, 'supportedUnits'), ['REQUIRED']);
+  });
+
+  test('should report non-positive factors with their path', async () => {
+    const master = await loadMaster();
+    master.conversionRules.PIECE_TO_BOX.products.SKU003 = 0;
+    master.conversionRules.BOX_TO_CARTON.default = -6;
+
+    const { errors } = validateConversionMaster(master);
+
+    assert.ok(codesAt(errors, 'conversionRules.PIECE_TO_BOX.products.SKU003').includes('NON_POSITIVE_FACTOR'));
+    assert.ok(codesAt(errors, 'conversionRules.BOX_TO_CARTON.default').includes('NON_POSITIVE_FACTOR'));
+  });
+
+  test('should report inverse mismatches', async () => {
+    const master = await loadPairwiseMaster();
+    master.conversionRules.BOX_TO_PIECE.products.SKU001 = 12;
+
+    const { errors } = validateConversionMaster(master);
+
+    assert.deepStrictEqual(codesAt(errors, 'conversionRules.PIECE_TO_BOX.products.SKU001'), ['INVERSE_MISMATCH']);
+  });
+
+  test('should report factors that do not compose along the hierarchy', async () => {
+    const master = await loadPairwiseMaster();
+    master.conversionRules.PIECE_TO_BOX.products.SKU001 = 12;
+    master.conversionRules.BOX_TO_PIECE.products.SKU001 = 12;
+
+    const { errors } = validateConversionMaster(master);
+
+    assert.deepStrictEqual(codesAt(errors, 'conversionRules.PIECE_TO_CARTON.products.SKU001'), ['NOT_COMPOSABLE']);
+    assert.deepStrictEqual(codesAt(errors, 'conversionRules.CARTON_TO_PIECE.products.SKU001'), ['NOT_COMPOSABLE']);
+  });
+
+  test('should report units missing from supportedUnits', async () => {
+    const master = await loadMaster();
+    master.conversionRules.CARTON_TO_PALLET = { default: 20, products: {} };
+    master.unitHierarchy.push('PALLET');
+
+    const { errors } = validateConversionMaster(master);
+
+    assert.deepStrictEqual(codesAt(errors, 'conversionRules.CARTON_TO_PALLET'), ['UNSUPPORTED_UNIT']);
+    assert.deepStrictEqual(codesAt(errors, 'unitHierarchy[3]'), ['UNSUPPORTED_UNIT']);
+  });
+
+  test('should check dated factors within each effective period', async () => {
+    const master = await loadPairwiseMaster();
+    master.conversionRules.PIECE_TO_BOX.products.SKU002 = [
+      { factor: 24, effectiveTo: '2024-06-01T00:00:00Z' },
+      { factor: 20, effectiveFrom: '2024-06-01T00:00:00Z' }
+    ];
+
+    const { errors } = validateConversionMaster(master);
+
+    // Only the period after the change disagrees with BOX_TO_PIECE and PIECE_TO_CARTON
+    const mismatch = errors.find(error => error.code === 'INVERSE_MISMATCH');
+    assert.strictEqual(mismatch.path, 'conversionRules.PIECE_TO_BOX.products.SKU002');
+    assert.match(mismatch.message, /from 2024-06-01T00:00:00.000Z/);
+    assert.ok(errors.every(error => !/until/.test(error.message)));
+  });
+
+  test('should report invalid and overlapping effective ranges', async () => {
+    const master = await loadPairwiseMaster();
+    master.conversionRules.PIECE_TO_BOX.effectiveFrom = 'someday';
+    master.conversionRules.BOX_TO_PIECE.products.SKU002 = [
+      { factor: 24, effectiveTo: '2024-06-01T00:00:00Z' },
+      { factor: 24, effectiveFrom: '2024-05-01T00:00:00Z' }
+    ];
+
+    const { errors } = validateConversionMaster(master);
+
+    assert.deepStrictEqual(codesAt(errors, 'conversionRules.PIECE_TO_BOX.effectiveFrom'), ['INVALID_DATE']);
+    assert.deepStrictEqual(codesAt(errors, 'conversionRules.BOX_TO_PIECE.products.SKU002[1]'), ['OVERLAPPING_RANGE']);
+  });
+
+  test('should report conflicting unit aliases', async () => {
+    const master = await loadMaster();
+    master.unitAliases.BOX.push('pcs');
+    master.sourceUnitAliases = { 'outlet-002': { PALLET: ['PLT'] } };
+
+    const { errors } = validateConversionMaster(master);
+
+    assert.deepStrictEqual(codesAt(errors, 'unitAliases.BOX[2]'), ['ALIAS_CONFLICT']);
+    assert.deepStrictEqual(codesAt(errors, 'sourceUnitAliases.outlet-002.PALLET'), ['UNSUPPORTED_UNIT']);
+  });
+
+  test('should check source and supplier overrides like SKU overrides', async () => {
+    const master = await loadPairwiseMaster();
+    master.conversionRules.PIECE_TO_BOX.sources = { 'outlet-002': { SKU001: 12 } };
+    master.conversionRules.CARTON_TO_BOX.suppliers = { 'DIST-B': { SKU001: 0 } };
+
+    const { errors } = validateConversionMaster(master);
+
+    assert.deepStrictEqual(codesAt(errors, 'conversionRules.CARTON_TO_BOX.suppliers.DIST-B.SKU001'), ['NON_POSITIVE_FACTOR']);
+    assert.deepStrictEqual(codesAt(errors, 'conversionRules.PIECE_TO_BOX.sources.outlet-002.SKU001'), ['INVERSE_MISMATCH']);
+    assert.match(errors.find(error => error.code === 'NOT_COMPOSABLE').message, /for SKU001 at outlet-002/);
+  });
+
+  test('should report invalid measures and product measures', async () => {
+    const master = await loadMaster();
+    master.measures.mass.units.BOX = 5;
+    master.measures.volume.units.L = 0;
+    master.productMeasures = {
+      SKU001: { mass: { value: 250, unit: 'ML' } },
+      SKU002: { weight: { value: 1, unit: 'KG' } },
+      SKU003: { volume: { value: -1, unit: 'L' } }
+    };
+
+    const { errors } = validateConversionMaster(master);
+
+    assert.deepStrictEqual(codesAt(errors, 'measures.mass.units.BOX'), ['DUPLICATE_UNIT']);
+    assert.deepStrictEqual(codesAt(errors, 'measures.volume.units.L'), ['NON_POSITIVE_FACTOR']);
+    assert.deepStrictEqual(codesAt(errors, 'productMeasures.SKU001.mass.unit'), ['UNSUPPORTED_UNIT']);
+    assert.deepStrictEqual(codesAt(errors, 'productMeasures.SKU002.weight'), ['UNSUPPORTED_UNIT']);
+    assert.deepStrictEqual(codesAt(errors, 'productMeasures.SKU003.volume.value'), ['NON_POSITIVE_FACTOR']);
+    assert.deepStrictEqual(codesAt(errors, 'productMeasures.SKU003.volume.unit'), ['UNSUPPORTED_UNIT']);
+  });
+
+  test('should report invalid order settings', async () => {
+    const master = await loadMaster();
+    master.ordering.default.orderUnits = ['CARTON', 'PALLET'];
+    master.ordering.products.SKU002.minimumOrder = { quantity: 0, unit: 'CARTON' };
+    master.ordering.products.SKU003 = { orderUnits: [], packCosts: { BOX: -1 } };
+
+    const { errors } = validateConversionMaster(master);
+
+    assert.deepStrictEqual(codesAt(errors, 'ordering.default.orderUnits[1]'), ['UNSUPPORTED_UNIT']);
+    assert.deepStrictEqual(codesAt(errors, 'ordering.products.SKU002.minimumOrder.quantity'), ['NON_POSITIVE_FACTOR']);
+    assert.deepStrictEqual(codesAt(errors, 'ordering.products.SKU003.orderUnits'), ['INVALID_TYPE']);
+    assert.strictEqual(errors.filter(error => error.path.startsWith('ordering.products.SKU003.packCosts')).length, 1);
+  });
+
+  test('should report unreadable files', async () => {
+    const { valid, errors } = await validateConversionMasterFile(path.join(__dirname, 'missing-master.json'));
+
+    assert.strictEqual(valid, false);
+    assert.strictEqual(errors[0].code, 'UNREADABLE');
+  });
+});
@@ -0,0 +1,96 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { parseInventoryCsv, parseCsvRows, detectDelimiter, decodeCsv, CsvDecoder, InventoryCsvReader } from '../src/CsvParser.js';
+
+describe('CsvParser', () => {
+  test('should parse quoted fields with delimiters, quotes and line breaks', () => {
+    const { rows, errors } = parseCsvRows('sku,name\r\nSKU001,"Widget, Large"\r\nSKU002,"The ""Best""\nWidget"\r\n');
+
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(rows.map(row => row.fields), [
+      ['sku', 'name'],
+      ['SKU001', 'Widget, Large'],
+      ['SKU002', 'The "Best"\nWidget']
+    ]);
+    assert.deepStrictEqual(rows.map(row => row.row), [1, 2, 3]);
+  });
+
+  test('should strip a UTF-8 BOM and fall back to Windows-1252', () => {
+    const withBom = Buffer.concat([Buffer.from([0xEF, 0xBB, 0xBF]), Buffer.from('sku,quantity\nSKU001,5')]);
+    assert.strictEqual(decodeCsv(withBom).text, 'sku,quantity\nSKU001,5');
+
+    const latin1 = Buffer.from([0x43, 0x61, 0x66, 0xE9]); // "Café" in Windows-1252
+    assert.deepStrictEqual(decodeCsv(latin1), { text: 'Café', encoding: 'windows-1252' });
+  });
+
+  test('should detect semicolon delimiters and decimal commas', () => {
+    assert.strictEqual(detectDelimiter('"a;b",c,d\nx'), ',');
+    assert.strictEqual(detectDelimiter('sku;quantity;unit'), ';');
+
+    const { items, delimiter } = parseInventoryCsv('sku;quantity;unit\nSKU001;2,5;BOX\nSKU002;-3;PIECE\n\n\n');
+
+    assert.strictEqual(delimiter, ';');
+    assert.deepStrictEqual(items, [
+      { sku: 'SKU001', quantity: 2.5, unit: 'BOX' },
+      { sku: 'SKU002', quantity: -3, unit: 'PIECE' }
+    ]);
+  });
+
+  test('should keep SKUs as text', () => {
+    const { items } = parseInventoryCsv('sku,quantity\n00123,4');
+    assert.deepStrictEqual(items, [{ sku: '00123', quantity: 4 }]);
+  });
+
+  test('should map outlet columns and unit spellings', () => {
+    const profile = {
+      columns: { sku: 'Item Code', quantity: 'Qty', unit: 'UOM' },
+      units: { pcs: 'PIECE', CTN: 'CARTON' }
+    };
+
+    const { items } = parseInventoryCsv('Item Code,Qty,UOM,Notes\nSKU001,12,Pcs,ok\nSKU003,1,ctn,', profile);
+
+    assert.deepStrictEqual(items, [
+      { sku: 'SKU001', quantity: 12, unit: 'PIECE', Notes: 'ok' },
+      { sku: 'SKU003', quantity: 1, unit: 'CARTON', Notes: '' }
+    ]);
+  });
+
+  test('should report malformed lines with row and column', () => {
+    const csv = 'sku,quantity,unit\nSKU001,5\nSKU002,"3"x,BOX\nSKU003,2,BOX,extra\nSKU004,1,PIECE\nSKU005,"7';
+
+    const { items, errors } = parseInventoryCsv(csv);
+
+    assert.deepStrictEqual(items, [{ sku: 'SKU004', quantity: 1, unit: 'PIECE' }]);
+    assert.deepStrictEqual(errors.map(({ row, column }) => [row, column]), [[2, 3], [3, 2], [4, 4], [6, 2]]);
+    assert.match(errors[3].message, /Unterminated quoted field/);
+  });
+
+  test('should read the same items and errors when the input arrives in chunks', () => {
+    const csv = 'sku;quantity;unit\r\nSKU001;2,5;BOX\r\nSKU002;"a ""b""\r\nc";PIECE\r\nSKU003;1\r\nSKU004;3;"CARTON"';
+    const whole = parseInventoryCsv(csv);
+
+    for (const size of [1, 2, 3, 7]) {
+      const reader = new InventoryCsvReader();
+      const items = [];
+      const errors = [];
+      for (let start = 0; start <= csv.length; start += size) {
+        const chunk = reader.push(csv.slice(start, start + size), start + size > csv.length);
+        items.push(...chunk.items);
+        errors.push(...chunk.errors);
+      }
+
+      assert.deepStrictEqual(items, whole.items, `chunks of ${size}`);
+      assert.deepStrictEqual(errors, whole.errors, `chunks of ${size}`);
+    }
+  });
+
+  test('should decode chunks split inside a character', () => {
+    const bytes = Buffer.concat([Buffer.from([0xEF, 0xBB, 0xBF]), Buffer.from('sku\nCafé')]);
+    const decoder = new CsvDecoder();
+
+    const text = [...bytes].map(byte => decoder.write(Buffer.from([byte]))).join('') + decoder.end();
+
+    assert.strictEqual(text, 'sku\nCafé');
+    assert.strictEqual(decoder.encoding, 'utf-8');
+  });
+});
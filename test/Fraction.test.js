@@ -0,0 +1,41 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import Fraction from '../src/Fraction.js';
+
+describe('Fraction', () => {
+  test('should convert decimals exactly', () => {
+    assert.strictEqual(Fraction.from(0.1).toString(), '1/10');
+    assert.strictEqual(Fraction.from(-2.5).toString(), '-5/2');
+    assert.strictEqual(Fraction.from(1e21).toString(), '1000000000000000000000');
+    assert.throws(() => Fraction.from(NaN), /Cannot convert/);
+  });
+
+  test('should parse its own string form', () => {
+    assert.strictEqual(Fraction.parse('-5/2').compare(-2.5), 0);
+    assert.strictEqual(Fraction.parse(new Fraction(24n, 9n).toString()).toString(), '8/3');
+    assert.strictEqual(Fraction.parse('12').toString(), '12');
+    assert.throws(() => Fraction.parse('1.5'), /Cannot parse/);
+  });
+
+  test('should keep chained arithmetic exact', () => {
+    const perCarton = Fraction.from(1).div(72);
+    assert.strictEqual(perCarton.mul(72).toString(), '1');
+    assert.strictEqual(Fraction.from(0.1).add(0.2).compare(0.3), 0);
+  });
+
+  test('should floor, ceil and round towards the expected integers', () => {
+    const value = new Fraction(-7n, 2n);
+    assert.strictEqual(value.floor(), -4n);
+    assert.strictEqual(value.ceil(), -3n);
+    assert.strictEqual(value.round(), -4n);
+    assert.strictEqual(new Fraction(5n, 2n).round(), 3n);
+  });
+
+  test('should round to decimal places', () => {
+    const value = Fraction.from(1).div(72);
+    assert.strictEqual(value.toDecimalPlaces(2).toNumber(), 0.01);
+    assert.strictEqual(value.toDecimalPlaces(4).toNumber(), 0.0139);
+    assert.strictEqual(value.toDecimalPlaces(0, 'floor').toNumber(), 0);
+    assert.strictEqual(value.toDecimalPlaces(0, 'ceil').toNumber(), 1);
+  });
+});
@@ -4,15 +4,23 @@ import fs from 'fs-extra';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import InventoryUnitConverter from '../src/InventoryUnitConverter.js';
+import { hashInput } from '../src/AuditLog.js';
+import UnknownSkuQueue, { MAX_HELD_ITEMS } from '../src/UnknownSkuQueue.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // Test configuration
 const testConfig = {
+  configDirectory: null,
   conversionMasterPath: path.join(__dirname, '../conversion-master.json'),
   dataDirectory: path.join(__dirname, '../test-data'),
   logDirectory: path.join(__dirname, '../test-logs'),
+  stateDirectory: path.join(__dirname, '../test-state'),
+  archiveDirectory: path.join(__dirname, '../test-state/archive'),
+  quarantineDirectory: path.join(__dirname, '../test-state/quarantine'),
+  progressInterval: 500,
+  auditItemLimit: 1000,
   enableWebhook: false,
   enableFileWatcher: false,
   logLevel: 'error' // Reduce noise during tests
@@ -37,6 +45,7 @@ describe('InventoryUnitConverter', () => {
     // Cleanup test directories
     await fs.remove(testConfig.dataDirectory);
     await fs.remove(testConfig.logDirectory);
+    await fs.remove(testConfig.stateDirectory);
   });
 
   test('should initialize successfully', () => {
@@ -70,6 +79,188 @@ describe('InventoryUnitConverter', () => {
     assert.strictEqual(result, 100);
   });
 
+  test('should derive conversions from pack relationships', async () => {
+    const masterPath = path.join(testConfig.dataDirectory, 'pallet-master.json');
+    await fs.writeJson(masterPath, {
+      version: 'pallet-test',
+      conversionRules: {
+        PIECE_TO_BOX: { default: 12, products: { SKU002: 24 } },
+        BOX_TO_CARTON: { default: 6, products: { SKU002: 8 } },
+        CARTON_TO_PALLET: { default: 10, products: {} }
+      },
+      unitHierarchy: ['PIECE', 'BOX', 'CARTON', 'PALLET'],
+      supportedUnits: ['PIECE', 'BOX', 'CARTON', 'PALLET']
+    });
+
+    const palletConverter = new InventoryUnitConverter({ ...testConfig, conversionMasterPath: masterPath });
+    await palletConverter.loadConversionMaster();
+
+    assert.strictEqual(palletConverter.convertUnit(1920, 'PIECE', 'PALLET', 'SKU002'), 1);
+    assert.strictEqual(palletConverter.convertUnit(1, 'PALLET', 'BOX', 'SKU002'), 80);
+    assert.strictEqual(palletConverter.convertUnit(1, 'CARTON', 'PIECE', 'UNKNOWN_SKU'), 72);
+  });
+
+  test('should keep PIECE to CARTON consistent with a BOX_TO_CARTON override', async () => {
+    const masterPath = path.join(testConfig.dataDirectory, 'override-master.json');
+    const master = await fs.readJson(testConfig.conversionMasterPath);
+    master.conversionRules.BOX_TO_CARTON.products.SKU009 = 10;
+    await fs.writeJson(masterPath, master);
+
+    const overrideConverter = new InventoryUnitConverter({ ...testConfig, conversionMasterPath: masterPath });
+    await overrideConverter.loadConversionMaster();
+
+    // Default 12 pieces per box, 10 boxes per carton
+    assert.strictEqual(overrideConverter.convertUnit(120, 'PIECE', 'CARTON', 'SKU009'), 1);
+    assert.strictEqual(overrideConverter.convertUnit(1, 'CARTON', 'PIECE', 'SKU009'), 120);
+    assert.deepStrictEqual(Object.keys(master.conversionRules), ['PIECE_TO_BOX', 'BOX_TO_CARTON']);
+  });
+
+  test('should refuse to reload an invalid conversion master', async () => {
+    const masterPath = path.join(testConfig.dataDirectory, 'broken-master.json');
+    const master = await fs.readJson(testConfig.conversionMasterPath);
+    master.version = '2.0.0';
+    master.conversionRules.PIECE_TO_BOX.default = 0;
+    await fs.writeJson(masterPath, master);
+
+    const reloadingConverter = new InventoryUnitConverter(testConfig);
+    await reloadingConverter.loadConversionMaster();
+    reloadingConverter.config.conversionMasterPath = masterPath;
+
+    await assert.rejects(() => reloadingConverter.reloadConversionMaster(), (error) => {
+      assert.strictEqual(error.name, 'ConversionMasterValidationError');
+      assert.ok(error.errors.some(e => e.path === 'conversionRules.PIECE_TO_BOX.default'));
+      return true;
+    });
+    assert.strictEqual(reloadingConverter.conversionRules.version, '1.0.0');
+  });
+
+  test('should apply rounding policies per call and per unit', () => {
+    assert.strictEqual(converter.convertUnit(1, 'PIECE', 'CARTON', 'SKU003'), 0.01);
+    assert.strictEqual(converter.convertUnit(1, 'PIECE', 'CARTON', 'SKU003', { rounding: { decimals: 4 } }), 0.0139);
+    assert.strictEqual(converter.convertUnit(150, 'PIECE', 'CARTON', 'SKU003', { rounding: { mode: 'floor', decimals: 0 } }), 2);
+    assert.strictEqual(converter.convertUnit(150, 'PIECE', 'CARTON', 'SKU003', { rounding: { mode: 'ceil', decimals: 0 } }), 3);
+
+    const perUnit = { units: { CARTON: { mode: 'ceil', decimals: 0 } } };
+    assert.strictEqual(converter.convertUnit(150, 'PIECE', 'CARTON', 'SKU003', { rounding: perUnit }), 3);
+    assert.strictEqual(converter.convertUnit(15, 'PIECE', 'BOX', 'SKU003', { rounding: perUnit }), 2.5);
+  });
+
+  test('should reject non-integer results when requested', () => {
+    assert.strictEqual(converter.convertUnit(144, 'PIECE', 'CARTON', 'SKU003', { rounding: 'reject' }), 2);
+    assert.throws(() => {
+      converter.convertUnit(150, 'PIECE', 'CARTON', 'SKU003', { rounding: 'reject' });
+    }, /not a whole number/);
+    assert.throws(() => {
+      converter.convertUnit(1, 'PIECE', 'BOX', 'SKU003', { rounding: 'nearest' });
+    }, /Unknown rounding mode/);
+  });
+
+  test('should honor the configured rounding policy', async () => {
+    const floorConverter = new InventoryUnitConverter({ ...testConfig, rounding: { mode: 'floor', decimals: 0 } });
+    await floorConverter.loadConversionMaster();
+
+    assert.strictEqual(floorConverter.convertUnit(79, 'PIECE', 'CARTON', 'SKU001'), 1);
+    assert.strictEqual(floorConverter.convertUnit(79, 'PIECE', 'CARTON', 'SKU001', { rounding: { decimals: 3 } }), 1.975);
+    assert.throws(() => new InventoryUnitConverter({ ...testConfig, rounding: { decimals: -1 } }), /Rounding decimals/);
+  });
+
+  test('should report exact conversion factors', () => {
+    const [result] = converter.convertUnits([{ sku: 'SKU003', quantity: 1, unit: 'PIECE' }], 'CARTON');
+
+    assert.strictEqual(result.convertedQuantity, 0.01);
+    assert.strictEqual(result.conversionFactor, 1 / 72);
+  });
+
+  test('should pick conversion rules effective at the payload timestamp', async () => {
+    const masterPath = path.join(testConfig.dataDirectory, 'dated-master.json');
+    const master = await fs.readJson(testConfig.conversionMasterPath);
+    const changeDate = '2024-06-01T00:00:00.000Z';
+    const dated = (before, after) => [
+      { factor: before, effectiveTo: changeDate },
+      { factor: after, effectiveFrom: changeDate }
+    ];
+    master.conversionRules.PIECE_TO_BOX.products.SKU002 = dated(24, 20);
+    await fs.writeJson(masterPath, master);
+
+    const datedConverter = new InventoryUnitConverter({ ...testConfig, conversionMasterPath: masterPath });
+    await datedConverter.loadConversionMaster();
+
+    assert.strictEqual(datedConverter.convertUnit(1, 'BOX', 'PIECE', 'SKU002', { asOf: '2024-05-31' }), 24);
+    assert.strictEqual(datedConverter.convertUnit(1, 'BOX', 'PIECE', 'SKU002', { asOf: changeDate }), 20);
+    assert.strictEqual(datedConverter.convertUnit(1, 'BOX', 'PIECE', 'SKU002'), 20);
+    assert.throws(() => datedConverter.convertUnit(1, 'BOX', 'PIECE', 'SKU002', { asOf: 'last month' }), /Invalid asOf date/);
+
+    const items = [{ sku: 'SKU002', quantity: 2, unit: 'BOX' }];
+    const january = datedConverter.processInventoryData({ timestamp: '2024-01-15T10:30:00Z', items });
+    assert.strictEqual(january.items[0].standardizedUnits.PIECE, 48);
+    assert.strictEqual(january.conversionVersion, '1.0.0');
+    assert.deepStrictEqual(january.conversionRuleSet, {
+      id: '1.0.0',
+      effectiveFrom: null,
+      effectiveTo: changeDate,
+      asOf: '2024-01-15T10:30:00.000Z'
+    });
+
+    const july = datedConverter.processInventoryData({ timestamp: '2024-07-01T00:00:00Z', items });
+    assert.strictEqual(july.items[0].standardizedUnits.PIECE, 40);
+    assert.strictEqual(july.conversionRuleSet.id, `1.0.0@${changeDate}`);
+  });
+
+  test('should hot-reload a changed master and keep the last good one on errors', { timeout: 10000 }, async () => {
+    const masterPath = path.join(testConfig.dataDirectory, 'watched-master.json');
+    const master = await fs.readJson(testConfig.conversionMasterPath);
+    await fs.writeJson(masterPath, master);
+
+    const watchingConverter = new InventoryUnitConverter({
+      ...testConfig,
+      conversionMasterPath: masterPath,
+      masterReloadDelay: 50
+    });
+    await watchingConverter.initialize();
+
+    try {
+      const nextEvent = (name) => new Promise(resolve => watchingConverter.once(name, resolve));
+
+      // A half-written file is rejected and the current rules stay active
+      const rejected = nextEvent('conversionMasterRejected');
+      await fs.writeFile(masterPath, '{ "version": "1.1.0", "conversionRu');
+      const { activeVersion } = await rejected;
+      assert.strictEqual(activeVersion, '1.0.0');
+      assert.strictEqual(watchingConverter.convertUnit(24, 'PIECE', 'BOX', 'SKU002'), 1);
+
+      const changed = nextEvent('conversionMasterChanged');
+      master.version = '1.1.0';
+      master.conversionRules.PIECE_TO_BOX.products.SKU004 = 12;
+      master.conversionRules.BOX_TO_CARTON.products.SKU001 = 5;
+      await fs.writeJson(masterPath, master);
+      const diff = await changed;
+
+      assert.strictEqual(diff.previousVersion, '1.0.0');
+      assert.strictEqual(diff.version, '1.1.0');
+      assert.deepStrictEqual(diff.overrides.added.map(o => `${o.rule}:${o.sku}`), ['PIECE_TO_BOX:SKU004']);
+      assert.deepStrictEqual(diff.overrides.changed.map(o => `${o.rule}:${o.sku}`), ['BOX_TO_CARTON:SKU001']);
+      assert.strictEqual(watchingConverter.conversionRules.version, '1.1.0');
+      assert.strictEqual(watchingConverter.convertUnit(144, 'PIECE', 'CARTON', 'SKU001'), 2.88);
+    } finally {
+      await watchingConverter.stop();
+    }
+  });
+
+  test('should keep one rule set for a batch across a master swap', async () => {
+    const swappingConverter = new InventoryUnitConverter(testConfig);
+    await swappingConverter.loadConversionMaster();
+
+    const ruleSet = swappingConverter.getRuleSet();
+    const master = await fs.readJson(testConfig.conversionMasterPath);
+    master.version = '2.0.0';
+    master.conversionRules.PIECE_TO_BOX.products.SKU002 = 20;
+    swappingConverter.activateConversionMaster(master);
+
+    const item = { sku: 'SKU002', quantity: 1, unit: 'BOX' };
+    assert.strictEqual(swappingConverter.standardizeItem(item, { ruleSet }).standardizedUnits.PIECE, 24);
+    assert.strictEqual(swappingConverter.standardizeItem(item).standardizedUnits.PIECE, 20);
+  });
+
   test('should throw error for unsupported conversion', () => {
     assert.throws(() => {
       converter.convertUnit(10, 'INVALID_UNIT', 'PIECE', 'SKU001');
@@ -96,6 +287,423 @@ describe('InventoryUnitConverter', () => {
     assert.strictEqual(result.standardizedUnits.CARTON, 3); // 120/40 for SKU001
   });
 
+  test('should break down quantities into whole units', () => {
+    assert.deepStrictEqual(converter.breakdownQuantity(300, 'PIECE', 'SKU001'), { CARTON: 7, BOX: 2, PIECE: 0 });
+    assert.deepStrictEqual(converter.breakdownQuantity(7.5, 'CARTON', 'SKU001'), { CARTON: 7, BOX: 2, PIECE: 0 });
+    assert.deepStrictEqual(converter.breakdownQuantity(175, 'PIECE', 'SKU002'), { CARTON: 0, BOX: 7, PIECE: 7 });
+  });
+
+  test('should include breakdown when standardizing on request', () => {
+    const item = { sku: 'SKU001', quantity: 162, unit: 'PIECE' };
+
+    assert.strictEqual(converter.standardizeItem(item).breakdown, undefined);
+    assert.deepStrictEqual(converter.standardizeItem(item, { breakdown: true }).breakdown, { CARTON: 4, BOX: 0, PIECE: 2 });
+  });
+
+  test('should normalize mixed-unit counts', () => {
+    const item = { sku: 'SKU001', quantity: { CARTON: 4, BOX: 1, PIECE: 2 } };
+
+    const result = converter.standardizeItem(item);
+
+    assert.strictEqual(result.originalQuantity, 172);
+    assert.strictEqual(result.originalUnit, 'PIECE');
+    assert.deepStrictEqual(result.originalCount, { CARTON: 4, BOX: 1, PIECE: 2 });
+    assert.strictEqual(result.standardizedUnits.BOX, 17.2);
+
+    const inBoxes = converter.standardizeItem({ ...item, unit: 'BOX' });
+    assert.strictEqual(inBoxes.originalQuantity, 17.2);
+    assert.strictEqual(inBoxes.originalUnit, 'BOX');
+  });
+
+  test('should reject mixed-unit counts with invalid values', () => {
+    const result = converter.standardizeItem({ sku: 'SKU001', quantity: { BOX: 'two' } });
+    assert.match(result.error, /Invalid count for BOX/);
+  });
+
+  test('should map unit aliases before conversion', () => {
+    assert.strictEqual(converter.convertUnit(20, 'pcs', 'Box', 'SKU001'), 2);
+    assert.strictEqual(converter.convertUnit(1, 'Carton(s)', 'EA', 'SKU001'), 40);
+
+    const result = converter.standardizeItem({ sku: 'SKU001', quantity: 2, unit: 'ctn' });
+    assert.strictEqual(result.originalUnit, 'CARTON');
+    assert.strictEqual(result.rawUnit, 'ctn');
+    assert.strictEqual(result.standardizedUnits.PIECE, 80);
+
+    const mixed = converter.standardizeItem({ sku: 'SKU001', quantity: { ctn: 1, pcs: 3 } });
+    assert.strictEqual(mixed.originalQuantity, 43);
+    assert.strictEqual(mixed.originalUnit, 'PIECE');
+  });
+
+  test('should prefer per-source aliases', async () => {
+    const masterPath = path.join(testConfig.dataDirectory, 'alias-master.json');
+    const master = await fs.readJson(testConfig.conversionMasterPath);
+    master.sourceUnitAliases = { 'outlet-009': { BOX: ['PACK'] } };
+    await fs.writeJson(masterPath, master);
+
+    const aliasConverter = new InventoryUnitConverter({ ...testConfig, conversionMasterPath: masterPath });
+    await aliasConverter.loadConversionMaster();
+
+    const result = aliasConverter.processInventoryData({
+      source: 'outlet-009',
+      items: [{ sku: 'SKU001', quantity: 3, unit: 'pack' }]
+    });
+    assert.strictEqual(result.items[0].standardizedUnits.PIECE, 30);
+
+    const elsewhere = aliasConverter.processInventoryData({
+      source: 'outlet-001',
+      items: [{ sku: 'SKU001', quantity: 3, unit: 'pack' }]
+    });
+    assert.match(elsewhere.items[0].error, /Unrecognized unit: pack/);
+  });
+
+  test('should convert to weight and volume through per-SKU net measures', async () => {
+    // The README example, against the shipped master
+    assert.strictEqual(converter.convertUnit(5, 'CARTON', 'KG', 'SKU002'), 240);
+
+    const masterPath = path.join(testConfig.dataDirectory, 'measures-master.json');
+    const master = await fs.readJson(testConfig.conversionMasterPath);
+    master.productMeasures = {
+      SKU002: { mass: { value: 0.25, unit: 'KG' }, volume: { value: 330, unit: 'ML' } }
+    };
+    await fs.writeJson(masterPath, master);
+
+    const measureConverter = new InventoryUnitConverter({ ...testConfig, conversionMasterPath: masterPath });
+    await measureConverter.loadConversionMaster();
+
+    // 5 cartons x 192 pieces x 250 g
+    assert.strictEqual(measureConverter.convertUnit(5, 'CARTON', 'KG', 'SKU002'), 240);
+    assert.strictEqual(measureConverter.convertUnit(48, 'KG', 'BOX', 'SKU002'), 8);
+    assert.strictEqual(measureConverter.convertUnit(1500, 'G', 'KG'), 1.5);
+    assert.strictEqual(measureConverter.convertUnit(2, 'ltr', 'ML'), 2000);
+
+    const item = measureConverter.standardizeItem({ sku: 'SKU002', quantity: 1, unit: 'BOX' });
+    assert.strictEqual(item.standardizedUnits.KG, 6);
+    assert.strictEqual(item.standardizedUnits.G, 6000);
+    assert.strictEqual(item.standardizedUnits.L, 7.92);
+
+    const countOnly = measureConverter.standardizeItem({ sku: 'SKU001', quantity: 1, unit: 'BOX' });
+    assert.strictEqual(countOnly.standardizedUnits.KG, undefined);
+    assert.strictEqual(countOnly.standardizedUnits.PIECE, 10);
+
+    assert.throws(() => measureConverter.convertUnit(5, 'CARTON', 'KG', 'SKU001'),
+      /SKU SKU001 has no mass per PIECE in productMeasures/);
+    assert.match(measureConverter.standardizeItem({ sku: 'SKU003', quantity: 2, unit: 'KG' }).error,
+      /SKU SKU003 has no mass per PIECE/);
+  });
+
+  test('should apply the unknown SKU policy and queue unknown SKUs for review', async () => {
+    const items = [
+      { sku: 'SKU001', quantity: 2, unit: 'BOX' },
+      { sku: 'SKU004', quantity: 48, unit: 'PIECE' }
+    ];
+
+    const flagged = converter.processInventoryData({ source: 'outlet-001', items });
+    assert.strictEqual(flagged.items[0].unknownSku, undefined);
+    assert.strictEqual(flagged.items[1].unknownSku, true);
+    assert.strictEqual(flagged.items[1].standardizedUnits.BOX, 4);
+    assert.deepStrictEqual(flagged.unknownSkus, ['SKU004']);
+
+    const rejected = converter.processInventoryData({ source: 'outlet-002', items }, { unknownSkuPolicy: 'reject' });
+    assert.strictEqual(rejected.items[1].error, 'Unknown SKU: SKU004');
+
+    const held = converter.processInventoryData({ source: 'outlet-002', items }, { unknownSkuPolicy: 'hold' });
+    assert.strictEqual(held.items[1].held, true);
+    assert.strictEqual(held.items[1].standardizedUnits, undefined);
+    assert.strictEqual(held.heldItems, 1);
+
+    const entry = converter.unknownSkus.get('SKU004');
+    assert.strictEqual(entry.firstSeenSource, 'outlet-001');
+    assert.deepStrictEqual(entry.sources, ['outlet-001', 'outlet-002']);
+    assert.strictEqual(entry.occurrences, 3);
+    assert.deepStrictEqual(entry.sampleQuantities[0], { ...entry.sampleQuantities[0], quantity: 48, unit: 'PIECE' });
+    assert.strictEqual(entry.heldItems.length, 1);
+    assert.strictEqual(entry.heldCount, 1);
+
+    await converter.unknownSkus.flush();
+    const persisted = await fs.readJson(path.join(testConfig.stateDirectory, 'unknown-skus.json'));
+    assert.strictEqual(persisted.unknownSkus.find(queued => queued.sku === 'SKU004').occurrences, 3);
+
+    assert.throws(() => new InventoryUnitConverter({ ...testConfig, unknownSkuPolicy: 'ignore' }), /Unknown SKU policy/);
+  });
+
+  test('should keep a bounded number of held items and save the queue once per burst', async () => {
+    const queuePath = path.join(testConfig.dataDirectory, 'burst-unknown-skus.json');
+    const queue = new UnknownSkuQueue(queuePath, { saveDelay: 20 });
+
+    for (let index = 0; index < MAX_HELD_ITEMS + 5; index++) {
+      queue.record({ sku: 'SKU404', quantity: index, unit: 'PIECE', heldItem: { sku: 'SKU404', quantity: index, unit: 'PIECE' } });
+    }
+    const entry = queue.get('SKU404');
+    assert.strictEqual(entry.heldItems.length, MAX_HELD_ITEMS);
+    assert.strictEqual(entry.heldCount, MAX_HELD_ITEMS + 5);
+    assert.strictEqual(entry.occurrences, MAX_HELD_ITEMS + 5);
+    assert.strictEqual(await fs.pathExists(queuePath), false);
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    await queue.flush();
+    const [persisted] = (await fs.readJson(queuePath)).unknownSkus;
+    assert.strictEqual(persisted.heldCount, MAX_HELD_ITEMS + 5);
+    assert.strictEqual(persisted.heldItems.length, MAX_HELD_ITEMS);
+
+    queue.record({ sku: 'SKU405', quantity: 1, unit: 'PIECE' });
+    await queue.flush();
+    assert.deepStrictEqual((await fs.readJson(queuePath)).unknownSkus.map(({ sku }) => sku), ['SKU404', 'SKU405']);
+  });
+
+  test('should enforce catalog allowed units and active flags', async () => {
+    const catalogPath = path.join(testConfig.dataDirectory, 'catalog.json');
+    await fs.writeJson(catalogPath, {
+      products: [
+        { sku: 'SKU001', name: 'Widget A', baseUnit: 'PIECE', allowedUnits: ['PIECE', 'BOX'] },
+        { sku: 'SKU003', name: 'Widget C', baseUnit: 'PIECE', active: false }
+      ]
+    });
+
+    const catalogConverter = new InventoryUnitConverter({ ...testConfig, productCatalogPath: catalogPath });
+    await catalogConverter.loadConversionMaster();
+    await catalogConverter.loadProductCatalog();
+
+    assert.strictEqual(catalogConverter.standardizeItem({ sku: 'SKU001', quantity: 2, unit: 'pcs' }).standardizedUnits.PIECE, 2);
+    assert.strictEqual(catalogConverter.standardizeItem({ sku: 'SKU001', quantity: 1, unit: 'CTN' }).error, 'Unit CARTON is not allowed for SKU001');
+    assert.strictEqual(catalogConverter.standardizeItem({ sku: 'SKU003', quantity: 1, unit: 'BOX' }).error, 'Inactive SKU: SKU003');
+  });
+
+  test('should resolve source, then supplier, then SKU overrides', async () => {
+    const masterPath = path.join(testConfig.dataDirectory, 'layered-master.json');
+    const master = await fs.readJson(testConfig.conversionMasterPath);
+    master.conversionRules.PIECE_TO_BOX.sources = { 'outlet-002': { SKU001: 12 } };
+    master.conversionRules.PIECE_TO_BOX.suppliers = { 'DIST-B': { SKU001: 8 } };
+    await fs.writeJson(masterPath, master);
+
+    const layeredConverter = new InventoryUnitConverter({ ...testConfig, conversionMasterPath: masterPath });
+    await layeredConverter.loadConversionMaster();
+
+    const result = layeredConverter.processInventoryData({
+      source: 'outlet-002',
+      items: [
+        { sku: 'SKU001', quantity: 2, unit: 'BOX' },
+        { sku: 'SKU002', quantity: 2, unit: 'BOX' }
+      ]
+    });
+    assert.strictEqual(result.items[0].standardizedUnits.PIECE, 24);
+    assert.strictEqual(result.items[0].resolvedLayers.PIECE_TO_BOX, 'source');
+    assert.strictEqual(result.items[0].resolvedLayers.BOX_TO_CARTON, 'sku');
+    assert.strictEqual(result.items[1].resolvedLayers.PIECE_TO_BOX, 'sku');
+
+    const supplied = layeredConverter.standardizeItem({ sku: 'SKU001', quantity: 2, unit: 'BOX', supplier: 'DIST-B' });
+    assert.strictEqual(supplied.standardizedUnits.PIECE, 16);
+    assert.strictEqual(supplied.resolvedLayers.PIECE_TO_BOX, 'supplier');
+
+    // The outlet's own pack size wins over the supplier's
+    const both = layeredConverter.standardizeItem(
+      { sku: 'SKU001', quantity: 2, unit: 'BOX', supplier: 'DIST-B' },
+      { source: 'outlet-002' }
+    );
+    assert.strictEqual(both.standardizedUnits.PIECE, 24);
+
+    assert.strictEqual(layeredConverter.standardizeItem({ sku: 'SKU001', quantity: 2, unit: 'BOX' }).resolvedLayers.PIECE_TO_BOX, 'sku');
+    assert.strictEqual(layeredConverter.standardizeItem({ sku: 'SKU009', quantity: 2, unit: 'BOX' }).resolvedLayers.PIECE_TO_BOX, 'default');
+  });
+
+  test('should report the provenance of every conversion', () => {
+    const item = converter.standardizeItem({ sku: 'SKU001', quantity: 25, unit: 'PIECE' });
+    const box = item.provenance.conversions.BOX;
+
+    assert.strictEqual(item.provenance.masterVersion, '1.0.0');
+    assert.deepStrictEqual(box.path, ['PIECE_TO_BOX']);
+    assert.deepStrictEqual(box.steps[0], {
+      ruleKey: 'PIECE_TO_BOX', fromUnit: 'PIECE', toUnit: 'BOX', operation: 'divide', factor: 10, layer: 'sku'
+    });
+    assert.strictEqual(box.skuSpecific, true);
+    assert.strictEqual(box.factor, '1/10');
+    assert.strictEqual(box.exact, '5/2');
+    assert.deepStrictEqual(box.rounding, { mode: 'round', decimals: 2, adjusted: false });
+
+    const carton = item.provenance.conversions.CARTON;
+    assert.strictEqual(carton.exact, '5/8');
+    assert.strictEqual(carton.rounding.adjusted, true);
+    assert.strictEqual(item.provenance.conversions.PIECE, undefined);
+
+    const [converted] = converter.convertUnits([{ sku: 'SKU009', quantity: 1, unit: 'CARTON' }], 'PIECE');
+    assert.strictEqual(converted.provenance.skuSpecific, false);
+    assert.deepStrictEqual(converted.provenance.path, ['BOX_TO_CARTON', 'PIECE_TO_BOX']);
+    assert.strictEqual(converted.convertedQuantity, 72);
+  });
+
+  test('should append processed files to the audit log and query it by SKU and date', async () => {
+    const filePath = path.join(testConfig.dataDirectory, 'audited.json');
+    const payload = { source: 'outlet-001', items: [{ sku: 'SKU001', quantity: 2, unit: 'BOX' }, { sku: 'SKU002', quantity: 1, unit: 'BOX' }] };
+    await fs.writeJson(filePath, payload);
+    const inputHash = hashInput(await fs.readFile(filePath));
+
+    const processed = new Promise(resolve => converter.once('fileProcessed', resolve));
+    await converter.processInventoryFile(filePath);
+    const { result } = await processed;
+
+    const records = await converter.auditLog.query({ sku: 'SKU002', from: new Date(Date.now() - 60000) });
+    const record = records.find(entry => entry.batchId === result.batchId);
+
+    assert.ok(record, 'batch is in the audit log');
+    assert.strictEqual(record.channel, 'file');
+    assert.strictEqual(record.source, 'outlet-001');
+    assert.strictEqual(record.inputFile, filePath);
+    assert.match(record.output, /processed_audited_/);
+    assert.strictEqual(record.inputHash, inputHash);
+    assert.deepStrictEqual(record.items.map(item => item.sku), ['SKU002']);
+    assert.strictEqual(record.items[0].provenance.conversions.PIECE.factor, '24');
+
+    assert.deepStrictEqual(await converter.auditLog.query({ sku: 'SKU002', to: '2000-01-01' }), []);
+    await assert.rejects(converter.auditLog.query({ from: 'not a date' }), /valid dates/);
+  });
+
+  test('should process a file once, archive it, and quarantine failures', async () => {
+    const payload = { source: 'outlet-003', items: [{ sku: 'SKU003', quantity: 1, unit: 'CARTON' }] };
+    const firstPath = path.join(testConfig.dataDirectory, 'ledger-first.json');
+    await fs.writeJson(firstPath, payload);
+
+    const processed = new Promise(resolve => converter.once('fileProcessed', resolve));
+    await converter.processInventoryFile(firstPath);
+    const { archivedPath, outputPath } = await processed;
+
+    assert.strictEqual(await fs.pathExists(firstPath), false);
+    assert.deepStrictEqual(await fs.readJson(archivedPath), payload);
+    assert.strictEqual(path.dirname(archivedPath), testConfig.archiveDirectory);
+
+    // The same content again, under another name, is skipped
+    const copyPath = path.join(testConfig.dataDirectory, 'ledger-copy.json');
+    await fs.writeJson(copyPath, payload);
+    const skipped = new Promise(resolve => converter.once('fileSkipped', resolve));
+    await converter.processInventoryFile(copyPath);
+    const { previous } = await skipped;
+    assert.strictEqual(previous.outputPath, outputPath);
+    assert.strictEqual(await fs.pathExists(copyPath), false);
+
+    const brokenPath = path.join(testConfig.dataDirectory, 'ledger-broken.json');
+    await fs.writeFile(brokenPath, '{ "items": [');
+    const failed = new Promise(resolve => converter.once('processingError', resolve));
+    await converter.processInventoryFile(brokenPath);
+    const { quarantinedPath } = await failed;
+
+    assert.strictEqual(path.dirname(quarantinedPath), testConfig.quarantineDirectory);
+    const sidecar = await fs.readJson(`${quarantinedPath}.error.json`);
+    assert.strictEqual(sidecar.file, 'ledger-broken.json');
+    assert.match(sidecar.error, /JSON/);
+
+    await converter.processingLedger.flush();
+    const ledger = await fs.readJson(path.join(testConfig.stateDirectory, 'processing-ledger.json'));
+    assert.deepStrictEqual(ledger.files.map(entry => entry.status).sort(), ['failed', 'processed', 'processed']);
+  });
+
+  test('should stream large CSV files row by row with progress events', async () => {
+    const filePath = path.join(testConfig.dataDirectory, 'warehouse.csv');
+    const rows = Array.from({ length: 1200 }, (_, index) => index === 700 ? 'SKU002,2' : `SKU00${index % 3 + 1},${index % 5 + 1},BOX`);
+    await fs.writeFile(filePath, `sku,quantity,unit\n${rows.join('\n')}\n`);
+
+    const progress = [];
+    const onProgress = (event) => progress.push(event);
+    converter.on('progress', onProgress);
+    const processed = new Promise(resolve => converter.once('fileProcessed', resolve));
+    await converter.processInventoryFile(filePath);
+    const { result, outputPath } = await processed;
+    converter.off('progress', onProgress);
+
+    assert.deepStrictEqual(progress.map(({ processed, done }) => [processed, done]), [[500, false], [1000, false], [1199, true]]);
+    assert.strictEqual(progress[0].batchId, result.batchId);
+    assert.strictEqual(result.items, undefined);
+    assert.strictEqual(result.itemCount, 1199);
+    assert.deepStrictEqual(result.parseErrors.map(error => error.row), [702]);
+
+    const output = await fs.readJson(outputPath);
+    assert.strictEqual(output.items.length, 1199);
+    assert.strictEqual(output.items[1].standardizedUnits.PIECE, 48);
+    assert.strictEqual(output.conversionVersion, result.conversionVersion);
+
+    // Audit records of large batches keep the first items and every SKU
+    const records = await converter.auditLog.query({ sku: 'SKU003' });
+    const record = records.find(entry => entry.batchId === result.batchId);
+    assert.strictEqual(record.itemsTruncated, true);
+    assert.strictEqual(record.itemCount, 1199);
+    assert.ok(record.items.length > 0 && record.items.length < 1000);
+  });
+
+  test('should stream NDJSON files and count failed items', async () => {
+    const filePath = path.join(testConfig.dataDirectory, 'outlet.ndjson');
+    await fs.writeFile(filePath, [
+      { source: 'outlet-004' },
+      { sku: 'SKU001', quantity: 1, unit: 'CARTON' },
+      { sku: 'SKU002', quantity: 1, unit: 'DOZ' }
+    ].map(line => JSON.stringify(line)).join('\n'));
+
+    const done = new Promise(resolve => converter.on('progress', function onProgress(event) {
+      if (event.done) {
+        converter.off('progress', onProgress);
+        resolve(event);
+      }
+    }));
+    const processed = new Promise(resolve => converter.once('fileProcessed', resolve));
+    await converter.processInventoryFile(filePath);
+    const { result, outputPath } = await processed;
+
+    assert.deepStrictEqual(await done, { filePath, batchId: result.batchId, processed: 2, failed: 1, done: true });
+    assert.strictEqual(result.source, 'outlet-004');
+    assert.deepStrictEqual(result.unrecognizedUnits, ['DOZ']);
+    assert.strictEqual((await fs.readJson(outputPath)).items[0].standardizedUnits.BOX, 4);
+  });
+
+  test('should plan orders in whole packs from the master order settings', () => {
+    const [widgets, bulk, mixed, failed] = converter.planOrders([
+      { sku: 'SKU001', onHand: 15, target: 100 },
+      { sku: 'SKU002', onHand: 0, target: 100 },
+      { sku: 'SKU003', onHand: { BOX: 1 }, target: 2, unit: 'BOX', orderUnits: ['BOX', 'PIECE'] },
+      { sku: 'SKU001', target: 10, unit: 'PALLET' }
+    ]);
+
+    // 85 pieces short: 2 cartons (40) and a box (10) cost 82, less than 3 cartons or 9 boxes
+    assert.deepStrictEqual(widgets.order, { CARTON: 2, BOX: 1 });
+    assert.strictEqual(widgets.shortfall, 85);
+    assert.strictEqual(widgets.orderQuantity, 90);
+    assert.strictEqual(widgets.surplus, 5);
+    assert.strictEqual(widgets.cost, 82);
+    assert.deepStrictEqual(widgets.alternatives, [
+      { unit: 'CARTON', packs: 3, surplus: 35, cost: 108 },
+      { unit: 'BOX', packs: 9, surplus: 5, cost: 90 }
+    ]);
+
+    // The minimum order of 2 cartons (384 pieces) applies once anything is ordered
+    assert.strictEqual(bulk.minimumOrder, 384);
+    assert.deepStrictEqual(bulk.order, { CARTON: 2 });
+    assert.strictEqual(bulk.surplus, 284);
+    assert.strictEqual(bulk.cost, undefined);
+
+    assert.strictEqual(mixed.unit, 'PIECE');
+    assert.deepStrictEqual(mixed.order, { BOX: 1 });
+    assert.strictEqual(mixed.surplus, 0);
+
+    assert.deepStrictEqual(failed, { sku: 'SKU001', error: 'Unrecognized unit: PALLET' });
+    assert.deepStrictEqual(converter.planOrder({ sku: 'SKU001', onHand: 120, target: 100 }).order, {});
+    assert.throws(() => converter.planOrder({ sku: 'SKU001' }), /Missing required fields/);
+  });
+
+  test('should flag unrecognized units for review', () => {
+    const result = converter.processInventoryData({
+      source: 'outlet-007',
+      items: [
+        { sku: 'SKU001', quantity: 3, unit: 'DOZ' },
+        { sku: 'SKU002', quantity: 1, unit: 'DOZ' },
+        { sku: 'SKU003', quantity: 1, unit: 'BOX' }
+      ]
+    });
+
+    assert.deepStrictEqual(result.unrecognizedUnits, ['DOZ']);
+    assert.strictEqual(result.items[0].unrecognizedUnit, 'DOZ');
+    assert.ok(result.items[2].standardizedUnits);
+
+    const flagged = converter.getUnrecognizedUnits().find(entry => entry.unit === 'DOZ');
+    assert.strictEqual(flagged.source, 'outlet-007');
+    assert.strictEqual(flagged.count, 2);
+    assert.deepStrictEqual(flagged.sampleSkus, ['SKU001', 'SKU002']);
+  });
+
   test('should handle invalid item format', () => {
     const invalidItem = { name: 'Invalid Item' }; // Missing sku, quantity, unit
     
@@ -152,6 +760,34 @@ SKU002,Widget B,5,BOX`;
     assert.strictEqual(result.items[1].quantity, 5);
   });
 
+  test('should select CSV mapping profiles by filename or source', () => {
+    const profileConverter = new InventoryUnitConverter({
+      ...testConfig,
+      csvProfiles: {
+        semicolonExport: {
+          match: { filename: '^outlet-003_.*\\.csv$', source: 'outlet-003' },
+          source: 'outlet-003',
+          columns: { sku: 'Item Code', quantity: 'Qty', unit: 'UOM' },
+          units: { CTN: 'CARTON' }
+        }
+      }
+    });
+    const csvContent = Buffer.from('\uFEFFItem Code;Qty;UOM\r\nSKU003;1,5;ctn\r\n');
+
+    const byFile = profileConverter.parseCSV(csvContent, { filePath: '/data/OUTLET-003_2024-01-15.csv' });
+    assert.strictEqual(byFile.csvProfile, 'semicolonExport');
+    assert.strictEqual(byFile.source, 'outlet-003');
+    assert.deepStrictEqual(byFile.items, [{ sku: 'SKU003', quantity: 1.5, unit: 'CARTON' }]);
+
+    const bySource = profileConverter.parseCSV(csvContent, { source: 'outlet-003' });
+    assert.strictEqual(bySource.csvProfile, 'semicolonExport');
+
+    const unmatched = profileConverter.parseCSV('sku,quantity\nSKU001,"12', { filePath: 'other.csv' });
+    assert.strictEqual(unmatched.csvProfile, undefined);
+    assert.deepStrictEqual(unmatched.items, []);
+    assert.strictEqual(unmatched.parseErrors[0].row, 2);
+  });
+
   test('should convert multiple items to target unit', () => {
     const items = [
       { sku: 'SKU001', quantity: 30, unit: 'PIECE' },
@@ -167,6 +803,20 @@ SKU002,Widget B,5,BOX`;
     assert.strictEqual(result[1].convertedUnit, 'BOX');
   });
 
+  test('should add breakdown when converting multiple items', () => {
+    const items = [{ sku: 'SKU002', quantity: 200, unit: 'PIECE' }];
+
+    const [withTarget] = converter.convertUnits(items, 'BOX', { breakdown: true });
+    assert.strictEqual(withTarget.convertedUnit, 'BOX');
+    assert.deepStrictEqual(withTarget.breakdown, { CARTON: 1, BOX: 0, PIECE: 8 });
+
+    const [breakdownOnly] = converter.convertUnits(items, undefined, { breakdown: true });
+    assert.strictEqual(breakdownOnly.convertedQuantity, undefined);
+    assert.deepStrictEqual(breakdownOnly.breakdown, { CARTON: 1, BOX: 0, PIECE: 8 });
+
+    assert.throws(() => converter.convertUnits(items), /targetUnit is required/);
+  });
+
   test('should get correct status', () => {
     const status = converter.getStatus();
     
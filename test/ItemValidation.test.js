@@ -0,0 +1,227 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import InventoryUnitConverter from '../src/InventoryUnitConverter.js';
+import {
+  BatchRejectedError,
+  batchRejection,
+  createBatchSummary,
+  describeItemErrors,
+  normalizeBatchPolicy,
+  validateItemFields
+} from '../src/ItemValidation.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const codes = (item) => validateItemFields(item).map(({ code, field }) => `${field}:${code}`);
+
+describe('ItemValidation', () => {
+  test('should accept zero and reject quantities that are not finite, non-negative numbers', () => {
+    assert.deepStrictEqual(codes({ sku: 'SKU001', quantity: 0, unit: 'BOX' }), []);
+    assert.deepStrictEqual(codes({ sku: 'SKU001', quantity: { CARTON: 0, PIECE: 3 } }), []);
+
+    assert.deepStrictEqual(codes({ sku: 'SKU001', quantity: -2, unit: 'BOX' }), ['quantity:NEGATIVE_QUANTITY']);
+    assert.deepStrictEqual(codes({ sku: 'SKU001', quantity: '12abc', unit: 'BOX' }), ['quantity:INVALID_QUANTITY']);
+    assert.deepStrictEqual(codes({ sku: 'SKU001', quantity: NaN, unit: 'BOX' }), ['quantity:INVALID_QUANTITY']);
+    assert.deepStrictEqual(codes({ sku: 'SKU001', quantity: Infinity, unit: 'BOX' }), ['quantity:INVALID_QUANTITY']);
+    assert.deepStrictEqual(codes({ sku: 'SKU001', quantity: { BOX: 'two', PIECE: -1 } }), [
+      'quantity.BOX:INVALID_QUANTITY',
+      'quantity.PIECE:NEGATIVE_QUANTITY'
+    ]);
+  });
+
+  test('should report missing and mistyped fields', () => {
+    assert.deepStrictEqual(codes({ quantity: 1, unit: '' }), ['sku:MISSING_FIELD', 'unit:MISSING_FIELD']);
+    assert.deepStrictEqual(codes({ sku: 42, quantity: 1, unit: ['BOX'] }), ['sku:INVALID_TYPE', 'unit:INVALID_TYPE']);
+    assert.deepStrictEqual(codes(null), ['null:INVALID_ITEM']);
+
+    const errors = validateItemFields({ sku: '', quantity: -1 });
+    assert.strictEqual(describeItemErrors(errors), 'Missing required fields: sku, unit; Invalid quantity: -1 is negative');
+  });
+
+  test('should summarize a batch and apply batch policies', () => {
+    const summary = createBatchSummary();
+    summary.add({ sku: 'SKU001' });
+    summary.add({ sku: 'SKU002', held: true });
+    summary.add({ sku: 'SKU003', error: 'bad', errors: [{ code: 'NEGATIVE_QUANTITY' }] });
+    summary.addParseError();
+
+    const built = summary.build();
+    assert.deepStrictEqual(built, {
+      total: 4,
+      ok: 1,
+      failed: 2,
+      held: 1,
+      errorRate: 0.5,
+      errors: { NEGATIVE_QUANTITY: 1, PARSE_ERROR: 1 }
+    });
+
+    assert.strictEqual(batchRejection(built, normalizeBatchPolicy()), null);
+    assert.match(batchRejection(built, normalizeBatchPolicy('all-or-nothing')), /2 of 4 items failed/);
+    assert.strictEqual(batchRejection(built, normalizeBatchPolicy({ mode: 'threshold', maxErrorRate: 0.5 })), null);
+    assert.match(batchRejection(built, normalizeBatchPolicy({ mode: 'threshold', maxErrorRate: 0.25 })), /maximum error rate of 0.25/);
+
+    assert.throws(() => normalizeBatchPolicy('strict'), /must be one of/);
+    assert.throws(() => normalizeBatchPolicy({ mode: 'threshold' }), /maxErrorRate/);
+  });
+
+  describe('with a converter', () => {
+    let converter;
+    let workDirectory;
+    let baseUrl;
+    let settings;
+
+    const post = (query, payload) => fetch(`${baseUrl}/webhook/inventory${query}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload)
+    });
+
+    const payload = {
+      source: 'outlet-005',
+      items: [
+        { sku: 'SKU001', quantity: 0, unit: 'BOX' },
+        { sku: 'SKU002', quantity: '12abc', unit: 'BOX' },
+        { sku: 'SKU003', quantity: 2, unit: 'DOZ' },
+        { sku: 'SKU001', quantity: 4, unit: 'CARTON' }
+      ]
+    };
+
+    before(async () => {
+      workDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'iuc-validation-'));
+      settings = {
+        configDirectory: null,
+        conversionMasterPath: path.join(__dirname, '../conversion-master.json'),
+        dataDirectory: path.join(workDirectory, 'data'),
+        logDirectory: path.join(workDirectory, 'logs'),
+        stateDirectory: path.join(workDirectory, 'state'),
+        archiveDirectory: path.join(workDirectory, 'archive'),
+        quarantineDirectory: path.join(workDirectory, 'quarantine'),
+        enableWebhook: true,
+        webhookPort: 0,
+        enableFileWatcher: false,
+        watchConversionMaster: false,
+        logLevel: 'error'
+      };
+      converter = new InventoryUnitConverter(settings);
+      await converter.initialize();
+      baseUrl = `http://127.0.0.1:${converter.webServer.address().port}`;
+    });
+
+    after(async () => {
+      await converter.stop();
+      await fs.remove(workDirectory);
+    });
+
+    test('should convert zero counts and give failed items structured errors', () => {
+      const result = converter.processInventoryData(payload);
+
+      assert.deepStrictEqual(result.items[0].standardizedUnits, { PIECE: 0, BOX: 0, CARTON: 0 });
+      assert.deepStrictEqual(result.items[1].errors, [
+        { code: 'INVALID_QUANTITY', field: 'quantity', message: 'Invalid quantity: "12abc" is not a finite number', index: 1 }
+      ]);
+      assert.deepStrictEqual(result.items[2].errors, [
+        { code: 'UNRECOGNIZED_UNIT', field: 'unit', message: 'Unrecognized unit: DOZ', index: 2 }
+      ]);
+      assert.deepStrictEqual(result.summary, {
+        total: 4,
+        ok: 2,
+        failed: 2,
+        held: 0,
+        errorRate: 0.5,
+        errors: { INVALID_QUANTITY: 1, UNRECOGNIZED_UNIT: 1 }
+      });
+
+      assert.throws(() => converter.processInventoryData(payload, { batchPolicy: 'all-or-nothing' }), BatchRejectedError);
+    });
+
+    test('should answer the webhook with 422 when the batch policy rejects a batch', async () => {
+      const partial = await post('', payload);
+      assert.strictEqual(partial.status, 200);
+      assert.strictEqual((await partial.json()).result.summary.failed, 2);
+
+      const rejected = await post('?batchPolicy=threshold&maxErrorRate=0.25', payload);
+      assert.strictEqual(rejected.status, 422);
+      const body = await rejected.json();
+      assert.match(body.error, /^Batch rejected: 2 of 4 items failed/);
+      assert.strictEqual(body.details.summary.errorRate, 0.5);
+      assert.deepStrictEqual(body.details.errors.map(error => error.index), [1, 2]);
+
+      // Rejected batches leave the outlet's stock alone
+      assert.strictEqual(converter.stockView.snapshots('outlet-005').length, 1);
+
+      const allOrNothing = await post('', { ...payload, batchPolicy: 'all-or-nothing' });
+      assert.strictEqual(allOrNothing.status, 422);
+      assert.strictEqual((await post('?batchPolicy=threshold', payload)).status, 400);
+    });
+
+    test('should answer invalid rounding policies with 400', async () => {
+      const convert = await fetch(`${baseUrl}/convert`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ items: [{ sku: 'SKU001', quantity: 1, unit: 'BOX' }], targetUnit: 'PIECE', rounding: { mode: 'bogus' } })
+      });
+      assert.strictEqual(convert.status, 400);
+      assert.match((await convert.json()).error, /bogus/);
+
+      assert.strictEqual((await post('', { ...payload, rounding: 'bogus' })).status, 400);
+      assert.strictEqual((await post('?rounding=floor&decimals=-1', payload)).status, 400);
+    });
+
+    test('should answer /convert requests without items or with an invalid asOf with 400', async () => {
+      const convert = (body) => fetch(`${baseUrl}/convert`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+
+      const withoutItems = await convert({ targetUnit: 'PIECE' });
+      assert.strictEqual(withoutItems.status, 400);
+      assert.strictEqual((await withoutItems.json()).error, 'Expected { items: [] }');
+
+      const invalidDate = await convert({ items: [{ sku: 'SKU001', quantity: 1, unit: 'BOX' }], targetUnit: 'PIECE', asOf: 'someday' });
+      assert.strictEqual(invalidDate.status, 400);
+      assert.strictEqual((await invalidDate.json()).error, 'Invalid asOf date: "someday"');
+
+      const dated = await convert({ items: [{ sku: 'SKU001', quantity: 1, unit: 'BOX' }], targetUnit: 'PIECE', asOf: '2024-01-01' });
+      assert.strictEqual(dated.status, 200);
+    });
+
+    test('should answer orders too large to plan with 422', async () => {
+      const plan = (target) => fetch(`${baseUrl}/plan`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ items: [{ sku: 'SKU001', target }, { sku: 'SKU001', target: 10, unit: 'PALLET' }] })
+      });
+
+      const oversized = await plan(1e12);
+      assert.strictEqual(oversized.status, 422);
+      assert.match((await oversized.json()).error, /too large to plan/);
+
+      const planned = await plan(100);
+      assert.strictEqual(planned.status, 200);
+      assert.strictEqual((await planned.json()).result[1].error, 'Unrecognized unit: PALLET');
+    });
+
+    test('should quarantine files the batch policy rejects', async () => {
+      const strict = new InventoryUnitConverter({ ...settings, batchPolicy: 'all-or-nothing' });
+      await strict.loadConversionMaster();
+
+      const filePath = path.join(workDirectory, 'data', 'outlet-005.ndjson');
+      await fs.outputFile(filePath, payload.items.map(item => JSON.stringify(item)).join('\n'));
+      const failed = new Promise(resolve => strict.once('processingError', resolve));
+      await strict.processInventoryFile(filePath);
+      const { error, quarantinedPath } = await failed;
+
+      assert.ok(error instanceof BatchRejectedError);
+      const sidecar = await fs.readJson(`${quarantinedPath}.error.json`);
+      assert.deepStrictEqual(sidecar.summary.errors, { INVALID_QUANTITY: 1, UNRECOGNIZED_UNIT: 1 });
+      assert.strictEqual(sidecar.errors.length, 2);
+      assert.deepStrictEqual(await fs.readdir(path.join(workDirectory, 'logs')).then(files => files.filter(file => file.startsWith('processed_'))), []);
+    });
+  });
+});
@@ -0,0 +1,214 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import InventoryUnitConverter from '../src/InventoryUnitConverter.js';
+import JobQueue from '../src/JobQueue.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// A run() whose jobs finish when the test says so
+const controllableRun = () => {
+  const pending = new Map();
+  const run = (job, { signal }) => new Promise((resolve, reject) => {
+    pending.set(job.name, { resolve, reject });
+    signal.addEventListener('abort', () => reject(new Error('aborted')));
+  });
+  return { run, pending };
+};
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+describe('JobQueue', () => {
+  let workDirectory;
+
+  before(async () => {
+    workDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'iuc-jobs-'));
+  });
+
+  after(async () => {
+    await fs.remove(workDirectory);
+  });
+
+  test('should run at most `concurrency` jobs and bound the queue', async () => {
+    const { run, pending } = controllableRun();
+    const queue = new JobQueue(null, { concurrency: 2, maxQueued: 1, run });
+    queue.start();
+
+    const [a, b, c] = ['a', 'b', 'c'].map(name => queue.submit({ name }));
+    assert.deepStrictEqual([a, b, c].map(job => queue.get(job.id).status), ['running', 'running', 'queued']);
+    assert.throws(() => queue.submit({ name: 'd' }), { statusCode: 503 });
+    await settle();
+
+    pending.get('a').resolve({ outputs: ['a.json'] });
+    await settle();
+    assert.strictEqual(queue.get(a.id).status, 'succeeded');
+    assert.deepStrictEqual(queue.get(a.id).outputs, ['a.json']);
+    assert.strictEqual(queue.get(c.id).status, 'running');
+
+    pending.get('b').reject(new Error('disk full'));
+    queue.cancel(c.id);
+    await settle();
+    assert.strictEqual(queue.get(b.id).status, 'failed');
+    assert.strictEqual(queue.get(b.id).error, 'disk full');
+    assert.strictEqual(queue.get(c.id).status, 'cancelled');
+
+    assert.throws(() => queue.cancel(a.id), { statusCode: 409 });
+    assert.throws(() => queue.retry(a.id), { statusCode: 409 });
+    assert.throws(() => queue.get('missing') ?? queue.require('missing'), { statusCode: 404 });
+
+    const retried = queue.retry(b.id);
+    assert.strictEqual(retried.status, 'running');
+    assert.strictEqual(retried.attempts, 2);
+    await settle();
+    pending.get('b').resolve({});
+    await settle();
+    assert.strictEqual(queue.get(b.id).status, 'succeeded');
+    await queue.stop();
+  });
+
+  test('should run interrupted jobs again after a restart', async () => {
+    const filePath = path.join(workDirectory, 'jobs.json');
+    const first = controllableRun();
+    const queue = new JobQueue(filePath, { concurrency: 1, run: first.run });
+    queue.start();
+    const running = queue.submit({ name: 'long' });
+    const waiting = queue.submit({ name: 'next' });
+    await settle();
+    await queue.stop();
+
+    const second = controllableRun();
+    const restarted = new JobQueue(filePath, { concurrency: 1, run: second.run });
+    await restarted.load();
+    assert.deepStrictEqual([running, waiting].map(job => restarted.get(job.id).status), ['queued', 'queued']);
+
+    restarted.start();
+    assert.strictEqual(restarted.get(running.id).status, 'running');
+    assert.strictEqual(restarted.get(running.id).attempts, 2);
+    await settle();
+    second.pending.get('long').resolve({});
+    await settle();
+    assert.strictEqual(restarted.get(waiting.id).status, 'running');
+    await restarted.stop();
+  });
+
+  test('should keep only the most recently finished jobs', async () => {
+    const filePath = path.join(workDirectory, 'retained-jobs.json');
+    const pruned = [];
+    const queue = new JobQueue(filePath, { maxFinished: 2, run: async () => ({}), onPrune: (job) => pruned.push(job.name) });
+    queue.start();
+
+    for (const name of ['a', 'b', 'c']) {
+      queue.submit({ name });
+      await settle();
+    }
+    assert.deepStrictEqual(queue.list().map(job => job.name), ['c', 'b']);
+    assert.deepStrictEqual(pruned, ['a']);
+
+    await queue.stop();
+    assert.deepStrictEqual((await fs.readJson(filePath)).jobs.map(job => job.name), ['c', 'b']);
+
+    // A smaller limit applies to the jobs loaded back
+    const reloaded = new JobQueue(filePath, { maxFinished: 1, run: async () => ({}) });
+    await reloaded.load();
+    assert.deepStrictEqual(reloaded.list().map(job => job.name), ['c']);
+    assert.throws(() => new JobQueue(null, { maxFinished: 0 }), /maxFinished/);
+  });
+
+  describe('over HTTP', () => {
+    let converter;
+    let baseUrl;
+
+    const request = async (method, urlPath, body) => {
+      const response = await fetch(`${baseUrl}${urlPath}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        ...(body && { body: JSON.stringify(body) })
+      });
+      return { status: response.status, headers: response.headers, body: await response.json() };
+    };
+
+    const finished = (id) => new Promise(resolve => {
+      const onFinish = (job) => {
+        if (job.id === id) {
+          converter.off('jobFinished', onFinish);
+          resolve(job);
+        }
+      };
+      converter.on('jobFinished', onFinish);
+    });
+
+    before(async () => {
+      const root = path.join(workDirectory, 'http');
+      converter = new InventoryUnitConverter({
+        configDirectory: null,
+        conversionMasterPath: path.join(__dirname, '../conversion-master.json'),
+        dataDirectory: path.join(root, 'data'),
+        logDirectory: path.join(root, 'logs'),
+        stateDirectory: path.join(root, 'state'),
+        enableWebhook: true,
+        webhookPort: 0,
+        enableFileWatcher: false,
+        watchConversionMaster: false,
+        logLevel: 'error',
+        progressInterval: 100,
+        jobs: { concurrency: 1 }
+      });
+      await converter.initialize();
+      baseUrl = `http://127.0.0.1:${converter.webServer.address().port}`;
+    });
+
+    after(async () => {
+      await converter.stop();
+    });
+
+    test('should accept a batch with 202 and report its progress and results', async () => {
+      const items = Array.from({ length: 250 }, (_, index) => (
+        index === 10 ? { sku: 'SKU001', quantity: -1, unit: 'BOX' } : { sku: 'SKU001', quantity: index % 4, unit: 'BOX' }
+      ));
+      const submitted = await request('POST', '/jobs', { source: 'outlet-006', items });
+
+      assert.strictEqual(submitted.status, 202);
+      const { id } = submitted.body.job;
+      assert.strictEqual(submitted.headers.get('location'), `/jobs/${id}`);
+      assert.strictEqual(submitted.body.job.itemCount, 250);
+
+      await finished(id);
+      const { body } = await request('GET', `/jobs/${id}`);
+      assert.strictEqual(body.job.status, 'succeeded');
+      assert.deepStrictEqual(body.job.progress, { processed: 250, failed: 1, total: 250 });
+      assert.strictEqual(body.job.summary.failed, 1);
+      assert.deepStrictEqual(body.job.errors.map(({ code, index }) => [code, index]), [['NEGATIVE_QUANTITY', 10]]);
+      assert.strictEqual(body.job.links.result, `/jobs/${id}/result`);
+
+      const result = await request('GET', body.job.links.result);
+      assert.strictEqual(result.body.batchId, body.job.batchId);
+      assert.strictEqual(result.body.items[3].standardizedUnits.PIECE, 30);
+      assert.strictEqual(converter.stockView.latest('outlet-006').batchId, body.job.batchId);
+      assert.strictEqual(await fs.pathExists(converter.jobInputPath(id)), false);
+
+      assert.strictEqual((await request('POST', `/jobs/${id}/cancel`)).status, 409);
+      assert.strictEqual((await request('GET', '/jobs/unknown')).status, 404);
+    });
+
+    test('should queue webhook batches with ?async=true and record rejected ones as failed', async () => {
+      const submitted = await request('POST', '/webhook/inventory?async=true&batchPolicy=all-or-nothing', {
+        items: [{ sku: 'SKU001', quantity: 1, unit: 'BOX' }, { sku: 'SKU002', quantity: 'x', unit: 'BOX' }]
+      });
+      assert.strictEqual(submitted.status, 202);
+
+      const job = await finished(submitted.body.job.id);
+      assert.strictEqual(job.status, 'failed');
+      assert.match(job.error, /^Batch rejected/);
+      assert.strictEqual(job.details.summary.failed, 1);
+      assert.strictEqual((await request('GET', `/jobs/${job.id}/result`)).status, 409);
+
+      const listed = await request('GET', '/jobs?status=failed');
+      assert.deepStrictEqual(listed.body.jobs.map(entry => entry.id), [job.id]);
+      assert.strictEqual((await request('POST', '/jobs', { items: 'none' })).status, 400);
+    });
+  });
+});
@@ -0,0 +1,107 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import Logger, { parseSize } from '../src/Logger.js';
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const readEntries = async (filePath) => (await fs.readFile(filePath, 'utf8'))
+  .trim()
+  .split('\n')
+  .map(line => JSON.parse(line));
+
+describe('Logger', () => {
+  let logDirectory;
+
+  beforeEach(async () => {
+    logDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'iuc-logger-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(logDirectory);
+  });
+
+  test('should drop entries below the level and write JSON lines with their fields', async () => {
+    const logger = new Logger({ directory: logDirectory, level: 'info', flushInterval: 60000 });
+
+    assert.strictEqual(logger.log('debug', 'Converted 2 BOX to 20 PIECE', { sku: 'SKU001' }), null);
+    const entry = logger.log('warn', 'Unknown SKU SKU999', { source: 'outlet-001', sku: 'SKU999', file: undefined, batchId: null });
+    assert.deepStrictEqual(Object.keys(entry), ['timestamp', 'level', 'message', 'source', 'sku']);
+    logger.log('info', 'Streaming inventory file count.csv', { batchId: 'batch-1', file: 'count.csv', level: 'error' });
+
+    // Nothing is written until the buffer is flushed
+    const logFile = path.join(logDirectory, `converter_${today()}.log`);
+    assert.strictEqual(await fs.pathExists(logFile), false);
+    await logger.close();
+
+    const entries = await readEntries(logFile);
+    assert.deepStrictEqual(entries.map(({ level, message }) => `${level} ${message}`), [
+      'warn Unknown SKU SKU999',
+      'info Streaming inventory file count.csv'
+    ]);
+    assert.deepStrictEqual(entries[1], { timestamp: entries[1].timestamp, level: 'info', message: 'Streaming inventory file count.csv', batchId: 'batch-1', file: 'count.csv' });
+  });
+
+  test('should flush on its own after the flush interval', async () => {
+    const logger = new Logger({ directory: logDirectory, flushInterval: 10 });
+    logger.log('info', 'first');
+    logger.log('error', 'second');
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    await logger.writing;
+    const entries = await readEntries(path.join(logDirectory, `converter_${today()}.log`));
+    assert.deepStrictEqual(entries.map(entry => entry.message), ['first', 'second']);
+  });
+
+  test('should rotate files past maxSize and keep only maxFiles', async () => {
+    const day = today();
+    await fs.outputFile(path.join(logDirectory, 'converter_2020-01-01.log'), 'old\n');
+    await fs.outputFile(path.join(logDirectory, 'converter_2020-01-02.1.log'), 'old\n');
+    await fs.outputFile(path.join(logDirectory, 'converter_2020-01-02.log'), 'old\n');
+    await fs.outputFile(path.join(logDirectory, 'notes.txt'), 'kept\n');
+
+    const logger = new Logger({ directory: logDirectory, fileRotation: { enabled: true, maxFiles: 3, maxSize: 200 } });
+    for (let round = 1; round <= 3; round++) {
+      logger.log('info', `round ${round} ${'x'.repeat(120)}`);
+      await logger.flush();
+    }
+
+    assert.deepStrictEqual((await fs.readdir(logDirectory)).sort(), [
+      `converter_${day}.1.log`,
+      `converter_${day}.2.log`,
+      `converter_${day}.log`,
+      'notes.txt'
+    ]);
+    const [current] = await readEntries(path.join(logDirectory, `converter_${day}.log`));
+    assert.match(current.message, /^round 3/);
+    const [first] = await readEntries(path.join(logDirectory, `converter_${day}.1.log`));
+    assert.match(first.message, /^round 1/);
+  });
+
+  test('should write to stdout only when that is the destination', async () => {
+    const lines = [];
+    const logger = new Logger({
+      directory: logDirectory,
+      destination: 'stdout',
+      stdout: { write: (line) => lines.push(line) }
+    });
+
+    logger.log('info', 'Processed 2 inventory items', { batchId: 'batch-2', source: 'outlet-002' });
+    await logger.close();
+
+    assert.strictEqual(lines.length, 1);
+    assert.ok(lines[0].endsWith('\n'));
+    assert.deepStrictEqual(JSON.parse(lines[0]).batchId, 'batch-2');
+    assert.deepStrictEqual(await fs.readdir(logDirectory), []);
+    assert.throws(() => new Logger({ destination: 'syslog' }), /Log destination must be one of file, stdout/);
+  });
+
+  test('should read sizes', () => {
+    assert.strictEqual(parseSize('10MB'), 10 * 1024 * 1024);
+    assert.strictEqual(parseSize('1.5 kb'), 1536);
+    assert.strictEqual(parseSize(512), 512);
+    assert.throws(() => parseSize('big'), /Invalid size/);
+  });
+});
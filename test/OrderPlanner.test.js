@@ -0,0 +1,42 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import Fraction from '../src/Fraction.js';
+import { MAX_PLAN_STEPS, PlanTooLargeError, cheapestPackMix, singlePackOrder } from '../src/OrderPlanner.js';
+
+const pack = (unit, size, cost = 0) => ({ unit, size: Fraction.from(size), cost });
+
+describe('OrderPlanner', () => {
+  test('should pick the cheapest mix of whole packs', () => {
+    const mix = cheapestPackMix(85, [pack('CARTON', 40, 36), pack('BOX', 10, 10)]);
+
+    assert.deepStrictEqual(mix.counts, { CARTON: 2, BOX: 1 });
+    assert.strictEqual(mix.total.toString(), '90');
+    assert.strictEqual(mix.cost, 82);
+  });
+
+  test('should prefer the least surplus, then the fewest packs, without costs', () => {
+    assert.deepStrictEqual(cheapestPackMix(80, [pack('CARTON', 40), pack('BOX', 10)]).counts, { CARTON: 2 });
+    assert.deepStrictEqual(cheapestPackMix(65, [pack('CARTON', 40), pack('BOX', 10)]).counts, { CARTON: 1, BOX: 3 });
+    assert.deepStrictEqual(cheapestPackMix(0, [pack('BOX', 10)]), { counts: {}, total: new Fraction(0n), cost: 0 });
+  });
+
+  test('should plan with fractional pack sizes', () => {
+    const mix = cheapestPackMix(new Fraction(5n, 4n), [pack('HALF', new Fraction(1n, 2n)), pack('THIRD', new Fraction(1n, 3n))]);
+
+    assert.strictEqual(mix.total.toString(), '4/3');
+    assert.deepStrictEqual(mix.counts, { HALF: 2, THIRD: 1 });
+  });
+
+  test('should refuse plans without packs or too large to search', () => {
+    assert.throws(() => cheapestPackMix(10, []), /No order units/);
+    assert.throws(() => cheapestPackMix(MAX_PLAN_STEPS + 1, [pack('PIECE', 1)]), PlanTooLargeError);
+    assert.strictEqual(cheapestPackMix(MAX_PLAN_STEPS, [pack('PIECE', 1)]).total.toString(), String(MAX_PLAN_STEPS));
+  });
+
+  test('should round a single pack size up to whole packs', () => {
+    const order = singlePackOrder(85, pack('CARTON', 40));
+    assert.strictEqual(order.packs, 3);
+    assert.strictEqual(order.total.toString(), '120');
+    assert.strictEqual(singlePackOrder(-5, pack('BOX', 10)).packs, 0);
+  });
+});
@@ -0,0 +1,178 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import InventoryUnitConverter from '../src/InventoryUnitConverter.js';
+import { FileBatchWriter, renderFilename, selectUnit } from '../src/OutputSinks.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('OutputSinks', () => {
+  let workDirectory;
+  let converter;
+  let baseUrl;
+  const received = [];
+
+  before(async () => {
+    workDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'iuc-output-'));
+
+    converter = new InventoryUnitConverter({
+      configDirectory: null,
+      conversionMasterPath: path.join(__dirname, '../conversion-master.json'),
+      dataDirectory: path.join(workDirectory, 'data'),
+      logDirectory: path.join(workDirectory, 'logs'),
+      stateDirectory: path.join(workDirectory, 'state'),
+      archiveDirectory: path.join(workDirectory, 'archive'),
+      enableWebhook: true,
+      webhookPort: 0,
+      enableFileWatcher: false,
+      watchConversionMaster: false,
+      logLevel: 'error',
+      output: {
+        directory: path.join(workDirectory, 'output'),
+        sources: {
+          'outlet-003': {
+            format: 'csv',
+            targetUnit: 'BOX',
+            columns: ['name'],
+            filename: '{source}/{date}_{name}.{ext}',
+            sinks: ['file', 'memory']
+          }
+        }
+      }
+    });
+    converter.registerSink('memory', (context) => ({
+      open: async (header) => received.push({ context, header, items: [] }),
+      writeItem: async (item) => received.at(-1).items.push(item),
+      close: async () => `memory:${context.batchId}`
+    }));
+    await converter.initialize();
+    baseUrl = `http://127.0.0.1:${converter.webServer.address().port}`;
+  });
+
+  after(async () => {
+    await converter.stop();
+    await fs.remove(workDirectory);
+  });
+
+  test('should write a batch item by item as one JSON document', async () => {
+    const filePath = path.join(workDirectory, 'out', 'batch.json');
+    const writer = new FileBatchWriter(filePath);
+
+    await writer.open({ source: 'outlet-001', batchId: 'b1' });
+    assert.strictEqual(await fs.pathExists(filePath), false);
+    await writer.writeItem({ sku: 'SKU001', standardizedUnits: { PIECE: 1 } });
+    await writer.writeItem({ sku: 'SKU002' });
+    assert.strictEqual(await writer.close({ itemCount: 2, skipped: undefined }), filePath);
+
+    assert.deepStrictEqual(await fs.readJson(filePath), {
+      source: 'outlet-001',
+      batchId: 'b1',
+      items: [{ sku: 'SKU001', standardizedUnits: { PIECE: 1 } }, { sku: 'SKU002' }],
+      itemCount: 2
+    });
+
+    const ndjsonPath = path.join(workDirectory, 'out', 'batch.ndjson');
+    const ndjson = new FileBatchWriter(ndjsonPath, { format: 'ndjson' });
+    await ndjson.open({ source: 'outlet-001' });
+    await ndjson.writeItem({ sku: 'SKU001' });
+    await ndjson.close({ itemCount: 1, failedCount: 0, summary: { total: 1, ok: 1 }, skipped: undefined });
+    assert.deepStrictEqual((await fs.readFile(ndjsonPath, 'utf8')).trim().split('\n').map(line => JSON.parse(line)), [
+      { source: 'outlet-001' },
+      { sku: 'SKU001' },
+      { footer: { itemCount: 1, failedCount: 0, summary: { total: 1, ok: 1 } } }
+    ]);
+    await fs.remove(ndjsonPath);
+
+    const aborted = new FileBatchWriter(path.join(workDirectory, 'out', 'aborted.csv'), { format: 'csv' });
+    await aborted.open();
+    await aborted.abort();
+    assert.deepStrictEqual(await fs.readdir(path.dirname(filePath)), ['batch.json']);
+
+    assert.throws(() => new FileBatchWriter(filePath, { format: 'xml' }), /Unknown output format: xml/);
+  });
+
+  test('should fill filename templates and narrow items to one unit', () => {
+    assert.strictEqual(
+      renderFilename('{source}_{name}.{ext}', { source: 'outlet 1/north', name: 'stock', ext: 'csv' }),
+      'outlet-1-north_stock.csv'
+    );
+
+    const item = {
+      sku: 'SKU001',
+      standardizedUnits: { PIECE: 20, BOX: 2 },
+      provenance: { masterVersion: '1.0.0', conversions: { BOX: { factor: '1/10' } } }
+    };
+    assert.deepStrictEqual(selectUnit(item, 'BOX').standardizedUnits, { BOX: 2 });
+    assert.deepStrictEqual(selectUnit(item, 'PIECE').provenance.conversions, {});
+    assert.strictEqual(selectUnit(item, null), item);
+  });
+
+  test('should write files in the format and place configured for their source', async () => {
+    const filePath = path.join(converter.config.dataDirectory, 'counts.ndjson');
+    await fs.outputFile(filePath, [
+      { source: 'outlet-003' },
+      { sku: 'SKU003', name: 'Widget C, large', quantity: 2, unit: 'CARTON' },
+      { sku: 'SKU001', quantity: 1, unit: 'DOZ' }
+    ].map(line => JSON.stringify(line)).join('\n'));
+
+    const processed = new Promise(resolve => converter.once('fileProcessed', resolve));
+    await converter.processInventoryFile(filePath);
+    const { result, outputPath, outputs } = await processed;
+
+    assert.strictEqual(path.dirname(outputPath), path.join(workDirectory, 'output', 'outlet-003'));
+    assert.match(path.basename(outputPath), /^\d{4}-\d{2}-\d{2}_counts\.csv$/);
+    assert.deepStrictEqual(outputs, [outputPath, `memory:${result.batchId}`]);
+    assert.strictEqual(await fs.readFile(outputPath, 'utf8'), [
+      'sku,originalQuantity,originalUnit,name,BOX,error',
+      'SKU003,2,CARTON,"Widget C, large",24,',
+      'SKU001,1,DOZ,,,Unrecognized unit: DOZ',
+      ''
+    ].join('\n'));
+
+    const batch = received.find(entry => entry.context.batchId === result.batchId);
+    assert.strictEqual(batch.header.source, 'outlet-003');
+    assert.deepStrictEqual(batch.items[0].standardizedUnits, { BOX: 24 });
+    assert.deepStrictEqual(batch.context.units, ['BOX']);
+
+    const [record] = (await converter.auditLog.query({ source: 'outlet-003' }))
+      .filter(entry => entry.batchId === result.batchId);
+    assert.strictEqual(record.output, outputPath);
+    assert.deepStrictEqual(record.outputs, outputs);
+  });
+
+  test('should reject unknown and duplicate sinks', () => {
+    assert.throws(() => converter.registerSink('memory', () => ({})), /already registered/);
+    assert.throws(() => converter.registerSink('broken', {}), /must be a function/);
+    assert.throws(() => new InventoryUnitConverter({ configDirectory: null, output: { format: 'xml' } }), /Unknown output format: xml/);
+  });
+
+  test('should answer the webhook in the format asked for', async () => {
+    const post = (query, headers = {}) => fetch(`${baseUrl}/webhook/inventory${query}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify({ source: 'outlet-001', items: [{ sku: 'SKU001', quantity: 2, unit: 'BOX' }] })
+    });
+
+    const csv = await post('', { Accept: 'text/csv' });
+    assert.match(csv.headers.get('content-type'), /^text\/csv/);
+    const [header, row] = (await csv.text()).trim().split('\n');
+    assert.match(header, /^sku,originalQuantity,originalUnit,PIECE,BOX,CARTON,/);
+    assert.match(row, /^SKU001,2,BOX,20,2,0\.5,/);
+
+    const ndjson = await post('?format=ndjson');
+    assert.match(ndjson.headers.get('content-type'), /^application\/x-ndjson/);
+    const lines = (await ndjson.text()).trim().split('\n').map(line => JSON.parse(line));
+    assert.strictEqual(lines[0].source, 'outlet-001');
+    assert.strictEqual(lines[1].standardizedUnits.PIECE, 20);
+
+    const json = await post('');
+    assert.strictEqual((await json.json()).result.items[0].standardizedUnits.BOX, 2);
+
+    const unknown = await post('?format=xml');
+    assert.strictEqual(unknown.status, 400);
+  });
+});
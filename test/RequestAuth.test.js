@@ -0,0 +1,190 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import InventoryUnitConverter from '../src/InventoryUnitConverter.js';
+import RequestAuth, { RateLimiter, signPayload } from '../src/RequestAuth.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('RequestAuth', () => {
+  test('should sign the timestamp and body with HMAC-SHA256', () => {
+    const signature = 'sha256=b8569b78799ff9e3cbff0fc2d63a33a2b57f3282abd07c37ae5e8e7d79a5f163';
+    assert.strictEqual(signPayload('secret', '1700000000', '{}'), signature);
+    assert.strictEqual(signPayload('secret', 1700000000, Buffer.from('{}')), signature);
+    assert.notStrictEqual(signPayload('secret', '1700000001', '{}'), signPayload('secret', '1700000000', '{}'));
+  });
+
+  test('should count requests per key in fixed windows', () => {
+    let now = 0;
+    const limiter = new RateLimiter({ now: () => now });
+    const limit = { windowMs: 10000, max: 2 };
+
+    assert.deepStrictEqual([limiter.hit('a', limit), limiter.hit('a', limit), limiter.hit('b', limit)], [0, 0, 0]);
+    now = 2500;
+    assert.strictEqual(limiter.hit('a', limit), 8);
+    now = 10000;
+    assert.strictEqual(limiter.hit('a', limit), 0);
+
+    // b has been idle for a whole window: dropped
+    assert.deepStrictEqual([...limiter.windows.keys()], ['a']);
+  });
+
+  test('should forget every expired signature, whatever order they were seen in', () => {
+    const auth = new RequestAuth();
+    auth.seenSignatures.set('skewed-ahead', 1600);
+    auth.seenSignatures.set('expired', 900);
+    auth.seenSignatures.set('current', 1100);
+
+    auth.forgetExpiredSignatures(1000);
+    assert.deepStrictEqual([...auth.seenSignatures.keys()], ['skewed-ahead', 'current']);
+  });
+
+  test('should refuse incomplete client settings', () => {
+    assert.throws(() => new RequestAuth({ auth: { enabled: true } }), /no clients/);
+    assert.throws(() => new RequestAuth({ auth: { clients: { n8n: { secret: 'x' } } } }), /needs an apiKey/);
+    assert.throws(() => new RequestAuth({ auth: { clients: { a: { apiKey: 'k' }, b: { apiKey: 'k' } } } }), /reuses the apiKey of a/);
+    assert.throws(() => new RequestAuth({ rateLimit: { max: 5 } }), /windowMs/);
+  });
+
+  describe('on the webhook server', () => {
+    let converter;
+    let workDirectory;
+    let baseUrl;
+    const logged = [];
+
+    const payload = (source, extra = {}) => JSON.stringify({ source, items: [{ sku: 'SKU001', quantity: 2, unit: 'BOX' }], ...extra });
+
+    const post = (urlPath, body, headers = {}) => fetch(`${baseUrl}${urlPath}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body
+    });
+
+    const signed = (body, { apiKey = 'n8n-key', secret = 'n8n-secret', timestamp = Math.floor(Date.now() / 1000) } = {}) => ({
+      'X-Api-Key': apiKey,
+      'X-Signature-Timestamp': String(timestamp),
+      'X-Signature': signPayload(secret, String(timestamp), body)
+    });
+
+    before(async () => {
+      workDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'iuc-auth-'));
+      converter = new InventoryUnitConverter({
+        configDirectory: null,
+        conversionMasterPath: path.join(__dirname, '../conversion-master.json'),
+        dataDirectory: path.join(workDirectory, 'data'),
+        logDirectory: path.join(workDirectory, 'logs'),
+        stateDirectory: path.join(workDirectory, 'state'),
+        enableWebhook: true,
+        webhookPort: 0,
+        enableFileWatcher: false,
+        watchConversionMaster: false,
+        logLevel: 'warn',
+        maxBodySize: '2kb',
+        auth: {
+          enabled: true,
+          signatureTolerance: 60,
+          clients: {
+            n8n: { apiKey: 'n8n-key', secret: 'n8n-secret', sources: ['outlet-001'] },
+            reports: { apiKey: 'reports-key', rateLimit: { windowMs: 60000, max: 2 } },
+            outlet: { apiKey: 'outlet-key', sources: ['outlet-002'] }
+          }
+        }
+      });
+      converter.on('log', ({ message }) => logged.push(message));
+      await converter.initialize();
+      baseUrl = `http://127.0.0.1:${converter.webServer.address().port}`;
+    });
+
+    after(async () => {
+      await converter.stop();
+      await fs.remove(workDirectory);
+    });
+
+    test('should require a known API key everywhere but /health', async () => {
+      assert.strictEqual((await fetch(`${baseUrl}/health`)).status, 200);
+      assert.strictEqual((await fetch(`${baseUrl}/stock`)).status, 401);
+      assert.strictEqual((await fetch(`${baseUrl}/stock`, { headers: { 'X-Api-Key': 'guess' } })).status, 401);
+
+      const response = await post('/webhook/inventory', payload('outlet-002'), { 'X-Api-Key': 'reports-key' });
+      assert.strictEqual(response.status, 200);
+    });
+
+    test('should accept each valid signature once, within the replay window', async () => {
+      const body = payload('outlet-001');
+      const headers = signed(body);
+
+      const accepted = await post('/webhook/inventory', body, headers);
+      assert.strictEqual(accepted.status, 200);
+      assert.strictEqual((await accepted.json()).result.items[0].standardizedUnits.PIECE, 20);
+
+      const replayed = await post('/webhook/inventory', body, headers);
+      assert.strictEqual(replayed.status, 401);
+      assert.match((await replayed.json()).error, /already used/);
+
+      const stale = await post('/webhook/inventory', body, signed(body, { timestamp: Math.floor(Date.now() / 1000) - 120 }));
+      assert.strictEqual(stale.status, 401);
+
+      const tampered = await post('/webhook/inventory', payload('outlet-001', { note: 'x' }), signed(body));
+      assert.strictEqual(tampered.status, 401);
+      assert.strictEqual((await post('/webhook/inventory', body, { 'X-Api-Key': 'n8n-key' })).status, 401);
+    });
+
+    test('should only accept the sources a client is mapped to', async () => {
+      const other = payload('outlet-002');
+      const forbidden = await post('/webhook/inventory', other, signed(other));
+      assert.strictEqual(forbidden.status, 403);
+      assert.match((await forbidden.json()).error, /may not access data for source outlet-002/);
+
+      const convert = JSON.stringify({ items: [{ sku: 'SKU001', quantity: 1, unit: 'BOX' }], targetUnit: 'PIECE' });
+      assert.strictEqual((await post('/convert', convert, signed(convert))).status, 403);
+    });
+
+    test('should keep source-limited clients to their own sources', async () => {
+      const request = (urlPath, method = 'GET') => fetch(`${baseUrl}${urlPath}`, { method, headers: { 'X-Api-Key': 'outlet-key' } });
+      const job = await converter.submitJob({ source: 'outlet-001', items: [{ sku: 'SKU001', quantity: 1, unit: 'BOX' }] });
+
+      for (const [urlPath, method] of [
+        ['/stock/outlets/outlet-001'],
+        ['/stock/outlets/outlet-001/diff'],
+        ['/stock'],
+        ['/stock/skus/SKU001'],
+        ['/rules'],
+        ['/rules/PIECE_TO_BOX', 'DELETE'],
+        ['/products/unknown'],
+        ['/deliveries'],
+        ['/deliveries/dead-letter'],
+        ['/audit'],
+        [`/jobs/${job.id}`],
+        [`/jobs/${job.id}/cancel`, 'POST']
+      ]) {
+        assert.strictEqual((await request(urlPath, method)).status, 403, `${method ?? 'GET'} ${urlPath}`);
+      }
+
+      // outlet-002's own stock, recorded by the webhook test above
+      assert.strictEqual((await request('/stock/outlets/outlet-002')).status, 200);
+      assert.deepStrictEqual((await (await request('/stock/outlets')).json()).outlets.map(outlet => outlet.source), ['outlet-002']);
+      assert.deepStrictEqual((await (await request('/jobs')).json()).jobs, []);
+      assert.ok(logged.some(message => /^Rejected GET \/audit from outlet: Client outlet is limited to sources outlet-002/.test(message)));
+    });
+
+    test('should limit body size and request rate, logging each rejection', async () => {
+      const large = payload('outlet-001', { padding: 'x'.repeat(4096) });
+      const tooLarge = await post('/webhook/inventory', large, signed(large));
+      assert.strictEqual(tooLarge.status, 413);
+
+      // reports may make 2 requests a minute and made one above
+      const getStock = () => fetch(`${baseUrl}/stock`, { headers: { 'X-Api-Key': 'reports-key' } });
+      assert.strictEqual((await getStock()).status, 200);
+      const rateLimited = await getStock();
+      assert.strictEqual(rateLimited.status, 429);
+      assert.ok(Number(rateLimited.headers.get('retry-after')) > 0);
+
+      assert.ok(logged.some(message => /^Rejected GET \/stock from reports: Rate limit/.test(message)));
+      assert.ok(logged.some(message => /^Rejected POST \/webhook\/inventory from n8n: Request body exceeds 2kb/.test(message)));
+    });
+  });
+});
@@ -0,0 +1,292 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import http from 'http';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import InventoryUnitConverter from '../src/InventoryUnitConverter.js';
+import ResultDelivery, { backoffDelay } from '../src/ResultDelivery.js';
+import { signPayload } from '../src/RequestAuth.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// A callback receiver answering with the queued statuses, then 200; it keeps what it received
+const startReceiver = async () => {
+  const receiver = { received: [], statuses: [] };
+  receiver.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      receiver.received.push({ headers: req.headers, body });
+      res.writeHead(receiver.statuses.shift() ?? 200).end();
+    });
+  });
+  await new Promise(resolve => receiver.server.listen(0, '127.0.0.1', resolve));
+  receiver.url = `http://127.0.0.1:${receiver.server.address().port}/callback`;
+  receiver.close = () => new Promise(resolve => receiver.server.close(resolve));
+  return receiver;
+};
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  return { resolve, promise };
+};
+
+describe('ResultDelivery', () => {
+  let workDirectory;
+  let receiver;
+
+  before(async () => {
+    workDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'iuc-delivery-'));
+    receiver = await startReceiver();
+  });
+
+  after(async () => {
+    await receiver.close();
+    await fs.remove(workDirectory);
+  });
+
+  test('should double the wait after each failed attempt, up to maxDelay', () => {
+    const options = { initialDelay: 1000, maxDelay: 5000 };
+    assert.deepStrictEqual([1, 2, 3, 4].map(attempts => backoffDelay(attempts, options)), [1000, 2000, 4000, 5000]);
+  });
+
+  test('should refuse incomplete destinations', () => {
+    assert.throws(() => new ResultDelivery(null, { destinations: [{ url: 'http://x' }] }), /unique name/);
+    assert.throws(() => new ResultDelivery(null, { destinations: [{ name: 'erp', url: 'ftp://x' }] }), /http\(s\) url/);
+    assert.throws(() => new ResultDelivery(null, { maxAttempts: 0 }), /maxAttempts/);
+  });
+
+  test('should retry failed deliveries and sign what it sends', async () => {
+    receiver.received.length = 0;
+    receiver.statuses.push(503, 500);
+    const delivered = deferred();
+    const delivery = new ResultDelivery(null, {
+      destinations: [
+        { name: 'erp', url: receiver.url, secret: 'erp-secret', sources: ['outlet-001'] },
+        { name: 'other', url: receiver.url, sources: ['outlet-002'] }
+      ],
+      initialDelay: 10,
+      deadLetterDirectory: path.join(workDirectory, 'dead-letter'),
+      onDelivered: delivered.resolve
+    });
+    delivery.start();
+
+    const [queued] = await delivery.enqueue('batch.processed', { result: { batchId: 'b1' } }, { source: 'outlet-001' });
+    const { attempts } = await delivered.promise;
+    assert.strictEqual(attempts, 3);
+    assert.deepStrictEqual(delivery.list(), []);
+
+    const { headers, body } = receiver.received.at(-1);
+    assert.strictEqual(receiver.received.length, 3);
+    assert.strictEqual(headers['x-delivery-id'], queued.id);
+    assert.strictEqual(headers['x-signature'], signPayload('erp-secret', headers['x-signature-timestamp'], body));
+    assert.deepStrictEqual(JSON.parse(body), { id: queued.id, event: 'batch.processed', result: { batchId: 'b1' } });
+    await delivery.stop();
+  });
+
+  test('should dead-letter deliveries that keep failing and replay them', async () => {
+    const deadLetterDirectory = path.join(workDirectory, 'replay');
+    receiver.statuses.push(503, 503, 400);
+    let deadLettered = deferred();
+    const delivery = new ResultDelivery(null, {
+      destinations: [{ name: 'erp', url: receiver.url }],
+      maxAttempts: 2,
+      initialDelay: 10,
+      deadLetterDirectory,
+      onDeadLetter: (record) => deadLettered.resolve(record)
+    });
+    delivery.start();
+
+    const [exhausted] = await delivery.enqueue('batch.processed', { result: { batchId: 'b2' } });
+    assert.strictEqual((await deadLettered.promise).lastError, 'HTTP 503');
+
+    // Not worth retrying: dead-lettered on the first attempt
+    deadLettered = deferred();
+    const [refused] = await delivery.enqueue('batch.processed', { result: { batchId: 'b3' } });
+    const record = await deadLettered.promise;
+    assert.deepStrictEqual([record.id, record.attempts, record.lastError], [refused.id, 1, 'HTTP 400']);
+
+    assert.deepStrictEqual((await delivery.deadLetters()).map(({ id }) => id), [refused.id, exhausted.id]);
+    assert.strictEqual((await delivery.getDeadLetter(exhausted.id)).payload.result.batchId, 'b2');
+    await assert.rejects(delivery.getDeadLetter('missing'), { statusCode: 404 });
+    await assert.rejects(delivery.getDeadLetter('../jobs'), { statusCode: 400 });
+
+    const delivered = new Promise(resolve => { delivery.onDelivered = resolve; });
+    assert.strictEqual((await delivery.replay(exhausted.id)).attempts, 0);
+    assert.strictEqual((await delivered).id, exhausted.id);
+    await delivery.discard(refused.id);
+    assert.deepStrictEqual(await delivery.deadLetters(), []);
+    await delivery.stop();
+  });
+
+  test('should keep pending deliveries across a restart', async () => {
+    const filePath = path.join(workDirectory, 'deliveries.json');
+    const options = { destinations: [{ name: 'erp', url: receiver.url }], deadLetterDirectory: path.join(workDirectory, 'restart') };
+    const stopped = new ResultDelivery(filePath, options);
+    const [pending] = await stopped.enqueue('batch.processed', { result: { batchId: 'b4' } });
+    await stopped.stop();
+
+    // The state file keeps the schedule; the payload has a file of its own
+    const payloadPath = path.join(workDirectory, 'delivery-payloads', `${pending.id}.json`);
+    const [persisted] = (await fs.readJson(filePath)).deliveries;
+    assert.strictEqual(persisted.id, pending.id);
+    assert.strictEqual(persisted.payload, undefined);
+    assert.deepStrictEqual(await fs.readJson(payloadPath), { result: { batchId: 'b4' } });
+
+    const delivered = deferred();
+    const restarted = new ResultDelivery(filePath, { ...options, onDelivered: delivered.resolve });
+    await restarted.load();
+    assert.deepStrictEqual(restarted.list().map(({ id }) => id), [pending.id]);
+    restarted.start();
+    assert.strictEqual((await delivered.promise).id, pending.id);
+    await restarted.stop();
+    assert.deepStrictEqual((await fs.readJson(filePath)).deliveries, []);
+    assert.strictEqual(await fs.pathExists(payloadPath), false);
+  });
+
+  test('should keep a delivery pending when its dead letter cannot be written', async () => {
+    // A file where the dead-letter directory should be
+    const deadLetterDirectory = path.join(workDirectory, 'blocked');
+    await fs.outputFile(deadLetterDirectory, '');
+    receiver.statuses.push(400, 400);
+    const errors = [];
+    const deadLettered = deferred();
+    const delivery = new ResultDelivery(null, {
+      destinations: [{ name: 'erp', url: receiver.url }],
+      maxDelay: 50,
+      deadLetterDirectory,
+      onError: (error) => errors.push(error.message),
+      onDeadLetter: deadLettered.resolve
+    });
+    delivery.start();
+
+    const [queued] = await delivery.enqueue('batch.processed', { result: { batchId: 'b5' } });
+    while (errors.length === 0) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    assert.match(errors[0], new RegExp(`^Failed to dead-letter delivery ${queued.id} \\(HTTP 400\\)`));
+    assert.deepStrictEqual(delivery.list().map(({ id, lastError }) => [id, lastError]), [[queued.id, 'HTTP 400']]);
+
+    // Tried again once the directory can be written
+    await fs.remove(deadLetterDirectory);
+    const record = await deadLettered.promise;
+    assert.deepStrictEqual([record.id, record.payload], [queued.id, { result: { batchId: 'b5' } }]);
+    assert.deepStrictEqual(delivery.list(), []);
+    await delivery.stop();
+  });
+
+  describe('on the webhook server', () => {
+    let converter;
+    let baseUrl;
+
+    const request = async (method, urlPath, body) => {
+      const response = await fetch(`${baseUrl}${urlPath}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        ...(body && { body: JSON.stringify(body) })
+      });
+      return { status: response.status, body: await response.json() };
+    };
+
+    const once = (event) => new Promise(resolve => converter.once(event, resolve));
+
+    before(async () => {
+      const root = path.join(workDirectory, 'http');
+      converter = new InventoryUnitConverter({
+        configDirectory: null,
+        conversionMasterPath: path.join(__dirname, '../conversion-master.json'),
+        dataDirectory: path.join(root, 'data'),
+        logDirectory: path.join(root, 'logs'),
+        stateDirectory: path.join(root, 'state'),
+        archiveDirectory: path.join(root, 'archive'),
+        quarantineDirectory: path.join(root, 'quarantine'),
+        deadLetterDirectory: path.join(root, 'dead-letter'),
+        enableWebhook: true,
+        webhookPort: 0,
+        enableFileWatcher: false,
+        watchConversionMaster: false,
+        logLevel: 'error',
+        delivery: {
+          destinations: [{ name: 'erp', url: receiver.url, sources: ['outlet-001'] }],
+          maxAttempts: 1
+        }
+      });
+      await converter.initialize();
+      baseUrl = `http://127.0.0.1:${converter.webServer.address().port}`;
+    });
+
+    after(async () => {
+      await converter.stop();
+    });
+
+    test('should deliver each processed batch of a source to its destinations', async () => {
+      receiver.received.length = 0;
+      const delivered = once('resultDelivered');
+      const processed = await request('POST', '/webhook/inventory', {
+        source: 'outlet-001',
+        items: [{ sku: 'SKU001', quantity: 2, unit: 'BOX' }]
+      });
+      await delivered;
+
+      const body = JSON.parse(receiver.received[0].body);
+      assert.strictEqual(body.channel, 'webhook');
+      assert.strictEqual(body.result.batchId, processed.body.result.batchId);
+      assert.strictEqual(body.result.items[0].standardizedUnits.PIECE, 20);
+
+      // outlet-002 has no destination
+      await request('POST', '/webhook/inventory', { source: 'outlet-002', items: [{ sku: 'SKU001', quantity: 1, unit: 'BOX' }] });
+      assert.deepStrictEqual((await request('GET', '/deliveries')).body.deliveries, []);
+      assert.strictEqual(receiver.received.length, 1);
+    });
+
+    test('should deliver file batches as their summary and outputs', async () => {
+      receiver.received.length = 0;
+      const dataDirectory = path.join(workDirectory, 'http', 'data');
+      await fs.outputFile(path.join(dataDirectory, 'other.ndjson'), '{"source":"outlet-002"}\n{"sku":"SKU001","quantity":1,"unit":"BOX"}\n');
+      await fs.outputFile(path.join(dataDirectory, 'count.ndjson'), [
+        '{"source":"outlet-001"}',
+        '{"sku":"SKU001","quantity":2,"unit":"BOX"}',
+        '{"sku":"SKU002","quantity":1,"unit":"CARTON"}'
+      ].join('\n'));
+
+      const delivered = once('resultDelivered');
+      await converter.processInventoryFile(path.join(dataDirectory, 'other.ndjson'));
+      await converter.processInventoryFile(path.join(dataDirectory, 'count.ndjson'));
+      await delivered;
+
+      // outlet-002 has no destination
+      assert.strictEqual(receiver.received.length, 1);
+      const body = JSON.parse(receiver.received[0].body);
+      assert.strictEqual(body.channel, 'file');
+      assert.strictEqual(body.result.itemCount, 2);
+      assert.strictEqual(body.result.summary.total, 2);
+      assert.strictEqual(body.result.items, undefined);
+      assert.strictEqual(body.outputs.length, 1);
+      const written = await fs.readJson(body.outputs[0]);
+      assert.deepStrictEqual(written.items.map(item => [item.sku, item.standardizedUnits.PIECE]), [['SKU001', 20], ['SKU002', 192]]);
+    });
+
+    test('should list dead-lettered deliveries and replay them', async () => {
+      receiver.statuses.push(502);
+      const deadLettered = once('deliveryDeadLettered');
+      await request('POST', '/webhook/inventory', { source: 'outlet-001', items: [{ sku: 'SKU002', quantity: 1, unit: 'BOX' }] });
+      const { id } = await deadLettered;
+
+      const listed = await request('GET', '/deliveries/dead-letter');
+      assert.deepStrictEqual(listed.body.deliveries.map(entry => [entry.id, entry.lastError]), [[id, 'HTTP 502']]);
+      assert.strictEqual((await request('GET', `/deliveries/dead-letter/${id}`)).body.delivery.destination, 'erp');
+      assert.strictEqual((await request('GET', '/deliveries/dead-letter/unknown')).status, 404);
+
+      const delivered = once('resultDelivered');
+      const replayed = await request('POST', `/deliveries/dead-letter/${id}/replay`);
+      assert.strictEqual(replayed.status, 202);
+      assert.strictEqual((await delivered).id, id);
+      assert.strictEqual((await request('GET', '/deliveries/dead-letter')).body.count, 0);
+      assert.strictEqual((await request('DELETE', `/deliveries/dead-letter/${id}`)).status, 404);
+    });
+  });
+});
@@ -0,0 +1,104 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { JsonItemsScanner, readInventoryEntries } from '../src/StreamingIngest.js';
+
+describe('StreamingIngest', () => {
+  let workDirectory;
+
+  const collect = async (filePath, options) => {
+    const entries = [];
+    for await (const entry of readInventoryEntries(filePath, options)) {
+      entries.push(entry);
+    }
+    return entries;
+  };
+
+  before(async () => {
+    workDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'iuc-stream-'));
+  });
+
+  after(async () => {
+    await fs.remove(workDirectory);
+  });
+
+  test('should scan items and fields of a JSON document split anywhere', () => {
+    const document = {
+      source: 'outlet-001',
+      items: [
+        { sku: 'SKU001', quantity: 2, unit: 'BOX', note: 'has "quotes", [brackets] and {braces}' },
+        { sku: 'SKU002', quantity: { CARTON: 1, PIECE: 3 } },
+        7
+      ],
+      timestamp: '2024-03-01T00:00:00.000Z',
+      meta: { tags: ['a', 'b'], ok: true }
+    };
+    const json = JSON.stringify(document, null, 2);
+
+    for (const size of [1, 5, json.length]) {
+      const scanner = new JsonItemsScanner();
+      const events = [];
+      for (let start = 0; start < json.length; start += size) {
+        events.push(...scanner.push(json.slice(start, start + size)));
+      }
+      events.push(...scanner.end());
+
+      assert.deepStrictEqual(events.filter(event => 'item' in event).map(event => event.item), document.items);
+      assert.deepStrictEqual(Object.fromEntries(events.filter(event => 'field' in event).map(event => [event.field, event.value])), {
+        source: document.source,
+        timestamp: document.timestamp,
+        meta: document.meta
+      });
+    }
+  });
+
+  test('should reject documents without an items array or cut short', () => {
+    const scan = (json) => {
+      const scanner = new JsonItemsScanner();
+      scanner.push(json);
+      return scanner.end();
+    };
+
+    assert.throws(() => scan('[1, 2]'), /Expected \{ items: \[\] \}/);
+    assert.throws(() => scan('{ "source": "x" }'), /Expected \{ items: \[\] \}/);
+    assert.throws(() => scan('{ "items": [{ "sku": "SKU001"'), /Unexpected end of JSON input/);
+    assert.deepStrictEqual(scan('{ "items": [] }'), []);
+  });
+
+  test('should read NDJSON with a header line and report unreadable lines', async () => {
+    const filePath = path.join(workDirectory, 'stock.ndjson');
+    await fs.writeFile(filePath, [
+      '{"source":"outlet-002","timestamp":"2024-03-01"}',
+      '{"sku":"SKU001","quantity":3,"unit":"BOX"}',
+      '',
+      '{"sku":"SKU002",',
+      '[1]',
+      '{"sku":"SKU003","quantity":1,"unit":"CARTON"}',
+      '{"footer":{"itemCount":2,"failedCount":0}}'
+    ].join('\r\n'));
+
+    const entries = await collect(filePath);
+
+    assert.deepStrictEqual(entries[0], { fields: { source: 'outlet-002', timestamp: '2024-03-01' } });
+    assert.deepStrictEqual(entries.filter(entry => entry.item).map(entry => entry.item.sku), ['SKU001', 'SKU003']);
+    assert.deepStrictEqual(entries.filter(entry => entry.error).map(entry => entry.error.line), [4, 5]);
+    assert.strictEqual(entries.length, 5);
+  });
+
+  test('should read CSV rows with the profile as batch fields', async () => {
+    const filePath = path.join(workDirectory, 'stock.csv');
+    await fs.writeFile(filePath, 'Item Code;Qty;UOM\nSKU001;2,5;Pcs\nSKU002;1\n');
+
+    const entries = await collect(filePath, {
+      csvProfile: { name: 'outlet', source: 'outlet-003', columns: { sku: 'Item Code', quantity: 'Qty', unit: 'UOM' }, units: { PCS: 'PIECE' } }
+    });
+
+    assert.deepStrictEqual(entries, [
+      { fields: { csvProfile: 'outlet', source: 'outlet-003' } },
+      { item: { sku: 'SKU001', quantity: 2.5, unit: 'PIECE' } },
+      { error: { row: 3, column: 3, message: 'Expected 3 fields but found 2' } }
+    ]);
+  });
+});
@@ -0,0 +1,63 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import UnitGraph from '../src/UnitGraph.js';
+
+// Pack relationships only - every other pair is derived
+const packRules = {
+  PIECE_TO_BOX: { default: 12, products: { SKU001: 10 } },
+  BOX_TO_CARTON: { default: 6, products: { SKU001: 4 } },
+  CARTON_TO_PALLET: { default: 20, products: {} }
+};
+
+const hierarchy = ['PIECE', 'BOX', 'CARTON', 'PALLET'];
+
+describe('UnitGraph', () => {
+  test('should parse rule keys with multi-word units', () => {
+    assert.deepStrictEqual(UnitGraph.parseRuleKey('INNER_PACK_TO_BOX'), { fromUnit: 'INNER_PACK', toUnit: 'BOX' });
+    assert.strictEqual(UnitGraph.parseRuleKey('PIECE'), null);
+  });
+
+  test('should find the shortest path between units', () => {
+    const graph = new UnitGraph(packRules, hierarchy);
+    assert.deepStrictEqual(graph.findPath('PIECE', 'PALLET'), ['PIECE', 'BOX', 'CARTON', 'PALLET']);
+    assert.deepStrictEqual(graph.findPath('PALLET', 'BOX'), ['PALLET', 'CARTON', 'BOX']);
+    assert.strictEqual(graph.findPath('PIECE', 'UNKNOWN'), null);
+  });
+
+  test('should use SKU-specific factors at each hop', () => {
+    const graph = new UnitGraph(packRules, hierarchy);
+    const steps = graph.resolve('PIECE', 'CARTON', 'SKU001');
+
+    assert.deepStrictEqual(steps.map(step => step.factor), [10, 4]);
+    assert.ok(steps.every(step => step.operation === 'divide' && step.skuSpecific));
+  });
+
+  test('should fall back to default factors per hop', () => {
+    const graph = new UnitGraph(packRules, hierarchy);
+    const steps = graph.resolve('PALLET', 'BOX', 'SKU001');
+
+    assert.deepStrictEqual(steps.map(step => [step.factor, step.operation, step.skuSpecific]), [
+      [20, 'multiply', false],
+      [4, 'multiply', true]
+    ]);
+  });
+
+  test('should prefer an explicit rule over a derived path', () => {
+    const graph = new UnitGraph({ ...packRules, PIECE_TO_CARTON: { default: 70, products: {} } }, hierarchy);
+    const steps = graph.resolve('CARTON', 'PIECE');
+
+    assert.strictEqual(steps.length, 1);
+    assert.strictEqual(steps[0].ruleKey, 'PIECE_TO_CARTON');
+    assert.strictEqual(steps[0].operation, 'multiply');
+  });
+
+  test('should keep explicit rules written in both directions', () => {
+    const graph = new UnitGraph({
+      PIECE_TO_BOX: { default: 12, products: {} },
+      BOX_TO_PIECE: { default: 12, products: {} }
+    }, hierarchy);
+
+    assert.strictEqual(graph.resolve('PIECE', 'BOX')[0].ruleKey, 'PIECE_TO_BOX');
+    assert.strictEqual(graph.resolve('BOX', 'PIECE')[0].ruleKey, 'BOX_TO_PIECE');
+  });
+});
@@ -0,0 +1,144 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import InventoryUnitConverter from '../src/InventoryUnitConverter.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('Rule admin API', () => {
+  let converter;
+  let workDirectory;
+  let baseUrl;
+
+  const request = async (method, urlPath, { body, version } = {}) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (version) {
+      headers['If-Match'] = `"${version}"`;
+    }
+    const response = await fetch(`${baseUrl}${urlPath}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, etag: response.headers.get('etag'), body: await response.json() };
+  };
+
+  before(async () => {
+    workDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'iuc-admin-'));
+    const masterPath = path.join(workDirectory, 'conversion-master.json');
+    await fs.copy(path.join(__dirname, '../conversion-master.json'), masterPath);
+
+    converter = new InventoryUnitConverter({
+      configDirectory: null,
+      conversionMasterPath: masterPath,
+      dataDirectory: path.join(workDirectory, 'data'),
+      logDirectory: path.join(workDirectory, 'logs'),
+      stateDirectory: path.join(workDirectory, 'state'),
+      enableWebhook: true,
+      webhookPort: 0,
+      enableFileWatcher: false,
+      watchConversionMaster: false
+    });
+    await converter.initialize();
+    baseUrl = `http://127.0.0.1:${converter.webServer.address().port}`;
+  });
+
+  after(async () => {
+    await converter.stop();
+    await fs.remove(workDirectory);
+  });
+
+  test('should list rules with the master version as ETag', async () => {
+    const { status, etag, body } = await request('GET', '/rules');
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(etag, '"1.0.0"');
+    assert.strictEqual(body.rules.PIECE_TO_BOX.products.SKU001, 10);
+  });
+
+  test('should require If-Match and reject stale versions', async () => {
+    const missing = await request('PUT', '/rules/PIECE_TO_BOX/products/SKU009', { body: { factor: 12 } });
+    assert.strictEqual(missing.status, 428);
+
+    const stale = await request('PUT', '/rules/PIECE_TO_BOX/products/SKU009', { body: { factor: 12 }, version: '0.9.0' });
+    assert.strictEqual(stale.status, 412);
+  });
+
+  test('should reject edits that make the master inconsistent', async () => {
+    const logged = [];
+    const record = (entry) => logged.push(entry);
+    converter.on('log', record);
+    // 12 pieces per box and 6 boxes per carton make 72, not 70
+    const { status, body } = await request('POST', '/rules', { body: { key: 'PIECE_TO_CARTON', default: 70 }, version: '1.0.0' });
+    converter.off('log', record);
+
+    assert.strictEqual(status, 422);
+    assert.ok(body.errors.some(error => error.code === 'NOT_COMPOSABLE'));
+    assert.strictEqual(converter.conversionRules.version, '1.0.0');
+    assert.ok(logged.some(({ level, message }) => level === 'warn' && /^Rule admin write rejected: Invalid/.test(message)));
+  });
+
+  test('should add a unit and one rule, persist them and bump the version', async () => {
+    const unit = await request('POST', '/units', { body: { unit: 'PALLET', after: 'CARTON' }, version: '1.0.0' });
+    assert.strictEqual(unit.status, 201);
+    assert.strictEqual(unit.etag, '"1.0.1"');
+    assert.deepStrictEqual(unit.body.result.unitHierarchy, ['PIECE', 'BOX', 'CARTON', 'PALLET']);
+
+    const rule = await request('POST', '/rules', {
+      body: { key: 'CARTON_TO_PALLET', default: 20, products: { SKU002: 10 } },
+      version: '1.0.1'
+    });
+    assert.strictEqual(rule.status, 201);
+    assert.strictEqual(rule.body.version, '1.0.2');
+
+    const duplicate = await request('POST', '/rules', { body: { key: 'CARTON_TO_PALLET', default: 20 }, version: '1.0.2' });
+    assert.strictEqual(duplicate.status, 409);
+
+    assert.strictEqual(converter.convertUnit(1, 'PALLET', 'PIECE', 'SKU002'), 1920);
+
+    const saved = await fs.readJson(converter.config.conversionMasterPath);
+    assert.strictEqual(saved.version, '1.0.2');
+    assert.strictEqual(saved.conversionRules.CARTON_TO_PALLET.default, 20);
+  });
+
+  test('should create, read and delete SKU overrides', async () => {
+    const created = await request('PUT', '/rules/CARTON_TO_PALLET/products/SKU001', { body: { factor: 30 }, version: '1.0.2' });
+    assert.strictEqual(created.status, 201);
+
+    const updated = await request('PUT', '/rules/CARTON_TO_PALLET/products/SKU001', { body: { factor: 25 }, version: '1.0.3' });
+    assert.strictEqual(updated.status, 200);
+
+    const read = await request('GET', '/rules/CARTON_TO_PALLET/products/SKU001');
+    assert.strictEqual(read.body.factor, 25);
+
+    const removed = await request('DELETE', '/rules/CARTON_TO_PALLET/products/SKU001', { version: '1.0.4' });
+    assert.strictEqual(removed.status, 200);
+
+    const missing = await request('GET', '/rules/CARTON_TO_PALLET/products/SKU001');
+    assert.strictEqual(missing.status, 404);
+  });
+
+  test('should list and dismiss unknown SKUs in the review queue', async () => {
+    converter.processInventoryData({ source: 'outlet-005', items: [{ sku: 'SKU005', quantity: 72, unit: 'PIECE' }] });
+
+    const list = await request('GET', '/products/unknown');
+    assert.strictEqual(list.status, 200);
+    assert.strictEqual(list.body.unknownSkus[0].sku, 'SKU005');
+    assert.strictEqual(list.body.unknownSkus[0].firstSeenSource, 'outlet-005');
+
+    const entry = await request('GET', '/products/unknown/SKU005');
+    assert.strictEqual(entry.body.unknownSku.sampleQuantities[0].quantity, 72);
+
+    const dismissed = await request('DELETE', '/products/unknown/SKU005');
+    assert.strictEqual(dismissed.status, 200);
+    assert.strictEqual((await request('GET', '/products/unknown/SKU005')).status, 404);
+
+    const catalog = await request('GET', '/products');
+    assert.strictEqual(catalog.body.catalogEnabled, true);
+    assert.strictEqual(catalog.body.products.length, 3);
+  });
+});
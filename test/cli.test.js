@@ -0,0 +1,123 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { EXIT_CODES, runCli } from '../src/cli.js';
+
+// stdout and stderr stand-ins keeping what was written
+const captureIo = () => {
+  const stream = () => ({
+    text: '',
+    write(chunk) {
+      this.text += chunk;
+      return true;
+    }
+  });
+  return { stdout: stream(), stderr: stream() };
+};
+
+describe('iuc command line', () => {
+  let workDirectory;
+  let shared;
+
+  const run = async (...argv) => {
+    const io = captureIo();
+    const code = await runCli([...argv, ...shared], io);
+    return { code, stdout: io.stdout.text, stderr: io.stderr.text };
+  };
+
+  before(async () => {
+    workDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'iuc-cli-'));
+    // An empty config directory: nothing from the repo's config/ files
+    shared = [
+      '--config-dir', path.join(workDirectory, 'config'),
+      '--log-dir', path.join(workDirectory, 'logs'),
+      '--state-dir', path.join(workDirectory, 'state')
+    ];
+  });
+
+  after(async () => {
+    await fs.remove(workDirectory);
+  });
+
+  test('should convert one quantity to stdout', async () => {
+    const csv = await run('convert', '2', 'BOX', '--sku', 'SKU001', '--to', 'PIECE', '--format', 'csv');
+    assert.strictEqual(csv.code, EXIT_CODES.ok);
+    assert.strictEqual(csv.stdout, 'sku,originalQuantity,originalUnit,PIECE,error\nSKU001,2,BOX,20,\n');
+
+    const json = await run('convert', '1', 'CARTON', '--sku', 'SKU001', '--source', 'outlet-001');
+    const batch = JSON.parse(json.stdout);
+    assert.strictEqual(batch.source, 'outlet-001');
+    assert.deepStrictEqual(batch.items[0].standardizedUnits, { PIECE: 40, BOX: 4, CARTON: 1 });
+
+    const invalid = await run('convert', 'lots', 'BOX', '--sku', 'SKU001');
+    assert.strictEqual(invalid.code, EXIT_CODES.itemErrors);
+    assert.strictEqual(JSON.parse(invalid.stdout).items[0].errors[0].code, 'INVALID_QUANTITY');
+  });
+
+  test('should leave the unknown SKU review queue as it is', async () => {
+    const queuePath = path.join(workDirectory, 'state', 'unknown-skus.json');
+    const queue = { unknownSkus: [{ sku: 'OLD1', occurrences: 3, sources: [null], sampleQuantities: [], heldItems: [] }] };
+    await fs.outputJson(queuePath, queue);
+
+    const { code, stdout } = await run('convert', '5', 'PIECE', '--sku', 'NEWSKU');
+    assert.strictEqual(code, EXIT_CODES.ok);
+    assert.strictEqual(JSON.parse(stdout).items[0].unknownSku, true);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.deepStrictEqual(await fs.readJson(queuePath), queue);
+  });
+
+  test('should convert a file without recording it', async () => {
+    const filePath = path.join(workDirectory, 'count.ndjson');
+    await fs.writeFile(filePath, '{"source":"outlet-002"}\n{"sku":"SKU001","quantity":3,"unit":"BOX"}\n');
+
+    const { code, stdout } = await run('convert', '--file', filePath, '--format', 'ndjson');
+    assert.strictEqual(code, EXIT_CODES.ok);
+    const [header, item] = stdout.trim().split('\n').map(line => JSON.parse(line));
+    assert.strictEqual(header.source, 'outlet-002');
+    assert.strictEqual(item.standardizedUnits.PIECE, 30);
+    assert.strictEqual(await fs.pathExists(filePath), true);
+  });
+
+  test('should process a directory once, with the exit code reporting failures', async () => {
+    const inbox = path.join(workDirectory, 'inbox');
+    const archive = path.join(workDirectory, 'archive');
+    const quarantine = path.join(workDirectory, 'quarantine');
+    await fs.outputFile(path.join(inbox, 'a.csv'), 'sku,quantity,unit\nSKU001,2,BOX\nSKU002,x,BOX\n');
+    await fs.outputFile(path.join(inbox, 'b.json'), '{ not json');
+    await fs.outputFile(path.join(inbox, 'notes.txt'), 'ignored');
+    const dirs = ['--archive-dir', archive, '--quarantine-dir', quarantine];
+
+    const first = await run('process', inbox, ...dirs);
+    assert.strictEqual(first.code, EXIT_CODES.failed);
+    assert.match(first.stdout, /✅ a\.csv: 2 items, 1 failed ->/);
+    assert.match(first.stdout, /❌ b\.json: /);
+    assert.match(first.stdout, /2 files: 1 processed, 0 skipped, 1 failed; 2 items, 1 failed\n$/);
+    assert.deepStrictEqual(await fs.readdir(inbox), ['notes.txt']);
+    assert.strictEqual((await fs.readdir(archive)).length, 1);
+
+    await fs.outputFile(path.join(inbox, 'c.json'), JSON.stringify({ items: [{ sku: 'SKU002', quantity: 'x', unit: 'BOX' }] }));
+    assert.strictEqual((await run('process', inbox, ...dirs)).code, EXIT_CODES.itemErrors);
+    assert.strictEqual((await run('process', inbox, ...dirs)).code, EXIT_CODES.ok);
+  });
+
+  test('should check a conversion master', async () => {
+    assert.strictEqual((await run('check-master')).code, EXIT_CODES.ok);
+
+    const masterPath = path.join(workDirectory, 'broken-master.json');
+    await fs.writeJson(masterPath, { version: '1.0.0', unitHierarchy: ['PIECE'], conversionRules: {} });
+    const { code, stderr } = await run('check-master', masterPath);
+    assert.strictEqual(code, EXIT_CODES.failed);
+    assert.match(stderr, /has \d+ problem\(s\)/);
+  });
+
+  test('should answer usage errors with exit code 2', async () => {
+    for (const argv of [[], ['frob'], ['convert', '2', 'BOX'], ['convert', '--colour'], ['serve', '--port', 'http'], ['process']]) {
+      const { code, stderr } = await run(...argv);
+      assert.strictEqual(code, EXIT_CODES.usage, argv.join(' '));
+      assert.match(stderr, /Usage: iuc <command>/);
+    }
+    assert.match((await run('--help')).stdout, /^Usage: iuc/);
+  });
+});
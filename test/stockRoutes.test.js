@@ -0,0 +1,145 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import InventoryUnitConverter from '../src/InventoryUnitConverter.js';
+import StockView from '../src/StockView.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('Stock API', () => {
+  let converter;
+  let workDirectory;
+  let baseUrl;
+
+  const get = async (urlPath) => {
+    const response = await fetch(`${baseUrl}${urlPath}`);
+    return { status: response.status, body: await response.json() };
+  };
+
+  const upload = async (payload) => {
+    const response = await fetch(`${baseUrl}/webhook/inventory`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload)
+    });
+    return (await response.json()).result;
+  };
+
+  before(async () => {
+    workDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'iuc-stock-'));
+
+    converter = new InventoryUnitConverter({
+      configDirectory: null,
+      conversionMasterPath: path.join(__dirname, '../conversion-master.json'),
+      dataDirectory: path.join(workDirectory, 'data'),
+      logDirectory: path.join(workDirectory, 'logs'),
+      stateDirectory: path.join(workDirectory, 'state'),
+      enableWebhook: true,
+      webhookPort: 0,
+      enableFileWatcher: false,
+      watchConversionMaster: false,
+      logLevel: 'error'
+    });
+    await converter.initialize();
+    baseUrl = `http://127.0.0.1:${converter.webServer.address().port}`;
+
+    await upload({
+      source: 'outlet-001',
+      items: [
+        { sku: 'SKU001', quantity: 2, unit: 'BOX', category: 'Widgets' },
+        { sku: 'SKU002', quantity: 1, unit: 'CARTON', category: 'Widgets' },
+        { sku: 'SKU003', quantity: 1, unit: 'DOZ' }
+      ]
+    });
+    await upload({
+      source: 'outlet-002',
+      items: [
+        { sku: 'SKU001', quantity: { CARTON: 1, PIECE: 5 }, category: 'Widgets' },
+        { sku: 'SKU003', quantity: 3, unit: 'BOX', category: 'Gadgets' }
+      ]
+    });
+  });
+
+  after(async () => {
+    await converter.stop();
+    await fs.remove(workDirectory);
+  });
+
+  test('should total each SKU across outlets in any unit', async () => {
+    const { status, body } = await get('/stock');
+    assert.strictEqual(status, 200);
+    const sku001 = body.skus.find(entry => entry.sku === 'SKU001');
+    assert.deepStrictEqual(sku001, {
+      sku: 'SKU001',
+      name: 'Widget A',
+      category: 'Widgets',
+      quantity: 65,
+      unit: 'PIECE',
+      outlets: { 'outlet-001': 20, 'outlet-002': 45 }
+    });
+
+    const boxes = await get('/stock/skus/SKU001?unit=box');
+    assert.strictEqual(boxes.body.stock.quantity, 6.5);
+    assert.strictEqual(boxes.body.stock.unit, 'BOX');
+
+    const mixed = await get('/stock/skus/SKU001?breakdown=true');
+    assert.deepStrictEqual(mixed.body.stock.breakdown, { CARTON: 1, BOX: 2, PIECE: 5 });
+
+    assert.strictEqual((await get('/stock/skus/SKU404')).status, 404);
+    assert.strictEqual((await get('/stock?unit=DOZ')).status, 400);
+  });
+
+  test('should total stock per outlet and per category', async () => {
+    const outlets = await get('/stock/outlets');
+    assert.deepStrictEqual(outlets.body.outlets.map(({ source, skuCount, skippedItems }) => [source, skuCount, skippedItems]), [
+      ['outlet-001', 2, 1],
+      ['outlet-002', 2, 0]
+    ]);
+
+    const outlet = await get('/stock/outlets/outlet-001?unit=CARTON');
+    assert.deepStrictEqual(outlet.body.skus.map(({ sku, quantity }) => [sku, quantity]), [['SKU001', 0.5], ['SKU002', 1]]);
+
+    const categories = await get('/stock/categories?unit=BOX');
+    assert.deepStrictEqual(categories.body.categories, [
+      { category: 'Widgets', skuCount: 2, quantity: 14.5, unit: 'BOX' },
+      { category: 'Gadgets', skuCount: 1, quantity: 3, unit: 'BOX' }
+    ]);
+
+    assert.strictEqual((await get('/stock/outlets/outlet-404')).status, 404);
+  });
+
+  test('should diff two uploads from the same outlet', async () => {
+    assert.strictEqual((await get('/stock/outlets/outlet-001/diff')).status, 404);
+
+    const first = converter.stockView.latest('outlet-001').batchId;
+    const second = await upload({
+      source: 'outlet-001',
+      items: [
+        { sku: 'SKU001', quantity: 5, unit: 'BOX' },
+        { sku: 'SKU003', quantity: 12, unit: 'PIECE' }
+      ]
+    });
+
+    const { status, body } = await get('/stock/outlets/outlet-001/diff?unit=BOX');
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body.from.batchId, first);
+    assert.deepStrictEqual(body.to.batchId, second.batchId);
+    assert.deepStrictEqual(body.changes, [
+      { sku: 'SKU001', before: 2, after: 5, change: 3 },
+      { sku: 'SKU002', before: 8, after: 0, change: -8 },
+      { sku: 'SKU003', before: 0, after: 2, change: 2 }
+    ]);
+
+    // The current stock follows the latest upload, and survives a restart
+    assert.strictEqual((await get('/stock/skus/SKU002')).status, 404);
+    await converter.stockView.flush();
+    const reloaded = new StockView(path.join(workDirectory, 'state', 'stock.json'));
+    await reloaded.load();
+    assert.strictEqual(reloaded.latest('outlet-001').items.get('SKU001').quantity.toString(), '50');
+    assert.strictEqual(reloaded.snapshots('outlet-001').length, 2);
+  });
+});